@@ -74,6 +74,84 @@ function getRandomInt(min, max) {
 	return Math.floor(Math.random() * (max - min + 1)) + min;
 }
 
+/**
+ * Convert whatever was passed as callback error into an Error instance
+ * @param  {*} err    ResponseError object, string or Error
+ * @return {Error}
+ */
+function toError(err) {
+	if (err instanceof Error) {
+		return err;
+	}
+
+	if (err && typeof err === 'object') {
+		return extend(new Error(err.message || String(err.code)), err);
+	}
+
+	return new Error(String(err));
+}
+
+/**
+ * Wrap a method whose last declared parameter is a node-style callback.
+ * When the caller passes a callback it is used as is; otherwise one is
+ * appended in the callback position and a Promise is returned instead.
+ * The promise resolves with the first response argument and rejects with an Error,
+ * so callers that neither pass a callback nor handle the promise get an unhandled rejection.
+ * @param  {Function} fn         Method to wrap
+ * @param  {Function} resolver   (optional) Maps the response arguments to the resolved value
+ * @return {Function}            Wrapped method
+ */
+function callbackOrPromise(fn, resolver) {
+	return function() {
+		var args = toArray(arguments);
+
+		if (typeof args[args.length - 1] === 'function') {
+			return fn.apply(this, args);
+		}
+
+		// Drop omitted trailing arguments, then pad so the callback lands in its declared position
+		while (args.length && args[args.length - 1] == null) {
+			args.pop();
+		}
+		while (args.length < fn.length - 1) {
+			args.push(undefined);
+		}
+
+		var self = this;
+
+		return new Promise(function(resolve, reject) {
+			args.push(function(err) {
+				if (err) {
+					reject(toError(err));
+					return;
+				}
+
+				var response = toArray(arguments).slice(1);
+				resolve(resolver ? resolver.apply(null, response) : response[0]);
+			});
+
+			fn.apply(self, args);
+		});
+	};
+}
+
+/**
+ * @param  {Function} fn
+ * @return {Function} Calls fn the first time only, later calls are ignored
+ */
+function once(fn) {
+	var called = false;
+
+	return function() {
+		if (called) {
+			return;
+		}
+		called = true;
+
+		return fn.apply(this, arguments);
+	};
+}
+
 exports.tstamp = tstamp;
 exports.winTimestamp = winTimestamp;
 exports.objSize = objSize;
@@ -83,3 +161,6 @@ exports.fetch = fetch;
 exports.isWindows = isWindows;
 exports.getRandomInt = getRandomInt;
 exports.convertMBToBytes = convertMBToBytes;
+exports.toError = toError;
+exports.callbackOrPromise = callbackOrPromise;
+exports.once = once;
@@ -1,463 +1,639 @@
-module.exports = [
-	'',
-	'',
-	'',
-	"account",
-	"ack",
-	"action",
-	"active",
-	"add",
-	"after",
-	"all",
-	"allow",
-	"apple",
-	"auth",
-	"author",
-	"available",
-	"bad-protocol",
-	"bad-request",
-	"before",
-	"body",
-	"broadcast",
-	"cancel",
-	"category",
-	"challenge",
-	"chat",
-	"clean",
-	"code",
-	"composing",
-	"config",
-	"contacts",
-	"count",
-	"create",
-	"creation",
-	"debug",
-	"default",
-	"delete",
-	"delivery",
-	"delta",
-	"deny",
-	"digest",
-	"dirty",
-	"duplicate",
-	"elapsed",
-	"enable",
-	"encoding",
-	"error",
-	"event",
-	"expiration",
-	"expired",
-	"fail",
-	"failure",
-	"false",
-	"favorites",
-	"feature",
-	"features",
-	"feature-not-implemented",
-	"field",
-	"first",
-	"free",
-	"from",
-	"g.us",
-	"get",
-	"google",
-	"group",
-	"groups",
-	"groups_v2",
-	"http://etherx.jabber.org/streams",
-	"http://jabber.org/protocol/chatstates",
-	"ib",
-	"id",
-	"image",
-	"img",
-	"index",
-	"internal-server-error",
-	"ip",
-	"iq",
-	"item-not-found",
-	"item",
-	"jabber:iq:last",
-	"jabber:iq:privacy",
-	"jabber:x:event",
-	"jid",
-	"kind",
-	"last",
-	"leave",
-	"list",
-	"max",
-	"mechanism",
-	"media",
-	"message_acks",
-	"message",
-	"method",
-	"microsoft",
-	"missing",
-	"modify",
-	"mute",
-	"name",
-	"nokia",
-	"none",
-	"not-acceptable",
-	"not-allowed",
-	"not-authorized",
-	"notification",
-	"notify",
-	"off",
-	"offline",
-	"order",
-	"owner",
-	"owning",
-	"p_o",
-	"p_t",
-	"paid",
-	"participant",
-	"participants",
-	"participating",
-	"paused",
-	"picture",
-	"pin",
-	"ping",
-	"platform",
-	"port",
-	"presence",
-	"preview",
-	"probe",
-	"prop",
-	"props",
-	"query",
-	"raw",
-	"read",
-	"readreceipts",
-	"reason",
-	"receipt",
-	"relay",
-	"remote-server-timeout",
-	"remove",
-	"request",
-	"required",
-	"resource-constraint",
-	"resource",
-	"response",
-	"result",
-	"retry",
-	"rim",
-	"s_o",
-	"s_t",
-	"s.us",
-	"s.whatsapp.net",
-	"seconds",
-	"server-error",
-	"server",
-	"service-unavailable",
-	"set",
-	"show",
-	"silent",
-	"stat",
-	"status",
-	"stream:error",
-	"stream:features",
-	"subject",
-	"subscribe",
-	"success",
-	"sync",
-	"t",
-	"text",
-	"timeout",
-	"timestamp",
-	"to",
-	"true",
-	"type",
-	"unavailable",
-	"unsubscribe",
-	"uri",
-	"url",
-	"urn:ietf:params:xml:ns:xmpp-sasl",
-	"urn:ietf:params:xml:ns:xmpp-stanzas",
-	"urn:ietf:params:xml:ns:xmpp-streams",
-	"urn:xmpp:ping",
-	"urn:xmpp:whatsapp:account",
-	"urn:xmpp:whatsapp:dirty",
-	"urn:xmpp:whatsapp:mms",
-	"urn:xmpp:whatsapp:push",
-	"urn:xmpp:whatsapp",
-	"user",
-	"user-not-found",
-	"value",
-	"version",
-	"w:g",
-	"w:p:r",
-	"w:p",
-	"w:profile:picture",
-	"w",
-	"wait",
-	"WAUTH-2",
-	"xmlns:stream",
-	"xmlns",
-	"1",
-	"chatstate",
-	"crypto",
-	"phash",
-	"enc",
-	"class",
-	"off_cnt",
-	"w:g2",
-	"promote",
-	"demote",
-	"creator",
-	"Bell.caf",
-	"Boing.caf",
-	"Glass.caf",
-	"Harp.caf",
-	"TimePassing.caf",
-	"Tri-tone.caf",
-	"Xylophone.caf",
-	"background",
-	"backoff",
-	"chunked",
-	"context",
-	"full",
-	"in",
-	"interactive",
-	"out",
-	"registration",
-	"sid",
-	"urn:xmpp:whatsapp:sync",
-	"flt",
-	"s16",
-	"u8",
-	"adpcm",
-	"amrnb",
-	"amrwb",
-	"mp3",
-	"pcm",
-	"qcelp",
-	"wma",
-	"h263",
-	"h264",
-	"jpeg",
-	//secondary dictionary
-  "mpeg4",            //0 | 236
-  "wmv",
-  "audio/3gpp",
-  "audio/aac",
-  "audio/amr",
-  "audio/mp4",
-  "audio/mpeg",
-  "audio/ogg",
-  "audio/qcelp",
-  "audio/wav",
-  "audio/webm",       //10
-  "audio/x-caf", 
-  "audio/x-ms-wma",
-  "image/gif",
-  "image/jpeg",
-  "image/png",
-  "video/3gpp",
-  "video/avi",
-  "video/mp4",
-  "video/mpeg",
-  "video/quicktime",  //20
-  "video/x-flv",      
-  "video/x-ms-asf",
-  "302",
-  "400",
-  "401",
-  "402",
-  "403",
-  "404",
-  "405",
-  "406",              //30
-  "407",
-  "409",
-  "410",
-  "500",
-  "501",
-  "503",
-  "504",
-  "abitrate",
-  "acodec",
-  "app_uptime",       //40
-  "asampfmt",
-  "asampfreq",
-  "audio",
-  "clear",
-  "conflict",
-  "conn_no_nna",
-  "cost",
-  "currency",
-  "duration",
-  "extend",           //50
-  "file",
-  "fps",
-  "g_notify",
-  "g_sound",
-  "gcm",
-  "gone",
-  "google_play",
-  "hash",
-  "height",
-  "invalid",          //60
-  "jid-malformed",
-  "latitude",
-  "lc",
-  "lg",
-  "live",
-  "location",
-  "log",
-  "longitude",
-  "max_groups",
-  "max_participants", //70
-  "max_subject",
-  "mimetype",
-  "mode",
-  "napi_version",
-  "normalize",
-  "orighash",
-  "origin",
-  "passive",
-  "password",
-  "played",           //80
-  "policy-violation",
-  "pop_mean_time",
-  "pop_plus_minus",
-  "price",
-  "pricing",
-  "redeem",
-  "Replaced by new connection",
-  "resume",
-  "signature",
-  "size",
-  "sound",
-  "source",
-  "system-shutdown",
-  "username",
-  "vbitrate",
-  "vcard",
-  "vcodec",
-  "video",
-  "width",
-  "xml-not-well-formed",
-  "checkmarks",
-  "image_max_edge",
-  "image_max_kbytes",
-  "image_quality",
-  "ka",
-  "ka_grow",
-  "ka_shrink",
-  "newmedia",
-  "library",
-  "caption",
-  "forward",
-  "c0",
-  "c1",
-  "c2",
-  "c3",
-  "clock_skew",
-  "cts",
-  "k0",
-  "k1",
-  "login_rtt",
-  "m_id",
-  "nna_msg_rtt",
-  "nna_no_off_count",
-  "nna_offline_ratio",
-  "nna_push_rtt",
-  "no_nna_con_count",
-  "off_msg_rtt",
-  "on_msg_rtt",
-  "stat_name",
-  "sts",
-  "suspect_conn",
-  "lists",
-  "self",
-  "qr",
-  "web",
-  "w:b",
-  "recipient",
-  "w:stats",
-  "forbidden",
-  "aurora.m4r",
-  "bamboo.m4r",
-  "chord.m4r",
-  "circles.m4r",
-  "complete.m4r",
-  "hello.m4r",
-  "input.m4r",
-  "keys.m4r",
-  "note.m4r",
-  "popcorn.m4r",
-  "pulse.m4r",
-  "synth.m4r",
-  "filehash",
-  "max_list_recipients",
-  "en-AU",
-  "en-GB",
-  "es-MX",
-  "pt-PT",
-  "zh-Hans",
-  "zh-Hant",
-  "relayelection",
-  "relaylatency",
-  "interruption",
-  "Apex.m4r",
-  "Beacon.m4r",
-  "Bulletin.m4r",
-  "By The Seaside.m4r",
-  "Chimes.m4r",
-  "Circuit.m4r",
-  "Constellation.m4r",
-  "Cosmic.m4r",
-  "Crystals.m4r",
-  "Hillside.m4r",
-  "Illuminate.m4r",
-  "Night Owl.m4r",
-  "Opening.m4r",
-  "Playtime.m4r",
-  "Presto.m4r",
-  "Radar.m4r",
-  "Radiate.m4r",
-  "Ripples.m4r",
-  "Sencha.m4r",
-  "Signal.m4r",
-  "Silk.m4r",
-  "Slow Rise.m4r",
-  "Stargaze.m4r",
-  "Summit.m4r",
-  "Twinkle.m4r",
-  "Uplift.m4r",
-  "Waves.m4r",
-  "voip",
-  "eligible",
-  "upgrade",
-  "planned",
-  "current",
-  "future",
-  "disable",
-  "expire",
-  "start",
-  "stop",
-  "accuracy",
-  "speed",
-  "bearing",
-  "recording",
-  "encrypt",
-  "key",
-  "identity",
-  "w:gp2",
-  "admin",
-  "locked",
-  "unlocked",
-  "new",
-  "battery",
-  "archive",
-  "adm",
-  "plaintext_size",
-  "compressed_size",
-  "delivered",
-  "msg",
-  "pkmsg",
-  "everyone",
-  "v",
-  "transport",
-  "call-id"
-]
\ No newline at end of file
+var fs     = require('fs');
+var errors = require('./errors');
+
+// Bytes 0xEC to 0xEF select a page of the secondary dictionary, the next byte is the index in it
+var SECONDARY_FIRST = 0xEC; // 236
+var SECONDARY_LAST  = 0xEF; // 239
+var PAGE_SIZE       = 256;
+
+// Tokens 0, 1 and 2 have special meanings (list end, stream start, stream end)
+var FIRST_TOKEN = 3;
+
+/**
+ * @typedef DictionaryTables
+ * @type {Object}
+ * @property {String}        version      Protocol version the tables belong to, e.g. '1.5'
+ * @property {Array<String>} primary      Strings encoded with a single byte (up to 236 entries, the first 3 are reserved)
+ * @property {Array<String>} secondary    Strings encoded with a page byte (0xEC-0xEF) and an index byte
+ */
+
+/**
+ * Token dictionary used to compress the tags, attributes and values of the binary protocol.
+ * Reader and Writer both go through it, so encoding and decoding can't disagree.
+ * @class Dictionary
+ * @param {DictionaryTables} tables
+ */
+function Dictionary(tables) {
+	var capacity = (SECONDARY_LAST - SECONDARY_FIRST + 1) * PAGE_SIZE;
+
+	if (tables.primary.length > SECONDARY_FIRST) {
+		throw new errors.WhatsApiError('invalid-argument', 'The primary dictionary can hold at most ' + SECONDARY_FIRST + ' tokens');
+	}
+
+	if (tables.secondary.length > capacity) {
+		throw new errors.WhatsApiError('invalid-argument', 'The secondary dictionary can hold at most ' + capacity + ' tokens');
+	}
+
+	this.version   = tables.version;
+	this.primary   = tables.primary;
+	this.secondary = tables.secondary;
+	this.tokens    = {};
+
+	// Index the secondary table first, so that strings found in both get the shorter encoding
+	this.secondary.forEach(function(string, index) {
+		if (string) {
+			this.tokens[string] = [SECONDARY_FIRST + Math.floor(index / PAGE_SIZE), index % PAGE_SIZE];
+		}
+	}, this);
+
+	this.primary.forEach(function(string, index) {
+		if (string && index >= FIRST_TOKEN) {
+			this.tokens[string] = [index];
+		}
+	}, this);
+}
+
+/**
+ * Build a dictionary from a single array where the secondary table starts at index 236,
+ * the format used before dictionaries were versioned
+ * @param  {Array<String>} array
+ * @param  {String}        version
+ * @return {Dictionary}
+ */
+Dictionary.fromArray = function(array, version) {
+	return new Dictionary({
+		version   : version || 'custom',
+		primary   : array.slice(0, SECONDARY_FIRST),
+		secondary : array.slice(SECONDARY_FIRST)
+	});
+};
+
+/**
+ * @param  {Dictionary|Array<String>|String} dictionary    Dictionary, old-style array or registered version
+ * @return {Dictionary}
+ */
+Dictionary.from = function(dictionary) {
+	if (dictionary instanceof Dictionary) {
+		return dictionary;
+	}
+
+	if (Array.isArray(dictionary)) {
+		return Dictionary.fromArray(dictionary);
+	}
+
+	return get(dictionary);
+};
+
+/**
+ * @param  {String} string
+ * @return {Array<Number>|null}    Bytes encoding the string, null if it isn't in the dictionary
+ */
+Dictionary.prototype.encode = function(string) {
+	return this.tokens.hasOwnProperty(string) ? this.tokens[string] : null;
+};
+
+/**
+ * @param  {Number} token
+ * @return {Boolean} Whether the byte starts a dictionary token
+ */
+Dictionary.prototype.isToken = function(token) {
+	return token >= FIRST_TOKEN && token <= SECONDARY_LAST;
+};
+
+/**
+ * @param  {Number}   token       First byte of the token
+ * @param  {Function} readByte    Returns the next byte, only called for secondary tokens
+ * @return {String}
+ */
+Dictionary.prototype.decode = function(token, readByte) {
+	if (token >= SECONDARY_FIRST && token <= SECONDARY_LAST) {
+		var index = (token - SECONDARY_FIRST) * PAGE_SIZE + readByte();
+
+		if (index < this.secondary.length) {
+			return this.secondary[index];
+		}
+
+		throw new errors.ProtocolError('invalid-token', 'Unexpected secondary token: ' + index);
+	}
+
+	if (token >= FIRST_TOKEN && token < this.primary.length) {
+		return this.primary[token];
+	}
+
+	throw new errors.ProtocolError('invalid-token', 'Unexpected token: ' + token);
+};
+
+var versions = {};
+
+/**
+ * Make a dictionary available by its version
+ * @param  {Dictionary} dictionary
+ * @return {Dictionary}
+ */
+function register(dictionary) {
+	versions[dictionary.version] = dictionary;
+
+	return dictionary;
+}
+
+/**
+ * @param  {String} version
+ * @return {Dictionary}
+ */
+function get(version) {
+	if (!versions.hasOwnProperty(version)) {
+		throw new errors.WhatsApiError('invalid-option', 'Unknown dictionary version: ' + version);
+	}
+
+	return versions[version];
+}
+
+/**
+ * Load and register the dictionary found in a JSON file
+ * @param  {String} file    Path to a JSON file in the DictionaryTables format
+ * @return {Dictionary}
+ * @example
+ * var dictionary = require('whatsapi/dictionary');
+ * wa.setDictionary(dictionary.load('./dictionary-1.6.json'));
+ */
+function load(file) {
+	return register(new Dictionary(JSON.parse(fs.readFileSync(file, 'utf8'))));
+}
+
+var defaultDictionary = register(new Dictionary({
+	version : '1.5',
+	primary : [
+		'',
+		'',
+		'',
+		"account",
+		"ack",
+		"action",
+		"active",
+		"add",
+		"after",
+		"all",
+		"allow",
+		"apple",
+		"auth",
+		"author",
+		"available",
+		"bad-protocol",
+		"bad-request",
+		"before",
+		"body",
+		"broadcast",
+		"cancel",
+		"category",
+		"challenge",
+		"chat",
+		"clean",
+		"code",
+		"composing",
+		"config",
+		"contacts",
+		"count",
+		"create",
+		"creation",
+		"debug",
+		"default",
+		"delete",
+		"delivery",
+		"delta",
+		"deny",
+		"digest",
+		"dirty",
+		"duplicate",
+		"elapsed",
+		"enable",
+		"encoding",
+		"error",
+		"event",
+		"expiration",
+		"expired",
+		"fail",
+		"failure",
+		"false",
+		"favorites",
+		"feature",
+		"features",
+		"feature-not-implemented",
+		"field",
+		"first",
+		"free",
+		"from",
+		"g.us",
+		"get",
+		"google",
+		"group",
+		"groups",
+		"groups_v2",
+		"http://etherx.jabber.org/streams",
+		"http://jabber.org/protocol/chatstates",
+		"ib",
+		"id",
+		"image",
+		"img",
+		"index",
+		"internal-server-error",
+		"ip",
+		"iq",
+		"item-not-found",
+		"item",
+		"jabber:iq:last",
+		"jabber:iq:privacy",
+		"jabber:x:event",
+		"jid",
+		"kind",
+		"last",
+		"leave",
+		"list",
+		"max",
+		"mechanism",
+		"media",
+		"message_acks",
+		"message",
+		"method",
+		"microsoft",
+		"missing",
+		"modify",
+		"mute",
+		"name",
+		"nokia",
+		"none",
+		"not-acceptable",
+		"not-allowed",
+		"not-authorized",
+		"notification",
+		"notify",
+		"off",
+		"offline",
+		"order",
+		"owner",
+		"owning",
+		"p_o",
+		"p_t",
+		"paid",
+		"participant",
+		"participants",
+		"participating",
+		"paused",
+		"picture",
+		"pin",
+		"ping",
+		"platform",
+		"port",
+		"presence",
+		"preview",
+		"probe",
+		"prop",
+		"props",
+		"query",
+		"raw",
+		"read",
+		"readreceipts",
+		"reason",
+		"receipt",
+		"relay",
+		"remote-server-timeout",
+		"remove",
+		"request",
+		"required",
+		"resource-constraint",
+		"resource",
+		"response",
+		"result",
+		"retry",
+		"rim",
+		"s_o",
+		"s_t",
+		"s.us",
+		"s.whatsapp.net",
+		"seconds",
+		"server-error",
+		"server",
+		"service-unavailable",
+		"set",
+		"show",
+		"silent",
+		"stat",
+		"status",
+		"stream:error",
+		"stream:features",
+		"subject",
+		"subscribe",
+		"success",
+		"sync",
+		"t",
+		"text",
+		"timeout",
+		"timestamp",
+		"to",
+		"true",
+		"type",
+		"unavailable",
+		"unsubscribe",
+		"uri",
+		"url",
+		"urn:ietf:params:xml:ns:xmpp-sasl",
+		"urn:ietf:params:xml:ns:xmpp-stanzas",
+		"urn:ietf:params:xml:ns:xmpp-streams",
+		"urn:xmpp:ping",
+		"urn:xmpp:whatsapp:account",
+		"urn:xmpp:whatsapp:dirty",
+		"urn:xmpp:whatsapp:mms",
+		"urn:xmpp:whatsapp:push",
+		"urn:xmpp:whatsapp",
+		"user",
+		"user-not-found",
+		"value",
+		"version",
+		"w:g",
+		"w:p:r",
+		"w:p",
+		"w:profile:picture",
+		"w",
+		"wait",
+		"WAUTH-2",
+		"xmlns:stream",
+		"xmlns",
+		"1",
+		"chatstate",
+		"crypto",
+		"phash",
+		"enc",
+		"class",
+		"off_cnt",
+		"w:g2",
+		"promote",
+		"demote",
+		"creator",
+		"Bell.caf",
+		"Boing.caf",
+		"Glass.caf",
+		"Harp.caf",
+		"TimePassing.caf",
+		"Tri-tone.caf",
+		"Xylophone.caf",
+		"background",
+		"backoff",
+		"chunked",
+		"context",
+		"full",
+		"in",
+		"interactive",
+		"out",
+		"registration",
+		"sid",
+		"urn:xmpp:whatsapp:sync",
+		"flt",
+		"s16",
+		"u8",
+		"adpcm",
+		"amrnb",
+		"amrwb",
+		"mp3",
+		"pcm",
+		"qcelp",
+		"wma",
+		"h263",
+		"h264",
+		"jpeg"
+	],
+	secondary : [
+		"mpeg4",
+		"wmv",
+		"audio/3gpp",
+		"audio/aac",
+		"audio/amr",
+		"audio/mp4",
+		"audio/mpeg",
+		"audio/ogg",
+		"audio/qcelp",
+		"audio/wav",
+		"audio/webm",
+		"audio/x-caf",
+		"audio/x-ms-wma",
+		"image/gif",
+		"image/jpeg",
+		"image/png",
+		"video/3gpp",
+		"video/avi",
+		"video/mp4",
+		"video/mpeg",
+		"video/quicktime",
+		"video/x-flv",
+		"video/x-ms-asf",
+		"302",
+		"400",
+		"401",
+		"402",
+		"403",
+		"404",
+		"405",
+		"406",
+		"407",
+		"409",
+		"410",
+		"500",
+		"501",
+		"503",
+		"504",
+		"abitrate",
+		"acodec",
+		"app_uptime",
+		"asampfmt",
+		"asampfreq",
+		"audio",
+		"clear",
+		"conflict",
+		"conn_no_nna",
+		"cost",
+		"currency",
+		"duration",
+		"extend",
+		"file",
+		"fps",
+		"g_notify",
+		"g_sound",
+		"gcm",
+		"gone",
+		"google_play",
+		"hash",
+		"height",
+		"invalid",
+		"jid-malformed",
+		"latitude",
+		"lc",
+		"lg",
+		"live",
+		"location",
+		"log",
+		"longitude",
+		"max_groups",
+		"max_participants",
+		"max_subject",
+		"mimetype",
+		"mode",
+		"napi_version",
+		"normalize",
+		"orighash",
+		"origin",
+		"passive",
+		"password",
+		"played",
+		"policy-violation",
+		"pop_mean_time",
+		"pop_plus_minus",
+		"price",
+		"pricing",
+		"redeem",
+		"Replaced by new connection",
+		"resume",
+		"signature",
+		"size",
+		"sound",
+		"source",
+		"system-shutdown",
+		"username",
+		"vbitrate",
+		"vcard",
+		"vcodec",
+		"video",
+		"width",
+		"xml-not-well-formed",
+		"checkmarks",
+		"image_max_edge",
+		"image_max_kbytes",
+		"image_quality",
+		"ka",
+		"ka_grow",
+		"ka_shrink",
+		"newmedia",
+		"library",
+		"caption",
+		"forward",
+		"c0",
+		"c1",
+		"c2",
+		"c3",
+		"clock_skew",
+		"cts",
+		"k0",
+		"k1",
+		"login_rtt",
+		"m_id",
+		"nna_msg_rtt",
+		"nna_no_off_count",
+		"nna_offline_ratio",
+		"nna_push_rtt",
+		"no_nna_con_count",
+		"off_msg_rtt",
+		"on_msg_rtt",
+		"stat_name",
+		"sts",
+		"suspect_conn",
+		"lists",
+		"self",
+		"qr",
+		"web",
+		"w:b",
+		"recipient",
+		"w:stats",
+		"forbidden",
+		"aurora.m4r",
+		"bamboo.m4r",
+		"chord.m4r",
+		"circles.m4r",
+		"complete.m4r",
+		"hello.m4r",
+		"input.m4r",
+		"keys.m4r",
+		"note.m4r",
+		"popcorn.m4r",
+		"pulse.m4r",
+		"synth.m4r",
+		"filehash",
+		"max_list_recipients",
+		"en-AU",
+		"en-GB",
+		"es-MX",
+		"pt-PT",
+		"zh-Hans",
+		"zh-Hant",
+		"relayelection",
+		"relaylatency",
+		"interruption",
+		"Apex.m4r",
+		"Beacon.m4r",
+		"Bulletin.m4r",
+		"By The Seaside.m4r",
+		"Chimes.m4r",
+		"Circuit.m4r",
+		"Constellation.m4r",
+		"Cosmic.m4r",
+		"Crystals.m4r",
+		"Hillside.m4r",
+		"Illuminate.m4r",
+		"Night Owl.m4r",
+		"Opening.m4r",
+		"Playtime.m4r",
+		"Presto.m4r",
+		"Radar.m4r",
+		"Radiate.m4r",
+		"Ripples.m4r",
+		"Sencha.m4r",
+		"Signal.m4r",
+		"Silk.m4r",
+		"Slow Rise.m4r",
+		"Stargaze.m4r",
+		"Summit.m4r",
+		"Twinkle.m4r",
+		"Uplift.m4r",
+		"Waves.m4r",
+		"voip",
+		"eligible",
+		"upgrade",
+		"planned",
+		"current",
+		"future",
+		"disable",
+		"expire",
+		"start",
+		"stop",
+		"accuracy",
+		"speed",
+		"bearing",
+		"recording",
+		"encrypt",
+		"key",
+		"identity",
+		"w:gp2",
+		"admin",
+		"locked",
+		"unlocked",
+		"new",
+		"battery",
+		"archive",
+		"adm",
+		"plaintext_size",
+		"compressed_size",
+		"delivered",
+		"msg",
+		"pkmsg",
+		"everyone",
+		"v",
+		"transport",
+		"call-id"
+	]
+}));
+
+// The module used to export the token array, where the secondary table starts at index 236:
+// keep exporting it for the code that indexes it, with the API attached
+module.exports = exports = defaultDictionary.primary.concat(defaultDictionary.secondary);
+
+exports.Dictionary     = Dictionary;
+exports.register       = register;
+exports.get            = get;
+exports.load           = load;
+exports.defaultVersion = '1.5';
@@ -1,5 +1,6 @@
 var crypto = require('crypto');
 var rc4 = require('./rc4');
+var IntegrityError = require('./errors').IntegrityError;
 
 function KeyStream(key, macKey) {
 	//this.cipher = crypto.createCipheriv('rc4', key, new Buffer(''));
@@ -43,16 +44,59 @@ KeyStream.prototype.encodeMessage = function(buffer, macOffset, offset, length){
 //WAUTH-2
 KeyStream.prototype.decodeMessage = function(buffer, macOffset, offset, length){
 		var mac = this.computeMac(buffer, offset, length);
+
+		if (!macEquals(mac, buffer, macOffset)) {
+			throw new IntegrityError('Invalid MAC on incoming frame (sequence ' + (this.seq - 1) + ')');
+		}
+
 		var decoded = this.rc4engine.cipher(buffer, offset, length);
-		return decoded.slice(0, length);
+		return decoded.slice(offset, offset + length);
 };
 
+/**
+ * Compare the first 4 bytes of the computed MAC with the ones found in the frame,
+ * in constant time
+ * @param  {Buffer} mac          Computed MAC
+ * @param  {Buffer} buffer       Frame
+ * @param  {Number} macOffset    Position of the MAC in the frame
+ * @return {Boolean}
+ */
+function macEquals(mac, buffer, macOffset) {
+	if (buffer.length < macOffset + 4) {
+		return false;
+	}
+
+	var diff = 0;
+	for (var i = 0; i < 4; i++) {
+		diff |= mac[i] ^ buffer[macOffset + i];
+	}
+
+	return diff === 0;
+}
+
 function pbkdf2(password, salt, iterations, length) {
 	iterations = iterations || 16;
 	length     = length || 20;
 
-	return crypto.pbkdf2Sync(password, salt, iterations, length);
+	return crypto.pbkdf2Sync(password, salt, iterations, length, 'sha1');
+}
+
+/**
+ * Derive the four WAUTH-2 session keys from the password and the server nonce
+ * @param  {String} password    Base64 encoded account password
+ * @param  {Buffer} nonce       Challenge data sent by the server
+ * @return {Array<Buffer>}      Writer key, writer MAC key, reader key, reader MAC key (client side)
+ */
+function generateKeys(password, nonce) {
+	var keys = [];
+	for(var j=1;j<5;j++){
+		var currNonce = Buffer.concat( [nonce, new Buffer([j])] );
+		keys.push( pbkdf2(new Buffer(password, 'base64'), currNonce, 2, 20) );
+	}
+	return keys;
 }
 
-exports.KeyStream = KeyStream;
-exports.pbkdf2    = pbkdf2;
\ No newline at end of file
+exports.KeyStream      = KeyStream;
+exports.IntegrityError = IntegrityError;
+exports.pbkdf2         = pbkdf2;
+exports.generateKeys   = generateKeys;
\ No newline at end of file
@@ -0,0 +1,209 @@
+var util   = require('util');
+var common = require('./common');
+
+/**
+ * Base class of the errors passed to callbacks, rejected or emitted by the library.
+ * Every error has a stable code to tell the failure apart without parsing the message.
+ * Generic codes:
+ * - 'invalid-state': method called in the wrong connection state, e.g. login before connect
+ * - 'cancelled': request cancelled with cancelRequest
+ * - 'vetoed': node refused by an outgoing hook (unless the hook passed its own code)
+ * - 'no-store': conversation history requested without a store configured
+ * - 'not-supported': the configured store doesn't implement the feature, e.g. search
+ * - 'invalid-option': unknown value of an option, e.g. a log level or a dictionary version
+ * - 'invalid-argument': argument of the wrong type or size, e.g. a callback that isn't a function
+ * - 'invalid-plugin': plugin refused by WhatsApi.use (no name, name or method already taken, missing dependency)
+ * - 'invalid-format': unknown export format
+ * @class WhatsApiError
+ * @augments Error
+ * @param {String} code
+ * @param {String} message
+ * @param {Object} details    (optional) Additional properties, e.g. the cause
+ */
+function WhatsApiError(code, message, details) {
+	Error.call(this);
+	Error.captureStackTrace && Error.captureStackTrace(this, this.constructor);
+
+	this.name    = 'WhatsApiError';
+	this.code    = code;
+	this.message = message;
+
+	common.extend(this, details);
+}
+
+util.inherits(WhatsApiError, Error);
+
+/**
+ * Copy of the error, so that every callback failed with it gets its own instance
+ * @return {WhatsApiError}
+ */
+WhatsApiError.prototype.clone = function() {
+	var clone = common.extend(Object.create(Object.getPrototypeOf(this)), this);
+
+	// Not enumerable, so not copied by extend
+	clone.stack = this.stack;
+
+	return clone;
+};
+
+/**
+ * Connection failures. Codes:
+ * - 'not-connected': data sent without a connection
+ * - 'connect-failed': the connection could not be established (see cause)
+ * - 'socket-error': the established connection failed (see cause)
+ * - 'connection-lost': the connection dropped while a request was pending
+ * - 'disconnected': the client disconnected while a request was pending
+ * - 'integrity': an incoming frame failed the MAC check (IntegrityError)
+ * @class TransportError
+ * @augments WhatsApiError
+ * @param {String} code
+ * @param {String} message
+ * @param {Object} details    (optional) E.g. { cause: socketError }
+ */
+function TransportError(code, message, details) {
+	WhatsApiError.call(this, code, message, details);
+
+	this.name = 'TransportError';
+}
+
+util.inherits(TransportError, WhatsApiError);
+
+/**
+ * Raised when the MAC of an incoming frame doesn't match its content
+ * @class IntegrityError
+ * @augments TransportError
+ * @param {String} message
+ */
+function IntegrityError(message) {
+	TransportError.call(this, 'integrity', message);
+
+	this.name = 'IntegrityError';
+}
+
+util.inherits(IntegrityError, TransportError);
+
+/**
+ * Data that can't be read or written with the protocol. Codes:
+ * - 'invalid-token': a token missing from the dictionary
+ * - 'invalid-list-size': a list size with an unknown type
+ * - 'truncated-frame': a frame shorter than its content
+ * - 'missing-key': an encrypted frame received before the keys were set up
+ * - 'frame-too-large': a node too big for a frame
+ * - 'self-check-failed': a written node doesn't read back the same (see Writer.selfCheck)
+ * - 'invalid-xml': XML that can't be parsed into nodes
+ * - 'invalid-frame': an incoming frame failed to parse for another reason (see cause)
+ * @class ProtocolError
+ * @augments WhatsApiError
+ * @param {String} code
+ * @param {String} message
+ * @param {Object} details    (optional) E.g. { cause: err }
+ */
+function ProtocolError(code, message, details) {
+	WhatsApiError.call(this, code, message, details);
+
+	this.name = 'ProtocolError';
+}
+
+util.inherits(ProtocolError, WhatsApiError);
+
+/**
+ * Login refused by the server. Code 'auth-failed', with the reason given by the server
+ * (e.g. 'not-authorized' for a wrong password, 'temporarily-unavailable')
+ * @class AuthError
+ * @augments WhatsApiError
+ * @param {String} reason
+ */
+function AuthError(reason) {
+	WhatsApiError.call(this, 'auth-failed', 'Login failed: ' + reason, { reason: reason });
+
+	this.name = 'AuthError';
+}
+
+util.inherits(AuthError, WhatsApiError);
+
+/**
+ * Error answered by the server to a request. The code is the one sent by the server,
+ * e.g. '404' (item-not-found), '401' (not-authorized), '503' (service-unavailable)
+ * @class ServerError
+ * @augments WhatsApiError
+ * @param {String} code
+ * @param {String} text       Error text sent by the server
+ * @param {Number} backoff    (optional) Seconds to wait before trying again, when the server asks to
+ */
+function ServerError(code, text, backoff) {
+	WhatsApiError.call(this, code, text || 'Server error ' + code);
+
+	this.name = 'ServerError';
+
+	if (backoff) {
+		this.backoff = backoff;
+	}
+}
+
+util.inherits(ServerError, WhatsApiError);
+
+/**
+ * Failure handling a media file. Codes:
+ * - 'invalid-type': unknown media type
+ * - 'invalid-mime-type': the file type isn't accepted for the media type
+ * - 'too-big': the file exceeds the size limit of the media type
+ * - 'not-found': the path is neither an existing file nor a URL
+ * - 'download-failed', 'read-failed', 'upload-failed', 'thumbnail-failed'
+ * - 'invalid-image-tool': imageTool isn't one of ImageTools
+ * @class MediaError
+ * @augments WhatsApiError
+ * @param {String} code
+ * @param {String} message
+ * @param {Object} details    (optional) E.g. { cause: err }
+ */
+function MediaError(code, message, details) {
+	WhatsApiError.call(this, code, message, details);
+
+	this.name = 'MediaError';
+}
+
+util.inherits(MediaError, WhatsApiError);
+
+/**
+ * Failure registering a number. Codes:
+ * - 'invalid-phone': no country matches the number
+ * - 'request-failed': the server refused the request (see response)
+ * - 'invalid-response': the server answered with something else than JSON (see response)
+ * - 'network-error': the request could not be sent (see cause)
+ * @class RegistrationError
+ * @augments WhatsApiError
+ * @param {String} code
+ * @param {String} message
+ * @param {Object} details    (optional) E.g. { response: response }
+ */
+function RegistrationError(code, message, details) {
+	WhatsApiError.call(this, code, message, details);
+
+	this.name = 'RegistrationError';
+}
+
+util.inherits(RegistrationError, WhatsApiError);
+
+/**
+ * No response received in time for a request. Code 'timeout'
+ * @class TimeoutError
+ * @augments WhatsApiError
+ * @param {Number} timeout    Milliseconds waited
+ */
+function TimeoutError(timeout) {
+	WhatsApiError.call(this, 'timeout', 'No response received within ' + timeout + 'ms', { timeout: timeout });
+
+	this.name = 'TimeoutError';
+}
+
+util.inherits(TimeoutError, WhatsApiError);
+
+exports.WhatsApiError     = WhatsApiError;
+exports.TransportError    = TransportError;
+exports.IntegrityError    = IntegrityError;
+exports.ProtocolError     = ProtocolError;
+exports.AuthError         = AuthError;
+exports.ServerError       = ServerError;
+exports.MediaError        = MediaError;
+exports.RegistrationError = RegistrationError;
+exports.TimeoutError      = TimeoutError;
@@ -0,0 +1,236 @@
+/**
+ * Export formats of the conversation history
+ * @readonly
+ * @enum {String}
+ */
+var Format = {
+	JSONL : 'jsonl',
+	HTML  : 'html',
+	TEXT  : 'text'
+};
+
+/**
+ * @typedef ExportOptions
+ * @type {Object}
+ * @property {String} format      'jsonl', 'html' or 'text' (the format of "Export chat" on the phone)
+ * @property {String} path        (optional) File to write the export to
+ * @property {String} title       (optional) Title of the HTML page; the chat JID by default
+ * @property {Object<String, String>} names    (optional) Names to show by JID, e.g. from an address book.
+ *                                Otherwise the push name of the sender is shown, or the number.
+ * @property {String} selfName    (optional) Name to show for our messages; the username by default
+ */
+
+var STYLE = [
+	'body { font-family: sans-serif; background: #e5ddd5; margin: 0 auto; max-width: 800px; padding: 1em; }',
+	'h1 { font-size: 1.2em; text-align: center; }',
+	'.day { text-align: center; color: #555; font-size: 0.85em; margin: 1em 0 0.5em; }',
+	'.message { background: #fff; border-radius: 6px; margin: 0.3em 0; max-width: 75%; padding: 0.4em 0.6em; clear: both; }',
+	'.message.out { background: #dcf8c6; float: right; }',
+	'.message.in { float: left; }',
+	'.author { color: #075e54; font-size: 0.85em; font-weight: bold; }',
+	'.text { white-space: pre-wrap; word-wrap: break-word; }',
+	'.meta { color: #888; font-size: 0.75em; text-align: right; }',
+	'img { display: block; max-width: 100%; }',
+	'.omitted { color: #888; font-style: italic; }'
+].join('\n');
+
+/**
+ * Write messages in a format
+ * @param  {Array<StoredMessage>} messages    Oldest first, media.path set to the local file when there is one
+ * @param  {ExportOptions}        options
+ * @return {String}
+ */
+function exportMessages(messages, options) {
+	switch (options.format) {
+		case Format.JSONL:
+			return toJsonLines(messages);
+		case Format.HTML:
+			return toHtml(messages, options);
+		case Format.TEXT:
+			return toText(messages, options);
+	}
+
+	throw new Error('Unknown export format: ' + options.format);
+}
+
+/**
+ * One message per line, as stored
+ * @param  {Array<StoredMessage>} messages
+ * @return {String}
+ */
+function toJsonLines(messages) {
+	return messages.map(function(message) {
+		return JSON.stringify(message) + '\n';
+	}).join('');
+}
+
+/**
+ * Page that can be opened without network access, with the thumbnails inline
+ * @param  {Array<StoredMessage>} messages
+ * @param  {ExportOptions}        options
+ * @return {String}
+ */
+function toHtml(messages, options) {
+	var title = escapeHtml(options.title || (messages.length ? messages[0].chat : ''));
+	var day   = null;
+	var html  = [];
+
+	html.push(
+		'<!DOCTYPE html>',
+		'<html>',
+		'<head>',
+		'<meta charset="utf-8">',
+		'<title>' + title + '</title>',
+		'<style>\n' + STYLE + '\n</style>',
+		'</head>',
+		'<body>',
+		'<h1>' + title + '</h1>'
+	);
+
+	messages.forEach(function(message) {
+		if (formatDay(message.date) !== day) {
+			day = formatDay(message.date);
+			html.push('<div class="day">' + day + '</div>');
+		}
+
+		var meta = formatTime(message.date) + (message.fromMe && message.status ? ' · ' + escapeHtml(message.status) : '');
+
+		html.push(
+			'<div class="message ' + (message.fromMe ? 'out' : 'in') + '" id="message-' + escapeHtml(message.id) + '">',
+			'<div class="author">' + escapeHtml(getName(message, options)) + '</div>',
+			getHtmlContent(message),
+			'<div class="meta">' + meta + '</div>',
+			'</div>'
+		);
+	});
+
+	html.push('</body>', '</html>', '');
+
+	return html.join('\n');
+}
+
+/**
+ * @param  {StoredMessage} message
+ * @return {String}
+ */
+function getHtmlContent(message) {
+	var media = message.media;
+
+	if (!media) {
+		return '<div class="text">' + escapeHtml(message.body) + '</div>';
+	}
+
+	var parts = [];
+	var link  = media.path ? toFileUrl(media.path) : null;
+
+	if (message.type === 'location') {
+		link = 'https://maps.google.com/?q=' + media.latitude + ',' + media.longitude;
+	}
+
+	if (isBase64(media.thumbData)) {
+		var image = '<img src="data:image/jpeg;base64,' + media.thumbData + '" alt="">';
+
+		parts.push(link ? '<a href="' + escapeHtml(link) + '">' + image + '</a>' : image);
+	} else if (link) {
+		parts.push('<a href="' + escapeHtml(link) + '">' + escapeHtml(media.path || link) + '</a>');
+	}
+
+	// Media files not downloaded; vCards are in the message itself
+	if (!media.path && media.url && message.type !== 'location') {
+		parts.push('<div class="omitted">' + escapeHtml(message.type) + ' omitted</div>');
+	}
+
+	var text = media.caption || media.name;
+
+	if (text) {
+		parts.push('<div class="text">' + escapeHtml(text) + '</div>');
+	}
+
+	return parts.join('\n');
+}
+
+/**
+ * Lines like the ones of "Export chat" on the phone: "31/12/2015, 23:59 - Name: text"
+ * @param  {Array<StoredMessage>} messages
+ * @param  {ExportOptions}        options
+ * @return {String}
+ */
+function toText(messages, options) {
+	return messages.map(function(message) {
+		return formatDay(message.date) + ', ' + formatTime(message.date) + ' - ' +
+			getName(message, options) + ': ' + getTextContent(message) + '\n';
+	}).join('');
+}
+
+/**
+ * @param  {StoredMessage} message
+ * @return {String}
+ */
+function getTextContent(message) {
+	var media = message.media;
+
+	if (!media) {
+		return message.body;
+	}
+
+	if (message.type === 'location') {
+		return 'location: https://maps.google.com/?q=' + media.latitude + ',' + media.longitude +
+			(media.name ? '\n' + media.name : '');
+	}
+
+	var text = media.path ? media.path + ' (file attached)' : '<Media omitted>';
+	var more = media.caption || media.name;
+
+	return more ? text + '\n' + more : text;
+}
+
+/**
+ * @param  {StoredMessage} message
+ * @param  {ExportOptions} options
+ * @return {String}
+ */
+function getName(message, options) {
+	var names = options.names || {};
+
+	if (names[message.author]) {
+		return names[message.author];
+	}
+
+	if (message.fromMe) {
+		return options.selfName || 'You';
+	}
+
+	return message.notify || '+' + (message.author || '').split('@')[0];
+}
+
+function formatDay(date) {
+	return pad(date.getDate()) + '/' + pad(date.getMonth() + 1) + '/' + date.getFullYear();
+}
+
+function formatTime(date) {
+	return pad(date.getHours()) + ':' + pad(date.getMinutes());
+}
+
+function pad(number) {
+	return (number < 10 ? '0' : '') + number;
+}
+
+function toFileUrl(path) {
+	return 'file://' + encodeURI(path.replace(/\\/g, '/').replace(/^(?!\/)/, '/'));
+}
+
+// Thumbnails come from the network: only inline them when they can't break out of the attribute
+function isBase64(data) {
+	return typeof data === 'string' && data.length > 0 && /^[A-Za-z0-9+\/]+={0,2}$/.test(data);
+}
+
+function escapeHtml(text) {
+	return String(text === null || text === undefined ? '' : text)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+}
+
+exports.Format         = Format;
+exports.exportMessages = exportMessages;
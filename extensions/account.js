@@ -3,6 +3,7 @@
 
 var protocol = require('../protocol.js');
 var common = require('../common.js');
+var errors = require('../errors.js');
 var MediaType = require('../MediaType.js');
 var util = require('util');
 var fs = require('fs');
@@ -15,8 +16,9 @@ var WhatsApi = module.exports = function() {};
  * @param {String}  mode        The sync mode. 'full' or 'delta'
  * @param {String}  context     The sync context. 'registration' or 'background' (more info in the wiki)
  * @param {SyncCallback} callback    Called when sync results are ready
+ * @return {Promise<ContactsSync>} When no callback is given
  */
-WhatsApi.prototype.requestContactsSync = function(contacts, mode, context, callback) {
+WhatsApi.prototype.requestContactsSync = common.callbackOrPromise(function(contacts, mode, context, callback) {
 	if (!util.isArray(contacts)) {
 		contacts = [contacts];
 	}
@@ -60,7 +62,7 @@ WhatsApi.prototype.requestContactsSync = function(contacts, mode, context, callb
 	);
 	
 	this.sendNode(node);
-};
+});
 
 /**
  * Update privacy settings
@@ -107,8 +109,9 @@ WhatsApi.prototype.requestPrivacySettings = function(){
  * Set current logged in user status
  * @param {String} status The new status message
  * @param {Function} callback
+ * @return {Promise} When no callback is given
  */
-WhatsApi.prototype.setStatus = function(status, callback) {
+WhatsApi.prototype.setStatus = common.callbackOrPromise(function(status, callback) {
 	var messageId = this.nextMessageId('sendstatus');
 	
 	this.addCallback(messageId, callback);
@@ -123,23 +126,25 @@ WhatsApi.prototype.setStatus = function(status, callback) {
     };
 
     this.sendNode(new protocol.Node('iq', attributes, [child]));
-};
+});
 
 /**
  * Request status for the given number
  * @param {String} number Phone number
  * @param {StatusCallback} callback
+ * @return {Promise<Array<Status>>} When no callback is given
  */
 WhatsApi.prototype.getStatus = function(number, callback) {
-	this.getStatuses(number, callback);
+	return this.getStatuses(number, callback);
 };
 
 /**
  * Request statuses for the given array of phone numbers
  * @param {Array} numbers   Array of phone numbers
  * @param {StatusCallback} callback
+ * @return {Promise<Array<Status>>} When no callback is given
  */
-WhatsApi.prototype.getStatuses = function(numbers, callback) {
+WhatsApi.prototype.getStatuses = common.callbackOrPromise(function(numbers, callback) {
 	// String to Array, just in case
 	if (!Array.isArray(numbers)) {
 		numbers = [numbers];
@@ -177,14 +182,15 @@ WhatsApi.prototype.getStatuses = function(numbers, callback) {
     );
 
     this.sendNode(node);
-};
+});
 
 /**
  * Request last seen time for given user
  * @param {String}   who       Phone number
  * @param {LastSeenCallback} callback  Called when the last seen time is received
+ * @return {Promise<LastSeen>} When no callback is given
  */
-WhatsApi.prototype.requestLastSeen = function(who, callback) {
+WhatsApi.prototype.requestLastSeen = common.callbackOrPromise(function(who, callback) {
 	var messageId = this.nextMessageId('lastseen');
 	this.addCallback(messageId, callback);
 		
@@ -198,7 +204,7 @@ WhatsApi.prototype.requestLastSeen = function(who, callback) {
 	};
 
 	this.sendNode(new protocol.Node('iq', attributes, [queryNode]));
-};
+});
 
 /**
  * Set a new profile picture for the active account
@@ -207,8 +213,9 @@ WhatsApi.prototype.requestLastSeen = function(who, callback) {
  * @example
  * //sets a random image as profile picture. Image is retrieved from lorempixel.com
  * wa.setProfilePicture('http://lorempixel.com/400/400/?.jpg');
+ * @return {Promise} When no callback is given
  */
-WhatsApi.prototype.setProfilePicture = function(filepath, callback) {
+WhatsApi.prototype.setProfilePicture = common.callbackOrPromise(function(filepath, callback) {
 	var pictureNode, thumbNode;
 	var attributes = {
 		id: this.nextMessageId('setphoto'),
@@ -220,11 +227,7 @@ WhatsApi.prototype.setProfilePicture = function(filepath, callback) {
 	var onThumbReady = function(err, data) {
 		// 'data' is returned as a base64 string
 		if (err) {
-			var errorObj = {
-				code: 100,
-				message: err
-			};
-			callback(errorObj);
+			callback(err);
 			return;
 		}
 		thumbNode = new protocol.Node('picture', {type:'preview'}, null, new Buffer(data, 'base64'));
@@ -237,21 +240,13 @@ WhatsApi.prototype.setProfilePicture = function(filepath, callback) {
 
 	this.getMediaFile(filepath, MediaType.IMAGE, function(err, path) {
 		if (err) {
-			var errorObj = {
-				code: 100,
-				message: err
-			};
-			callback(errorObj);
+			callback(err);
 			return;
 		}
 		
 		fs.readFile(path, function(err, data) {
 				if (err) {
-					var errorObj = {
-						code: 100,
-						message: 'Error reading downloaded file: ' + JSON.stringify(err)
-					};
-					callback(errorObj);
+					callback(new errors.MediaError('read-failed', 'Error reading downloaded file: ' + JSON.stringify(err), { cause: err }));
 					return;
 				}
 				
@@ -260,7 +255,7 @@ WhatsApi.prototype.setProfilePicture = function(filepath, callback) {
 		}.bind(this));
 		
 	}.bind(this));
-};
+});
 
 /**
  * Send a request for the profile picture for the specified account
@@ -272,11 +267,16 @@ WhatsApi.prototype.setProfilePicture = function(filepath, callback) {
  * @param {ProfilePictureCallback} callback
  * @example
  * // Request full size profile picture from 49xxxxxxxx
- * wa.getProfilePicture('49xxxxxxxx', false, function(res) {
- *   fs.writeFile('whatsapi/media/profilepic-'+res.from+(res.isPreview?'-preview':'-full')+'.jpg', res.pictureData); 
+ * wa.getProfilePicture('49xxxxxxxx', false, function(err, res) {
+ *   if (err) {
+ *     console.log('error: ' + err.message);
+ *     return;
+ *   }
+ *   fs.writeFile('whatsapi/media/profilepic-'+res.jid+(res.isPreview?'-preview':'-full')+'.jpg', res.pictureData); 
  * });
+ * @return {Promise<ProfilePicture>} When no callback is given
  */
-WhatsApi.prototype.getProfilePicture = function(target, small, callback) {
+WhatsApi.prototype.getProfilePicture = common.callbackOrPromise(function(target, small, callback) {
 	var messageId = this.nextMessageId('profilepicture');
 	
 	this.addCallback(messageId, callback);
@@ -299,7 +299,7 @@ WhatsApi.prototype.getProfilePicture = function(target, small, callback) {
 	};
 
 	this.sendNode(new protocol.Node('iq', attributes, [pictureNode]));
-};
+});
 
 /**
  * Extend account by one year from now
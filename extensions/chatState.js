@@ -12,6 +12,7 @@ WhatsApi.prototype.sendIsOnline = function() {
 		name : this.config.username
 	};
 
+	this.presence = 'available';
 	this.sendNode(new protocol.Node('presence', attributes));
 };
 
@@ -24,6 +25,7 @@ WhatsApi.prototype.sendIsOffline = function() {
 		name : this.config.username
 	};
 
+	this.presence = 'unavailable';
 	this.sendNode(new protocol.Node('presence', attributes));
 };
 
@@ -0,0 +1,382 @@
+// Conversations submodule
+// Records the sent and received messages in the configured store,
+// and what the responses tell about contacts and groups when the store keeps it.
+// Searches and exports the recorded history.
+
+var fs       = require('fs');
+var path     = require('path');
+var common   = require('../common.js');
+var errors   = require('../errors.js');
+var exporter = require('../exporter.js');
+var WhatsApi = module.exports = function() {};
+
+// Messages read from the store at once when exporting
+var EXPORT_PAGE = 500;
+
+// Media attributes holding numbers
+var NUMERIC_ATTRIBUTES = ['size', 'width', 'height', 'seconds', 'duration', 'latitude', 'longitude'];
+
+/**
+ * Messages of a conversation, oldest first
+ * @param  {String}         chat        Contact number or JID, or group JID
+ * @param  {HistoryOptions} options     (optional) Paging
+ * @param  {Function}       callback    function(err, messages)
+ * @return {Promise<Array<StoredMessage>>}  When no callback is given
+ * @example
+ * // Page backwards through a conversation
+ * wa.getChatHistory('491234567890', { limit: 20 }, function(err, messages) {
+ *   wa.getChatHistory('491234567890', { limit: 20, before: messages[0].id }, ...);
+ * });
+ */
+WhatsApi.prototype.getChatHistory = common.callbackOrPromise(function(chat, options, callback) {
+	if (typeof options === 'function') {
+		callback = options;
+		options  = null;
+	}
+
+	if (!this.store) {
+		callback(createNoStoreError());
+		return;
+	}
+
+	this.store.getMessages(this.createJID(chat), options || {}, callback);
+});
+
+/**
+ * Conversations with stored messages, most recently active first
+ * @param  {Function} callback    function(err, chats)
+ * @return {Promise<Array<ChatSummary>>}  When no callback is given
+ */
+WhatsApi.prototype.getChats = common.callbackOrPromise(function(callback) {
+	if (!this.store) {
+		callback(createNoStoreError());
+		return;
+	}
+
+	this.store.getChats(callback);
+});
+
+/**
+ * Search the stored messages by words, chat, sender, date and type
+ * @param  {SearchQuery} query
+ * @param  {Function}    callback    function(err, results)
+ * @return {Promise<Array<SearchResult>>}  When no callback is given
+ * @example
+ * // Images whose caption mentions an invoice, sent by a contact in March
+ * wa.searchMessages({
+ *   text   : 'invoice',
+ *   author : '491234567890',
+ *   type   : 'image',
+ *   since  : new Date(2015, 2, 1),
+ *   until  : new Date(2015, 3, 1)
+ * }, function(err, results) {
+ *   results.forEach(function(result) {
+ *     console.log(result.score, result.message.media.caption, result.before, result.after);
+ *   });
+ * });
+ */
+WhatsApi.prototype.searchMessages = common.callbackOrPromise(function(query, callback) {
+	if (!this.store) {
+		callback(createNoStoreError());
+		return;
+	}
+
+	if (typeof this.store.search !== 'function') {
+		callback(new errors.WhatsApiError('not-supported', 'The store cannot search the messages'));
+		return;
+	}
+
+	query = common.extend({}, query);
+
+	// Numbers are accepted like for the other methods
+	query.chat   = query.chat && this.createJID(query.chat);
+	query.author = query.author && this.createJID(query.author);
+
+	this.store.search(query, callback);
+});
+
+/**
+ * Export the stored messages of a conversation, oldest first. Media files are referenced
+ * by their local path when they were downloaded (with downloadMediaFile) or sent from this machine.
+ * @param  {String}        chat        Contact number or JID, or group JID
+ * @param  {ExportOptions} options
+ * @param  {Function}      callback    function(err, output), output being the exported text
+ * @return {Promise<String>}  When no callback is given
+ * @example
+ * wa.exportChat('491234567890', { format: 'html', path: './chat.html' }, function(err) {
+ *   // Page with the conversation and its thumbnails, readable offline
+ * });
+ */
+WhatsApi.prototype.exportChat = common.callbackOrPromise(function(chat, options, callback) {
+	if (typeof options === 'function') {
+		callback = options;
+		options  = null;
+	}
+
+	options = options || {};
+
+	if (!this.store) {
+		callback(createNoStoreError());
+		return;
+	}
+
+	var formats = Object.keys(exporter.Format).map(function(key) {
+		return exporter.Format[key];
+	});
+
+	if (formats.indexOf(options.format) === -1) {
+		callback(new errors.WhatsApiError('invalid-format', 'Export format must be one of: ' + formats.join(', ')));
+		return;
+	}
+
+	options = common.extend({ selfName: this.config.username }, options);
+
+	this.getAllMessages(this.createJID(chat), function(err, messages) {
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		this.addMediaPaths(messages, function(err) {
+			if (err) {
+				callback(err);
+				return;
+			}
+
+			var output = exporter.exportMessages(messages, options);
+
+			if (!options.path) {
+				callback(null, output);
+				return;
+			}
+
+			fs.writeFile(options.path, output, function(err) {
+				callback(err || null, err ? null : output);
+			});
+		});
+	}.bind(this));
+});
+
+/**
+ * Remember where a media file is on this machine, if the store can keep it
+ * @param  {String} url          URL of the media
+ * @param  {String} filePath     Local file
+ * @private
+ */
+WhatsApi.prototype.recordMediaPath = function(url, filePath) {
+	if (!this.store || typeof this.store.saveMediaPath !== 'function') {
+		return;
+	}
+
+	this.store.saveMediaPath(url, path.resolve(filePath), function(err) {
+		err && this.log('warn', 'media', 'Cannot store a media path', { url: url, error: err });
+	}.bind(this));
+};
+
+/**
+ * Every stored message of a chat, oldest first, read page by page from the newest
+ * @param  {String}   chat        JID
+ * @param  {Function} callback    function(err, messages)
+ * @private
+ */
+WhatsApi.prototype.getAllMessages = function(chat, callback) {
+	var messages = [];
+
+	var next = function(err, page) {
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		messages = page.concat(messages);
+
+		if (page.length < EXPORT_PAGE) {
+			callback(null, messages);
+			return;
+		}
+
+		this.store.getMessages(chat, { limit: EXPORT_PAGE, before: page[0].id }, next);
+	}.bind(this);
+
+	this.store.getMessages(chat, { limit: EXPORT_PAGE }, next);
+};
+
+/**
+ * Set media.path on the media messages whose file is still on this machine
+ * @param  {Array<StoredMessage>} messages
+ * @param  {Function}             callback    function(err)
+ * @private
+ */
+WhatsApi.prototype.addMediaPaths = function(messages, callback) {
+	var store = this.store;
+
+	var media = messages.filter(function(message) {
+		return message.media && message.media.url && message.type !== 'location';
+	});
+
+	if (typeof store.getMediaPath !== 'function') {
+		callback(null);
+		return;
+	}
+
+	var next = function(err) {
+		var message = media.shift();
+
+		if (err || !message) {
+			callback(err || null);
+			return;
+		}
+
+		store.getMediaPath(message.media.url, function(err, filePath) {
+			if (err || !filePath) {
+				next(err);
+				return;
+			}
+
+			fs.exists(filePath, function(exists) {
+				if (exists) {
+					message.media.path = filePath;
+				}
+
+				next();
+			});
+		});
+	};
+
+	next();
+};
+
+/**
+ * Save a message node in the store, if any
+ * @param  {Node}     node        Message node
+ * @param  {Boolean}  fromMe      Whether we are sending it
+ * @param  {Function} callback    (optional) Called once saved, even when the store failed (the error is logged);
+ *                                right away when there is nothing to save
+ * @private
+ */
+WhatsApi.prototype.recordMessage = function(node, fromMe, callback) {
+	var message = this.store && this.createStoredMessage(node, fromMe);
+
+	callback = callback || function() {};
+
+	if (!message) {
+		callback();
+		return;
+	}
+
+	this.store.saveMessage(message, function(err) {
+		err && this.log('warn', 'rx', 'Cannot store a message', { id: node.attribute('id'), error: err });
+		callback();
+	}.bind(this));
+};
+
+/**
+ * Save the new status of a sent message in the store, if any
+ * @param  {String} id
+ * @param  {String} status
+ * @param  {Date}   date
+ * @private
+ */
+WhatsApi.prototype.recordMessageStatus = function(id, status, date) {
+	if (!this.store) {
+		return;
+	}
+
+	this.store.updateStatus(id, status, date, function(err) {
+		err && this.log('warn', 'tx', 'Cannot store a message status', { id: id, error: err });
+	}.bind(this));
+};
+
+/**
+ * Pass data received in a response to the store, if it keeps that kind of data
+ * (e.g. saveContacts or saveGroups of a SqliteStore)
+ * @param  {String} method    Store method
+ * @param  {*}      data
+ * @private
+ */
+WhatsApi.prototype.recordInStore = function(method, data) {
+	if (!this.store || typeof this.store[method] !== 'function') {
+		return;
+	}
+
+	this.store[method](data, function(err) {
+		err && this.log('warn', 'rx', 'Cannot store the response data', { method: method, error: err });
+	}.bind(this));
+};
+
+/**
+ * @param  {Node}    node
+ * @param  {Boolean} fromMe
+ * @return {StoredMessage}  null for messages with neither text nor media (e.g. encrypted ones)
+ * @private
+ */
+WhatsApi.prototype.createStoredMessage = function(node, fromMe) {
+	var body  = node.child('body');
+	var media = node.child('media');
+
+	if (!body && !media) {
+		return null;
+	}
+
+	return {
+		id      : node.attribute('id'),
+		chat    : fromMe ? node.attribute('to') : node.attribute('from'),
+		author  : fromMe ? this.selfAddress : node.attribute('participant') || node.attribute('from'),
+		fromMe  : fromMe,
+		type    : body ? 'text' : media.attribute('type'),
+		body    : body ? body.data().toString('utf8') : null,
+		media   : media ? getMediaDetails(media) : null,
+		notify  : fromMe ? null : node.attribute('notify') || null,
+		date    : node.attributeDate('t') || new Date(),
+		status  : fromMe ? 'pending' : 'received',
+		updated : null
+	};
+};
+
+/**
+ * @param  {Group} group    As given to the group callbacks
+ * @return {StoredGroup}
+ * @private
+ */
+WhatsApi.prototype.createStoredGroup = function(group) {
+	return {
+		jid          : this.createJID(group.groupId),
+		subject      : group.subject,
+		creator      : group.creator,
+		creationDate : group.creationDate,
+		participants : group.participants
+	};
+};
+
+/**
+ * @param  {Node}   media
+ * @return {Object}
+ */
+function getMediaDetails(media) {
+	var details = {};
+	var vcard   = media.child('vcard');
+	var data    = media.data();
+
+	for (var name in media.attributes()) {
+		if (name === 'type' || name === 'xmlns') {
+			continue;
+		}
+
+		var value = media.attribute(name);
+		details[name] = NUMERIC_ATTRIBUTES.indexOf(name) === -1 ? value : +value;
+	}
+
+	if (vcard) {
+		details.name  = vcard.attribute('name');
+		details.vcard = vcard.data().toString('utf8');
+	} else if (data && data.length) {
+		// Sent thumbnails are already base64
+		details.thumbData = typeof data === 'string' ? data : data.toString('base64');
+	}
+
+	return details;
+}
+
+function createNoStoreError() {
+	return new errors.WhatsApiError('no-store', 'No store configured to keep the conversations');
+}
@@ -2,6 +2,7 @@
 // Includes functions for groups management
 
 var protocol = require('../protocol.js');
+var common = require('../common.js');
 var util = require('util');
 var WhatsApi = module.exports = function() {};
 
@@ -11,8 +12,9 @@ var WhatsApi = module.exports = function() {};
  * @param {GroupsListCallback} callback  Called when the response is received
  * @example
  * wa.requestGroupList(function(err, array) { });
+ * @return {Promise<Array<Group>>}  When no callback is given
  */
-WhatsApi.prototype.requestGroupsList = function(type, callback) {
+WhatsApi.prototype.requestGroupsList = common.callbackOrPromise(function(type, callback) {
 	type = type || 'participating';
 	
 	// Make the first argument optional
@@ -35,14 +37,15 @@ WhatsApi.prototype.requestGroupsList = function(type, callback) {
 	};
 
 	this.sendNode(new protocol.Node('iq', attributes, [listNode]));
-};
+});
 
 /**
  * Request info for a group
  * @param {String} groupId              The ID of the group to request info for
  * @param {GroupInfoCallback} callback  Called when the response is received
+ * @return {Promise<Group>}   When no callback is given
  */
-WhatsApi.prototype.requestGroupInfo = function(groupId, callback) {
+WhatsApi.prototype.requestGroupInfo = common.callbackOrPromise(function(groupId, callback) {
 	var messageId = this.nextMessageId('get_groupv2_info');
 	
 	this.addCallback(messageId, callback);
@@ -66,7 +69,7 @@ WhatsApi.prototype.requestGroupInfo = function(groupId, callback) {
 	);
 
 	this.sendNode(node);
-};
+});
 
 /**
  * Creates a new group
@@ -77,8 +80,9 @@ WhatsApi.prototype.requestGroupInfo = function(groupId, callback) {
  * wa.createGroup('Group name', '39xxxxxxxxxx');
  * // or
  * wa.createGroup('Group name', ['39xxxxxxxxxx', '31xxxxxxxxxx']);
+ * @return {Promise<Group>} When no callback is given
  */
-WhatsApi.prototype.createGroup = function(subject, numbers, callback) {
+WhatsApi.prototype.createGroup = common.callbackOrPromise(function(subject, numbers, callback) {
 	if (!util.isArray(numbers)) {
 		numbers = [numbers];
 	};
@@ -118,16 +122,17 @@ WhatsApi.prototype.createGroup = function(subject, numbers, callback) {
 	);
 
 	this.sendNode(node);
-};
+});
 
 /**
  * Add new participants to the group
  * @param {String} groupId  Group ID
  * @param {Array}  numbers  Array of participants numbers to add
  * @param {GroupParticipantsCallback} callback
+ * @return {Promise<GroupParticipantsResult>} When no callback is given
  */
 WhatsApi.prototype.addGroupParticipants = function(groupId, numbers, callback) {
-	this.changeGroupParticipants(groupId, numbers, 'add', callback);
+	return this.changeGroupParticipants(groupId, numbers, 'add', callback);
 };
 
 /**
@@ -135,9 +140,10 @@ WhatsApi.prototype.addGroupParticipants = function(groupId, numbers, callback) {
  * @param {String} groupId  Group ID
  * @param {Array}  numbers  Array of participants numbers to remove
  * @param {GroupParticipantsCallback} callback
+ * @return {Promise<GroupParticipantsResult>} When no callback is given
  */
 WhatsApi.prototype.removeGroupParticipants = function(groupId, numbers, callback) {
-	this.changeGroupParticipants(groupId, numbers, 'remove', callback);
+	return this.changeGroupParticipants(groupId, numbers, 'remove', callback);
 };
 
 /**
@@ -145,9 +151,10 @@ WhatsApi.prototype.removeGroupParticipants = function(groupId, numbers, callback
  * @param {String} groupId  Group ID
  * @param {Array}  numbers  Array of participants numbers to promote
  * @param {GroupParticipantsCallback} callback
+ * @return {Promise<GroupParticipantsResult>} When no callback is given
  */
 WhatsApi.prototype.promoteGroupParticipants = function(groupId, numbers, callback) {
-	this.changeGroupParticipants(groupId, numbers, 'promote', callback);
+	return this.changeGroupParticipants(groupId, numbers, 'promote', callback);
 };
 
 /**
@@ -155,9 +162,10 @@ WhatsApi.prototype.promoteGroupParticipants = function(groupId, numbers, callbac
  * @param {String} groupId  Group ID
  * @param {Array}  numbers  Array of participants numbers to demote
  * @param {GroupParticipantsCallback} callback
+ * @return {Promise<GroupParticipantsResult>} When no callback is given
  */
 WhatsApi.prototype.demoteGroupParticipants = function(groupId, numbers, callback) {
-	this.changeGroupParticipants(groupId, numbers, 'demote', callback);
+	return this.changeGroupParticipants(groupId, numbers, 'demote', callback);
 };
 
 /**
@@ -167,8 +175,9 @@ WhatsApi.prototype.demoteGroupParticipants = function(groupId, numbers, callback
  * @param {String} action    Action to execute on the numbers
  * @param {GroupParticipantsCallback} callback
  * @private
+ * @return {Promise<GroupParticipantsResult>} When no callback is given
  */
-WhatsApi.prototype.changeGroupParticipants = function(groupId, numbers, action, callback) {
+WhatsApi.prototype.changeGroupParticipants = common.callbackOrPromise(function(groupId, numbers, action, callback) {
 	if (!Array.isArray(numbers)) {
 		numbers = [numbers];
 	}
@@ -200,14 +209,21 @@ WhatsApi.prototype.changeGroupParticipants = function(groupId, numbers, action,
 	);
 	
 	this.sendNode(node);
-};
+}, function(action, change, groupId) {
+	return {
+		action       : action,
+		participants : change,
+		groupId      : groupId
+	};
+});
 
 /**
  * Request to leave groups
  * @param {Array<String>} groupIds    Group IDs you want to leave
  * @param {GroupLeaveCallback} callback
+ * @return {Promise} When no callback is given
  */
-WhatsApi.prototype.requestGroupsLeave = function(groupIds, callback) {
+WhatsApi.prototype.requestGroupsLeave = common.callbackOrPromise(function(groupIds, callback) {
 	if (!Array.isArray(groupIds)) {
 		groupIds = [groupIds];
 	}
@@ -230,15 +246,16 @@ WhatsApi.prototype.requestGroupsLeave = function(groupIds, callback) {
 	};
 
 	this.sendNode(new protocol.Node('iq', attributes, [leaveNode]));
-};
+});
 
 /**
  * Request to leave a single group
  * @param  {String}   groupId  Group ID you want to leave
  * @param  {GroupLeaveCallback} callback
+ * @return {Promise} When no callback is given
  */
 WhatsApi.prototype.requestGroupLeave = function(groupId, callback) {
-	this.requestGroupsLeave([groupId], callback);
+	return this.requestGroupsLeave([groupId], callback);
 };
 
 /**
@@ -246,8 +263,9 @@ WhatsApi.prototype.requestGroupLeave = function(groupId, callback) {
  * @param {String} groupId    ID of the group you want to change the subject of
  * @param {String} subject    New subject/topic/name text
  * @param {GroupSubjectCallback} callback
+ * @return {Promise} When no callback is given
  */
-WhatsApi.prototype.setGroupSubject = function(groupId, subject, callback) {
+WhatsApi.prototype.setGroupSubject = common.callbackOrPromise(function(groupId, subject, callback) {
 	var messageId = this.nextMessageId('set_group_subject');
 	
 	this.addCallback(messageId, callback);
@@ -266,5 +284,5 @@ WhatsApi.prototype.setGroupSubject = function(groupId, subject, callback) {
 	);
 	
 	this.sendNode(node);
-};
+});
 
@@ -4,6 +4,8 @@
 var MediaType = require('../MediaType.js');
 var ImageTools = require('../ImageTools.js');
 var protocol = require('../protocol.js');
+var common = require('../common.js');
+var errors = require('../errors.js');
 var path = require('path');
 var crypto = require('crypto');
 var http = require('http');
@@ -44,6 +46,12 @@ WhatsApi.prototype.createRequestMediaUploadNode = function(filehash, filetype, f
 	};
 	if(caption && caption.length) this.mediaQueue[iqAttributes.id].caption = caption;
 
+	// Fails the upload if the server answers with an error, never answers or the connection drops
+	this.addCallback(iqAttributes.id, function(err) {
+		delete this.mediaQueue[iqAttributes.id];
+		callback && callback(err);
+	});
+
 	return new protocol.Node('iq', iqAttributes, [mediaNode]);
 };
 
@@ -56,6 +64,7 @@ WhatsApi.prototype.createMediaUploadNode = function(node, callback) {
 	
 	var queued = this.mediaQueue[id];
 	delete this.mediaQueue[id];
+	this.removeCallback(id);
 	
 	var attributes = {
 		xmlns : 'urn:xmpp:whatsapp:mms'
@@ -76,8 +85,9 @@ WhatsApi.prototype.createMediaUploadNode = function(node, callback) {
 				return;
 			}
 
+			this.recordMediaPath(url, queued.filepath);
 			callback(null, ackCallback, queued.to, new protocol.Node('media', attributes, null, data));
-		};
+		}.bind(this);
 
 		if (type === MediaType.IMAGE) {
 			this.createImageThumbnail(queued.filepath, onThumbReady);
@@ -96,6 +106,7 @@ WhatsApi.prototype.createMediaUploadNode = function(node, callback) {
 	var duplicate = node.child('duplicate');
 
 	if (duplicate) {
+		this.log('debug', 'media', 'The server already has the file', { id: id, url: duplicate.attribute('url') });
 		onAttributesReady(
 			duplicate.attribute('url'),
 			duplicate.attribute('type'),
@@ -103,20 +114,24 @@ WhatsApi.prototype.createMediaUploadNode = function(node, callback) {
 			duplicate.attribute('url').replace(/(?:.*\/|^)([^\/]+)$/, '$1')
 		);
 	} else {
+		this.log('info', 'media', 'Uploading ' + queued.filepath, { id: id, size: queued.filesize });
+		
 		this.uploadMediaFile(queued, node.child('media').attribute('url'), function(err, response) {
 			if (err) {
+				this.log('warn', 'media', 'Upload failed', { id: id, error: err });
 				callback(err, ackCallback);
 				return;
 			}
 
+			this.log('debug', 'media', 'Uploaded', { id: id, url: response.url });
 			onAttributesReady(response.url, response.type, response.size, response.name);
-		});
+		}.bind(this));
 	}
 };
 
 WhatsApi.prototype.getMediaFile = function(filepath, filetype, callback) {
 	if(!this.mediaMimeTypes.hasOwnProperty(filetype)) {
-		callback('Invalid file type: ' + filetype);
+		callback(new errors.MediaError('invalid-type', 'Invalid file type: ' + filetype));
 		return;
 	}
 
@@ -124,7 +139,7 @@ WhatsApi.prototype.getMediaFile = function(filepath, filetype, callback) {
 		var mimeType = mime.lookup(path);
 
 		if(this.mediaMimeTypes[filetype].mime.indexOf(mimeType) === -1) {
-			callback('Invalid file mime type: ' + mimeType);
+			callback(new errors.MediaError('invalid-mime-type', 'Invalid file mime type: ' + mimeType));
 			return;
 		}
 
@@ -132,7 +147,7 @@ WhatsApi.prototype.getMediaFile = function(filepath, filetype, callback) {
 		var maxSize  = this.mediaMimeTypes[filetype].size;
 
 		if(maxSize < fileSize) {
-			callback('Media file too big (max size is ' + maxSize + '; file size is ' + fileSize + ')');
+			callback(new errors.MediaError('too-big', 'Media file too big (max size is ' + maxSize + '; file size is ' + fileSize + ')'));
 			return;
 		}
 
@@ -148,7 +163,7 @@ WhatsApi.prototype.getMediaFile = function(filepath, filetype, callback) {
 		var parsed = url.parse(filepath);
 
 		if(!parsed.host) {
-			callback('Given path is neither an existing file nor a valid URL');
+			callback(new errors.MediaError('not-found', 'Given path is neither an existing file nor a valid URL'));
 			return;
 		}
 
@@ -162,7 +177,13 @@ WhatsApi.prototype.getMediaFile = function(filepath, filetype, callback) {
 	}.bind(this));
 };
 
-WhatsApi.prototype.downloadMediaFile = function(destUrl, callback) {
+/**
+ * Download a remote media file to a temporary file
+ * @param  {String}   destUrl    URL of the file
+ * @param  {Function} callback   Called with the local path of the downloaded file
+ * @return {Promise<String>}     When no callback is given, resolves with the local path
+ */
+WhatsApi.prototype.downloadMediaFile = common.callbackOrPromise(function(destUrl, callback) {
 	var match = destUrl.match(/\.[^\/.]+$/);
 
 	var ext = match ? match[0] : '';
@@ -171,12 +192,22 @@ WhatsApi.prototype.downloadMediaFile = function(destUrl, callback) {
 
 	var reqObj = schema === 'https:' ? https : http;
 
+	this.log('debug', 'media', 'Downloading ' + destUrl);
+
 	reqObj.get(destUrl, function(res) {
 		if(res.statusCode != 200){
 			if( res.statusCode == 302 && res.headers && res.headers.location){
-				return this.downloadMediaFile( res.headers.location, callback);
+				return this.downloadMediaFile( res.headers.location, function(err, filePath) {
+					!err && this.recordMediaPath(destUrl, filePath);
+					callback(err, filePath);
+				}.bind(this));
 			}
-			callback('Error downloading the file. HTTP 200 or 302 reponse expected, but received: ' + res.statusCode);
+			res.resume();
+			return callback(new errors.MediaError(
+				'download-failed',
+				'Error downloading the file. HTTP 200 or 302 reponse expected, but received: ' + res.statusCode,
+				{ statusCode: res.statusCode }
+			));
 		}
 		
 		var buffers = [];
@@ -185,37 +216,36 @@ WhatsApi.prototype.downloadMediaFile = function(destUrl, callback) {
 		});
 		
 		res.on('error', function(err){
-			callback('Error downloading data: ' + err);
+			callback(new errors.MediaError('download-failed', 'Error downloading data: ' + err, { cause: err }));
 		});
 		
 		res.on('close', function(had_error){
 			if (had_error){
-				callback('Error occured while downloading data');
+				callback(new errors.MediaError('download-failed', 'Error occured while downloading data'));
 			}
 		});
 
 		res.on('end', function() {
-			if (ext) {
-				ext = '.' + ext;
-			}
+			// ext already starts with the dot
 			tmp.file({ prefix: 'media-', postfix: ext }, function(err, filePath, fd) {
 				if (err) {
-					return callback('Error creating temporary file: ' + err);
+					return callback(new errors.MediaError('download-failed', 'Error creating temporary file: ' + err, { cause: err }));
 				}
 
 				fs.writeFile(filePath, Buffer.concat(buffers), function(err) {
 					if (err) {
-						callback('Error saving downloaded file: ' + err);
+						callback(new errors.MediaError('download-failed', 'Error saving downloaded file: ' + err, { cause: err }));
 					} else {
+						this.recordMediaPath(destUrl, filePath);
 						callback(null, filePath);
 					}
-				});
-			});
-		});
+				}.bind(this));
+			}.bind(this));
+		}.bind(this));
 	}.bind(this)).on('error', function(e) {
-		callback('Error downloading the file. HTTP error: ' + e.message);
+		callback(new errors.MediaError('download-failed', 'Error downloading the file. HTTP error: ' + e.message, { cause: e }));
 	});
-};
+});
 
 WhatsApi.prototype.uploadMediaFile = function(queue, destUrl, callback) {
 	var type       = mime.lookup(queue.filepath);
@@ -278,7 +308,7 @@ WhatsApi.prototype.uploadMediaFile = function(queue, destUrl, callback) {
 	});
 
 	tlsStream.on('error', function(err) {
-		callback('SSL/TLS error: ' + err);
+		callback(new errors.MediaError('upload-failed', 'SSL/TLS error: ' + err, { cause: err }));
 	}.bind(this));
 
 	var buffers = [];
@@ -293,7 +323,7 @@ WhatsApi.prototype.uploadMediaFile = function(queue, destUrl, callback) {
 		try {
 			callback(null, JSON.parse(result.split('\r\n\r\n').pop()));
 		} catch(e) {
-			callback('Unexpected upload response: ' + result);
+			callback(new errors.MediaError('upload-failed', 'Unexpected upload response: ' + result));
 		}
 	});
 };
@@ -327,7 +357,11 @@ WhatsApi.prototype.createImageThumbnail = function(srcPath, callback) {
 					this.resize(96, 96);
 					this.getBuffer(mime.lookup(srcPath), function(err, buffer) {
 						if (err) {
-							callback('Error occured while generating thumbnail, using Jimp. ' + err.message);
+							callback(new errors.MediaError(
+								'thumbnail-failed',
+								'Error occured while generating thumbnail, using Jimp. ' + err.message,
+								{ cause: err }
+							));
 							return;
 						}
 						callback(null, buffer.toString('base64'));
@@ -335,7 +369,7 @@ WhatsApi.prototype.createImageThumbnail = function(srcPath, callback) {
 					this.write(dstPath); // save, just for log
 				}
 				catch (e) {
-					callback('Error occured while generating thumbnail, using Jimp. ' + e.message);
+					callback(new errors.MediaError('thumbnail-failed', 'Error occured while generating thumbnail, using Jimp. ' + e.message, { cause: e }));
 				}
 			});
 		}
@@ -347,7 +381,7 @@ WhatsApi.prototype.createImageThumbnail = function(srcPath, callback) {
 				var options = { imageMagick: false };
 			}
 			else {
-				callback('Invalid image tool chosen for generating thumbnail');
+				callback(new errors.MediaError('invalid-image-tool', 'Invalid image tool chosen for generating thumbnail'));
 				return;
 			}
 			
@@ -359,13 +393,20 @@ WhatsApi.prototype.createImageThumbnail = function(srcPath, callback) {
 				.gravity('Center')
 				.crop(96, 96)
 				.toBuffer(function(err, buffer) {
-					if (err) callback('Error occured while generating thumbnail, using GM. ' + JSON.stringify(err));
+					if (err) {
+						callback(new errors.MediaError(
+							'thumbnail-failed',
+							'Error occured while generating thumbnail, using GM. ' + JSON.stringify(err),
+							{ cause: err }
+						));
+						return;
+					}
 					callback(null, buffer.toString('base64'));
 				})
 				.write(dstPath, function() {});
 		}
 	} catch(e) {
-		callback('Unexpected error while generating thumbnail: ' + e.message);
+		callback(new errors.MediaError('thumbnail-failed', 'Unexpected error while generating thumbnail: ' + e.message, { cause: e }));
 	}
 };
 
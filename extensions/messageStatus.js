@@ -0,0 +1,199 @@
+// Message status submodule
+// Tracks the status of the sent messages, combining server acks and receipts
+
+var common = require('../common.js');
+var WhatsApi = module.exports = function() {};
+
+/**
+ * Status of a sent message, in the order they are normally gone through
+ * @readonly
+ * @enum {String}
+ */
+var Status = {
+	PENDING   : 'pending',
+	SERVER    : 'server',
+	DELIVERED : 'delivered',
+	READ      : 'read',
+	FAILED    : 'failed'
+};
+
+var ORDER = [Status.PENDING, Status.SERVER, Status.DELIVERED, Status.READ];
+
+/**
+ * @typedef MessageStatus
+ * @type {Object}
+ * @property {String} id             Message ID
+ * @property {String} to             Recipient (or group) JID
+ * @property {String} status         'pending', 'server', 'delivered', 'read' or 'failed' (final: a failed
+ *                                   message is never sent again, so later receipts can't be about it)
+ * @property {Date}   time           When the status was reached
+ * @property {ResponseError} error   Why the message failed, for the 'failed' status
+ * @property {String} participant    Group participant whose receipt caused the change, if any
+ * @property {Object<String, ParticipantStatus>} participants    Status per group participant, by JID.
+ *                                   The status of a group message is the furthest one reached by a participant.
+ */
+
+/**
+ * @typedef ParticipantStatus
+ * @type {Object}
+ * @property {String} status    'delivered' or 'read'
+ * @property {Date}   time
+ */
+
+/**
+ * Reset the tracked statuses
+ * @private
+ */
+WhatsApi.prototype.initMessageStatus = function() {
+	this.messageStatuses  = {};
+	this.messageStatusIds = [];
+};
+
+/**
+ * Status of a sent message
+ * @param  {String} id    Message ID
+ * @return {MessageStatus|null}    null when unknown, or forgotten (see messageStatusLimit)
+ * @example
+ * wa.sendMessage('491234567890', 'Hello', function(err, id) {
+ *   console.log(wa.getMessageStatus(id).status); // 'server'
+ * });
+ */
+WhatsApi.prototype.getMessageStatus = function(id) {
+	var tracked = this.messageStatuses[id];
+
+	return tracked ? copyStatus(tracked) : null;
+};
+
+/**
+ * Move a message to a further status, ignoring signals arriving out of order
+ * (e.g. a read receipt before the delivery one)
+ * @param  {String} id
+ * @param  {String} status
+ * @param  {Object} details    (optional) to, time, error, participant
+ * @private
+ */
+WhatsApi.prototype.setMessageStatus = function(id, status, details) {
+	details = details || {};
+
+	var tracked = this.messageStatuses[id];
+	var time    = details.time || new Date();
+
+	if (!tracked) {
+		tracked = this.trackMessageStatus(id, details.to || null);
+	} else if (tracked.status === Status.FAILED) {
+		return;
+	}
+
+	if (details.participant) {
+		var participant = tracked.participants[details.participant];
+
+		if (participant && !isFurther(status, participant.status)) {
+			return;
+		}
+
+		tracked.participants[details.participant] = { status: status, time: time };
+	}
+
+	if (status === Status.FAILED || isFurther(status, tracked.status)) {
+		tracked.status = status;
+		tracked.time   = time;
+		tracked.error  = details.error || null;
+
+		this.recordMessageStatus(id, status, time);
+	} else if (!details.participant) {
+		return;
+	}
+
+	tracked.participant = details.participant || null;
+
+	/**
+	 * Emitted when a sent message changes status, or a group participant received or read it
+	 * @event messageStatus
+	 * @param {MessageStatus} status
+	 */
+	this.emit('messageStatus', copyStatus(tracked));
+};
+
+/**
+ * Start tracking a message, forgetting the oldest one past the limit
+ * @param  {String} id
+ * @param  {String} to
+ * @return {Object}
+ * @private
+ */
+WhatsApi.prototype.trackMessageStatus = function(id, to) {
+	var tracked = {
+		id           : id,
+		to           : to,
+		status       : null,
+		time         : null,
+		error        : null,
+		participant  : null,
+		participants : {}
+	};
+
+	this.messageStatuses[id] = tracked;
+	this.messageStatusIds.push(id);
+
+	var limit = this.config.messageStatusLimit;
+
+	while (limit > 0 && this.messageStatusIds.length > limit) {
+		delete this.messageStatuses[this.messageStatusIds.shift()];
+	}
+
+	return tracked;
+};
+
+/**
+ * Update the statuses from a receipt, for the main ID and the ones in its list.
+ * IDs of messages we didn't send (or forgot, see messageStatusLimit) are ignored.
+ * @param  {Node} node
+ * @private
+ */
+WhatsApi.prototype.handleReceiptStatus = function(node) {
+	var type = node.attribute('type');
+	var status;
+
+	if (!type || type === 'delivery') {
+		status = Status.DELIVERED;
+	} else if (type === 'read' || type === 'played') {
+		status = Status.READ;
+	} else {
+		return;
+	}
+
+	var ids = [node.attribute('id')].concat(node.findAll('list/item').map(function(item) {
+		return item.attribute('id');
+	}));
+
+	var details = {
+		to          : node.attribute('from'),
+		time        : node.attributeDate('t') || new Date(),
+		participant : node.attribute('participant') || null
+	};
+
+	ids.forEach(function(id) {
+		if (this.messageStatuses.hasOwnProperty(id)) {
+			this.setMessageStatus(id, status, common.extend({}, details));
+		}
+	}, this);
+};
+
+/**
+ * @param  {String}  status
+ * @param  {String}  current    null when nothing is known yet
+ * @return {Boolean} Whether status comes after current
+ */
+function isFurther(status, current) {
+	return current === null || ORDER.indexOf(status) > ORDER.indexOf(current);
+}
+
+function copyStatus(tracked) {
+	var participants = {};
+
+	for (var jid in tracked.participants) {
+		participants[jid] = common.extend({}, tracked.participants[jid]);
+	}
+
+	return common.extend({}, tracked, { participants: participants });
+}
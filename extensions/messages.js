@@ -4,32 +4,52 @@
 var MediaType = require('../MediaType.js');
 var protocol = require('../protocol.js');
 var common = require('../common.js');
+var errors = require('../errors.js');
 var fs = require('fs');
 var crypto = require('crypto');
 var WhatsApi = module.exports = function() {};
 
 /**
+ * Queue a message in the outbox, sent right away when logged in or else on the next login.
+ * The callback is called once the server acknowledges or refuses the message.
  * @private
  */
 WhatsApi.prototype.sendMessageNode = function(to, node, msgid, callback) {
-	if (!this.loggedIn) {
-		this.queue.push({to : to, node : node});
-		return;
-	}
-	
 	var messageId = msgid || this.nextMessageId('message');
-	this.addCallback(messageId, callback);
 
 	var attributes = {
 		to   : this.createJID(to),
 		type : (node.tag() === 'body' ? 'text' : 'media'),
 		id   : messageId,
+		// Kept when the message is sent again from the outbox: it dates the message, like on the phone
 		t    : common.tstamp().toString()
 	};
 
-	var messageNode = new protocol.Node('message', attributes, [node]);
+	var entry = {
+		id       : messageId,
+		to       : attributes.to,
+		node     : new protocol.Node('message', attributes, [node]),
+		attempts : 0
+	};
+
+	if (callback) {
+		this.outboxCallbacks[messageId] = callback;
+	}
+
+	this.outbox.add(entry, function(err) {
+		if (err) {
+			delete this.outboxCallbacks[messageId];
+			callback && callback(err);
+			return;
+		}
+
+		this.recordMessage(entry.node, true);
+		this.setMessageStatus(messageId, 'pending', { to: attributes.to });
 
-	this.sendNode(messageNode);
+		if (this.isLoggedIn()) {
+			this.flushQueue();
+		}
+	}.bind(this));
 };
 
 /**
@@ -39,8 +59,9 @@ WhatsApi.prototype.sendMessageNode = function(to, node, msgid, callback) {
  * @param {String} msgid           Message ID (optional)
  * @param {Function} callback      Called when the server receives the message
  * @fires clientReceived
+ * @return {Promise<String>}  When no callback is given, resolves with the message ID once the server receives it
  */
-WhatsApi.prototype.sendMessage = function(to, message, msgid, callback) {
+WhatsApi.prototype.sendMessage = common.callbackOrPromise(function(to, message, msgid, callback) {
 	// Convert arguments to array
 	var args = common.toArray(arguments);
 	
@@ -60,7 +81,7 @@ WhatsApi.prototype.sendMessage = function(to, message, msgid, callback) {
 	
 	var bodyNode = new protocol.Node('body', null, null, message);
 	this.sendMessageNode(to, bodyNode, msgid, callback);
-};
+});
 
 /**
  * Send a location message
@@ -72,8 +93,9 @@ WhatsApi.prototype.sendMessage = function(to, message, msgid, callback) {
  * @param  {String}   msgid     Message ID (optional)
  * @param  {Function} callback  Called when the server receives the message
  * @fires clientReceived
+ * @return {Promise<String>}  When no callback is given, resolves with the message ID
  */
-WhatsApi.prototype.sendLocation = function(to, lat, lng, name, url, msgid, callback) {
+WhatsApi.prototype.sendLocation = common.callbackOrPromise(function(to, lat, lng, name, url, msgid, callback) {
 	// Convert arguments to array
 	var args = common.toArray(arguments);
 	
@@ -103,7 +125,7 @@ WhatsApi.prototype.sendLocation = function(to, lat, lng, name, url, msgid, callb
 	var node = new protocol.Node('media', attributes);
 
 	this.sendMessageNode(to, node, msgid, callback);
-};
+});
 
 
 /**
@@ -117,8 +139,9 @@ WhatsApi.prototype.sendLocation = function(to, lat, lng, name, url, msgid, callb
  * @fires clientReceived
  * @example
  * wa.sendImage('491234567890', 'http://lorempixel.com/800/600/?.jpg', 'This is a caption');
+ * @return {Promise<String>}       When no callback is given, resolves with the message ID
  */
-WhatsApi.prototype.sendImage = function(to, filepath, caption, msgid, callback) {
+WhatsApi.prototype.sendImage = common.callbackOrPromise(function(to, filepath, caption, msgid, callback) {
 	// Convert arguments to array
 	var args = common.toArray(arguments);
 	
@@ -133,7 +156,7 @@ WhatsApi.prototype.sendImage = function(to, filepath, caption, msgid, callback)
 	msgid = args.length > 0 ? args.shift() : null;
 	
 	this.sendMedia(to, filepath, MediaType.IMAGE, caption, msgid, callback);
-};
+});
 
 /**
 * Send a video to the specified destination. An optional caption an message ID can be specified.
@@ -146,8 +169,9 @@ WhatsApi.prototype.sendImage = function(to, filepath, caption, msgid, callback)
 * @fires clientReceived
 * @example
 * wa.sendVideo('491234567890','http://clips.vorwaerts-gmbh.de/big_buck_bunny.mp4', 'Big Buck Bunny');
+* @return {Promise<String>}    When no callback is given, resolves with the message ID
 */
-WhatsApi.prototype.sendVideo = function(to, filepath, caption, msgid, callback) {
+WhatsApi.prototype.sendVideo = common.callbackOrPromise(function(to, filepath, caption, msgid, callback) {
 	// Convert arguments to array
 	var args = common.toArray(arguments);
 	
@@ -162,7 +186,7 @@ WhatsApi.prototype.sendVideo = function(to, filepath, caption, msgid, callback)
 	msgid = args.length > 0 ? args.shift() : null;
 	
 	this.sendMedia(to, filepath, MediaType.VIDEO, caption, msgid, callback);
-};
+});
 
 /**
  * Send an audio file to the specified destination.
@@ -174,8 +198,9 @@ WhatsApi.prototype.sendVideo = function(to, filepath, caption, msgid, callback)
  * @fires clientReceived
  * @example
  * wa.sendAudio('491234567890', 'http://archive.org/download/Exodus1KJV/02001_Exodus_1.mp3');
+ * @return {Promise<String>}     When no callback is given, resolves with the message ID
  */
-WhatsApi.prototype.sendAudio = function(to, filepath, msgid, callback) {
+WhatsApi.prototype.sendAudio = common.callbackOrPromise(function(to, filepath, msgid, callback) {
 	// Convert arguments to array
 	var args = common.toArray(arguments);
 	
@@ -189,16 +214,12 @@ WhatsApi.prototype.sendAudio = function(to, filepath, msgid, callback) {
 	msgid = args.length > 0 ? args.shift() : null;
 	
 	this.sendMedia(to, filepath, MediaType.AUDIO, null, msgid, callback);
-};
+});
 
-WhatsApi.prototype.sendMedia = function(to, filepath, type, caption, msgid, callback) {
+WhatsApi.prototype.sendMedia = common.callbackOrPromise(function(to, filepath, type, caption, msgid, callback) {
 	this.getMediaFile(filepath, type, function(err, path) {
 		if (err) {
-			var errorObj = {
-				code: 100,
-				message: err
-			}
-			callback(errorObj);
+			callback(err);
 			return;
 		}
 
@@ -212,7 +233,7 @@ WhatsApi.prototype.sendMedia = function(to, filepath, type, caption, msgid, call
 
 		this.sendNode(uploadNode);
 	}.bind(this));
-};
+});
 
 /**
  * Send a vCard file to the specified destination.
@@ -225,8 +246,9 @@ WhatsApi.prototype.sendMedia = function(to, filepath, type, caption, msgid, call
  * @fires clientReceived
  * @example
  * wa.sendVcard('491234567890', 'http://www.w3.org/2002/12/cal/vcard-examples/john-doe.vcf', 'John Doe');
+ * @return {Promise<String>}    When no callback is given, resolves with the message ID
  */
-WhatsApi.prototype.sendVcard = function(to, filepath, name, msgid, callback) {
+WhatsApi.prototype.sendVcard = common.callbackOrPromise(function(to, filepath, name, msgid, callback) {
 	// Convert arguments to array
 	var args = common.toArray(arguments);
 	
@@ -241,21 +263,13 @@ WhatsApi.prototype.sendVcard = function(to, filepath, name, msgid, callback) {
 	
 	this.getMediaFile(filepath, MediaType.VCARD, function(err, path) {
 		if (err) {
-			var errorObj = {
-				code: 100,
-				message: err
-			};
-			callback(errorObj);
+			callback(err);
 			return;
 		}
 		
 		fs.readFile(path, function(err, data) {
 			if (err) {
-				var errorObj = {
-					code: 100,
-					message: 'Error reading downloaded file: ' + JSON.stringify(err)
-				};
-				callback(errorObj);
+				callback(new errors.MediaError('read-failed', 'Error reading downloaded file: ' + JSON.stringify(err), { cause: err }));
 				return;
 			}
 
@@ -266,4 +280,4 @@ WhatsApi.prototype.sendVcard = function(to, filepath, name, msgid, callback) {
 			
 		}.bind(this));
 	}.bind(this));
-};
+});
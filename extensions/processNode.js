@@ -2,647 +2,802 @@
 // Includes the function for processing the incoming nodes
 
 var fs = require('fs');
+var common = require('../common.js');
+var errors = require('../errors.js');
 var WhatsApi = module.exports = function() {};
 
 /**
- * Process incoming node
+ * Handler of incoming nodes
+ * @typedef NodeHandler
+ * @type {Object}
+ * @property {String}          name        (optional) Adding a handler with the name of a registered one replaces it
+ * @property {Function|String} match       function(node) returning true for the nodes to handle, or a tag name
+ * @property {Function}        handle      function(node), called on the WhatsApi instance.
+ *                                         The node isn't passed to the next handlers unless it returns false.
+ * @property {Number}          priority    (optional) Handlers with a higher priority run first, default 0.
+ *                                         Built-in handlers use 0 (100 for errors and iq() results, -100 for unrecognized results)
+ *                                         and run in the order they are registered in registerBuiltinHandlers.
+ * @property {Boolean}         observe     (optional) Only look at the node: the next handlers always get it.
+ *                                         Use a priority above 0 to see the nodes built-in handlers take care of.
+ */
+
+/**
+ * Process incoming node: emit it, then pass it to the registered handlers
  * @param  {Node} node    Node to parse
  * @private
  */
 WhatsApi.prototype.processNode = function(node) {
-	var nodeId = node.attribute('id');
-	
-	if (node.isError()) {
-		var errorNode = node.child('error');
-		var error = {
-			code: errorNode.attribute('code'),
-			message: errorNode.attribute('text')
-		};
-		
-		if (errorNode.attribute('backoff')) {
-			error.backoff = +errorNode.attribute('backoff');
-		}
-		
-		this.executeCallback(nodeId, error, true);
-		
-		return;
-	}
-	
 	/**
-	 * Response error; 'null' means success
-	 * @typedef ResponseError
-	 * @type {Object}
-	 * @property {String} code      Error code
-	 * @property {String} message   Error text
+	 * Emitted for every incoming node, before it is handled
+	 * @event node
+	 * @param {Node} node
 	 */
+	this.emit('node', node);
 	
-	// Got new message, send a 'receipt' node
-	if (node.shouldBeReplied() && node.attribute('from') !== this.selfAddress) {
-		// Standard receipt
-		if (this.config.sendReceipt >= 1) {
-			this.sendNode(this.createReceiptNode(node));
-		}
-		// Read receipt
-		if (this.config.sendReceipt == 2) {
-			this.sendNode(this.createReceiptNode(node, 'read'));
-		}		
-	}
+	// Handlers added or removed while processing apply to the next node
+	var handlers = this.handlers.slice();
 	
-	// Notification node
-	if (node.isNotification()) {
-		this.sendNode(this.createNotificationAckNode(node));
+	for (var i = 0; i < handlers.length; i++) {
+		var handler = handlers[i];
 		
-		this.processNotification(node);
+		if (!handler.match.call(this, node)) {
+			continue;
+		}
 		
-		return;
+		if (handler.handle.call(this, node) !== false && !handler.observe) {
+			return;
+		}
 	}
 	
 	/**
-	 * Group object
-	 * @typedef Group
-	 * @type {Object}
-	 * @property {String} id            Group ID
-	 * @property {String} creator       JID of the creator. Equal to s.whatsapp.net when the creator is self
-	 * @property {Date}   creation      Group creation date
-	 * @property {String} subject       Subject (name) of the group
-	 * @property {Array<Participant>}  participants  Collection of group participants
+	 * Emitted for incoming nodes no handler took care of
+	 * @event unhandledNode
+	 * @param {Node} node
 	 */
+	this.emit('unhandledNode', node);
+};
+
+/**
+ * Register a handler for incoming nodes
+ * @param  {NodeHandler} handler
+ * @return {String}      Name of the handler, to remove it later
+ * @example
+ * wa.addHandler({
+ *   name: 'calls',
+ *   match: 'call',
+ *   priority: 10,
+ *   handle: function(node) {
+ *     this.sendNode(new protocol.Node('receipt', { to: node.attribute('from'), id: node.attribute('id') }));
+ *   }
+ * });
+ */
+WhatsApi.prototype.addHandler = function(handler) {
+	var tag = handler.match;
+	var name = handler.name || 'handler-' + (++this.handlerId);
 	
-	/**
-	 * Information about a change in group participants
-	 * @typedef ParticipantsChanged
-	 * @type {Object}
-	 * @property {String} groupId      Group ID
-	 * @property {String} action       Action performed: 'add', 'remove', 'promote'(, 'demote')
-	 * @property {String} by           JID of the participant who performed the action
-	 * @property {Date}   time         When the action has been made
-	 * @property {Array<Participant>} participants Collection of group participants involved in the action
-	 */
+	var entry = {
+		name     : name,
+		match    : typeof tag === 'function' ? tag : function(node) { return node.tag() === tag; },
+		handle   : handler.handle,
+		priority : handler.priority || 0,
+		observe  : !!handler.observe
+	};
 	
-	/**
-	 * @typedef Participant
-	 * @type {Object}
-	 * @property {String} jid      User JID
-	 * @property {Boolean} admin   Whether the user is admin of the group; 'undefined' when unknown
-	 */
+	this.removeHandler(name);
 	
-	// Client received the message
-	if (node.isReceipt()) {
-		// Reply with ack
-		this.sendNode(this.createAckNode(node));
-		
-		var type = node.attribute('type') || 'received';
-		var from = node.attribute('from');
-		var time = new Date(+node.attribute('time') * 1000);
-		
-		var messageIds = [];
-		
-		// Main ID
-		messageIds.push(nodeId);
-		
-		// Other IDs
-		if (node.child('list')) {
-			var list = node.child('list');
-			for (var i = 0; i < list.children().length; i++) {
-				messageIds.push(list.child(i).attribute('id'));
-			}
-		}
-		
-		for (var i = 0; i < messageIds.length; i++) {
-			var id = messageIds[i];
-			
-			var args = {
-				id: id,
-				from: from,
-				type: type,
-				time: time
-			};
-			/**
-			 * 
-			 * Emitted when a client received your message
-			 * 
-			 * @event clientReceived
-			 * @type {Object}
-			 * @param {ClientReceived} args    Information about the event
-			 */
-			this.emit('clientReceived', args);
-		}
-		
-		return;
+	// Keep registration order among handlers of the same priority
+	var index = 0;
+	while (index < this.handlers.length && this.handlers[index].priority >= entry.priority) {
+		index++;
 	}
 	
-	/**
-	 * Client received the message (receipt)
-	 * @typedef ClientReceived
-	 * @type {Object}
-	 * @property {String} id      ID of the involved message
-	 * @property {String} from    JID of the user who received the message
-	 * @property {String} type    Event type: 'received' or 'read'
-	 * @property {Date}   time    Date of the event
-	 */
+	this.handlers.splice(index, 0, entry);
 	
+	return name;
+};
+
+/**
+ * @param  {String}  name
+ * @return {Boolean} Whether a handler with that name was registered
+ */
+WhatsApi.prototype.removeHandler = function(name) {
+	var count = this.handlers.length;
 	
-	// Server received the message
-	// And general ack callbacks
-	if (node.isAck() || node.isProfilePictureAck() || node.isSetStatusAck()) {
-		this.executeCallback(nodeId, []);
-		
-		return;
-	}
+	this.handlers = this.handlers.filter(function(handler) {
+		return handler.name !== name;
+	});
+	
+	return this.handlers.length !== count;
+};
 
-	// Authentication
-	if (node.isChallenge()) {
-		this.sendNode(this.createAuthResposeNode(node.data()));
-		this.reader.setKey(this.readerKey);
-		this.writer.setKey(this.writerKey);
-		return;
-	}
+/**
+ * Register the handlers for the nodes the library understands.
+ * Replace one by adding a handler with the same name.
+ * @private
+ */
+WhatsApi.prototype.registerBuiltinHandlers = function() {
+	var builtin = function(name, match, handle, options) {
+		this.addHandler(common.extend({ name: name, match: match, handle: handle }, options));
+	}.bind(this);
+	
+	var isTag = function(tag) {
+		return function(node) {
+			return node.tag() === tag;
+		};
+	};
+	
+	builtin('error', function(node) { return node.isError(); }, this.handleError, { priority: 100 });
+	builtin('iq-result', this.isRawResult, this.handleRawResult, { priority: 100 });
+	
+	builtin('message-receipt', this.shouldSendReceipt, this.sendReceipts, { observe: true });
+	builtin('notification', isTag('notification'), this.handleNotification);
+	builtin('receipt', isTag('receipt'), this.handleReceipt);
+	builtin('ack', function(node) { return node.isAck() || node.isProfilePictureAck() || node.isSetStatusAck(); }, this.handleAck);
+	builtin('challenge', isTag('challenge'), this.handleChallenge);
+	builtin('success', isTag('success'), this.handleSuccess);
+	builtin('failure', isTag('failure'), this.handleFailure);
+	builtin('offline-count', function(node) { return node.isOfflineCount(); }, this.handleOfflineCount, { observe: true });
+	builtin('presence', function(node) { return node.isPresence() && node.attribute('from') != this.selfAddress; }, this.handlePresence);
+	builtin('dirty', function(node) { return node.isDirty(); }, this.handleDirty);
+	builtin('last-seen', function(node) { return node.isLastSeen(); }, this.handleLastSeen);
+	builtin('ping', function(node) { return node.isPing(); }, this.handlePing);
+	builtin('groups-list', function(node) { return node.isGroupsList(); }, this.handleGroupsList);
+	builtin('group-info', function(node) { return node.isGroupInfo() || node.isGroupCreated(); }, this.handleGroupInfo);
+	builtin('group-participants', function(node) { return node.isChangeGroupParticipants(); }, this.handleGroupParticipants);
+	builtin('group-leave', function(node) { return node.isLeaveGroup(); }, this.handleAck);
+	builtin('group-subject', function(node) { return node.isGroupSubjectChanged(); }, this.handleAck);
+	builtin('media-upload', function(node) { return node.isMediaReady(); }, this.handleMediaReady);
+	builtin('profile-picture', function(node) { return node.isProfilePicture(); }, this.handleProfilePicture);
+	builtin('statuses', function(node) { return node.isGetStatus(); }, this.handleStatuses);
+	builtin('message', function(node) { return node.isMessage(); }, this.handleMessage);
+	builtin('typing', function(node) { return node.isTyping(); }, this.handleTyping);
+	builtin('sync', function(node) { return node.isSync(); }, this.handleSync);
+	builtin('properties', function(node) { return node.isProperties(); }, this.handleProperties);
+	builtin('service-pricing', function(node) { return node.isServicePricing(); }, this.handleServicePricing);
+	builtin('privacy-settings', function(node) { return node.isGetPrivacySettings(); }, this.handlePrivacySettings);
+	builtin('privacy-settings-updated', function(node) { return node.isSendPrivacySettings(); }, this.handlePrivacySettings);
+	builtin('account-extended', function(node) { return node.isAccountExtended(); }, this.handleAccountExtended);
+	
+	builtin('unrecognized-result', this.isUnrecognizedResult, this.handleRawResult, { priority: -100 });
+};
 
-	// Successfully logged in
-	if (node.isSuccess()) {
-		fs.writeFile(this.config.challenge_file, node.data());
-		
-		//this.initKeys(node.data());
-		//this.reader.setKey(this.readerKey);
-		this.writer.setKey(this.writerKey);
-		
-		this.loggedIn = true;
-		this.flushQueue();
-		this.emit('login');
-		this.loginCallback && this.loginCallback();
-		return;
-	}
+/**
+ * Response error; 'null' means success.
+ * Methods called without a callback reject with the same error.
+ * It is a WhatsApiError: a ServerError for the errors answered by the server, a TimeoutError,
+ * a TransportError ('connection-lost', 'disconnected') or a MediaError, see errors.js for the codes
+ * @typedef ResponseError
+ * @type {WhatsApiError}
+ * @property {String} code      Error code
+ * @property {String} message   Error text
+ */
+
+WhatsApi.prototype.handleError = function(node) {
+	var errorNode = node.child('error');
+	var error = new errors.ServerError(
+		errorNode.attribute('code'),
+		errorNode.attribute('text'),
+		errorNode.attributeInt('backoff')
+	);
+	
+	this.executeCallback(node.attribute('id'), error, true);
+};
+
+/**
+ * Whether the node is the result of a request made with iq()
+ * @private
+ */
+WhatsApi.prototype.isRawResult = function(node) {
+	var pending = this.getCallback(node.attribute('id'));
 	
-	// Login failed
-	if (node.isFailure()) {
-		this.loggedIn = false;
-		
-		var xml = node.toXml();
-		this.emit('error', xml);
-		this.loginCallback && this.loginCallback(xml);
-		
-		return;
+	return !!pending && pending.raw && node.tag() === 'iq' && node.attribute('type') === 'result';
+};
+
+/**
+ * Whether the node is a result nothing else recognized, that still has a request waiting for it
+ * @private
+ */
+WhatsApi.prototype.isUnrecognizedResult = function(node) {
+	return node.tag() === 'iq' && node.attribute('type') === 'result' && !!this.getCallback(node.attribute('id'));
+};
+
+/**
+ * Give the result node as it is to the request waiting for it
+ * @private
+ */
+WhatsApi.prototype.handleRawResult = function(node) {
+	this.executeCallback(node.attribute('id'), node);
+};
+
+/**
+ * Got new message: the sender gets a 'receipt' node
+ * @private
+ */
+WhatsApi.prototype.shouldSendReceipt = function(node) {
+	return node.shouldBeReplied() && node.attribute('from') !== this.selfAddress;
+};
+
+WhatsApi.prototype.sendReceipts = function(node) {
+	// Standard receipt
+	if (this.config.sendReceipt >= 1) {
+		this.sendNode(this.createReceiptNode(node));
 	}
-	
-	// Messages offline count
-	if (node.isOfflineCount()) {
-		/**
-		 * Emitted when the count of messages received while offline is received
-		 *
-		 * @event offlineCount
-		 * @param {Number} count    Count of messages/notifications
-		 */
-		this.emit('offlineCount', +node.child('offline').attribute('count'));
+	// Read receipt
+	if (this.config.sendReceipt == 2) {
+		this.sendNode(this.createReceiptNode(node, 'read'));
 	}
+};
+
+WhatsApi.prototype.handleNotification = function(node) {
+	this.sendNode(this.createNotificationAckNode(node));
 	
-	// Contact presence update
-	if (node.isPresence() && node.attribute('from') != this.selfAddress) {
-		var type = node.attribute('type') || 'available';
-		var who = node.attribute('from');
-		if (node.attribute('last') == 'deny') {
-			var date = null;
-		}
-		else {
-			var date = new Date(+node.attribute('last') * 1000);
-		}
+	this.processNotification(node);
+};
+
+/**
+ * Group object
+ * @typedef Group
+ * @type {Object}
+ * @property {String} id            Group ID
+ * @property {String} creator       JID of the creator. Equal to s.whatsapp.net when the creator is self
+ * @property {Date}   creation      Group creation date
+ * @property {String} subject       Subject (name) of the group
+ * @property {Array<Participant>}  participants  Collection of group participants
+ */
+
+/**
+ * Information about a change in group participants
+ * @typedef ParticipantsChanged
+ * @type {Object}
+ * @property {String} groupId      Group ID
+ * @property {String} action       Action performed: 'add', 'remove', 'promote'(, 'demote')
+ * @property {String} by           JID of the participant who performed the action
+ * @property {Date}   time         When the action has been made
+ * @property {Array<Participant>} participants Collection of group participants involved in the action
+ */
+
+/**
+ * @typedef Participant
+ * @type {Object}
+ * @property {String} jid      User JID
+ * @property {Boolean} admin   Whether the user is admin of the group; 'undefined' when unknown
+ */
+
+/**
+ * Client received the message
+ * @private
+ */
+WhatsApi.prototype.handleReceipt = function(node) {
+	// Reply with ack
+	this.sendNode(this.createAckNode(node));
+	this.handleReceiptStatus(node);
+	
+	var type = node.attribute('type') || 'received';
+	var from = node.attribute('from');
+	var time = node.attributeDate('t') || new Date();
+	
+	var messageIds = [];
+	
+	// Main ID
+	messageIds.push(node.attribute('id'));
+	
+	// Other IDs
+	node.findAll('list/item').forEach(function(item) {
+		messageIds.push(item.attribute('id'));
+	});
+	
+	for (var i = 0; i < messageIds.length; i++) {
+		var id = messageIds[i];
 		
-		var presence = {
-			from: who,
+		var args = {
+			id: id,
+			from: from,
 			type: type,
-			date: date
-		}
-		
+			time: time
+		};
 		/**
-		 * Emitted when a presence update node is received
 		 * 
-		 * @event presence
-		 * @param {Presence} presence
+		 * Emitted when a client received your message
+		 * 
+		 * @event clientReceived
+		 * @type {Object}
+		 * @param {ClientReceived} args    Information about the event
 		 */
-		this.emit('presence', presence);
-		return;
+		this.emit('clientReceived', args);
 	}
-	/**
-	 * @typedef {Presence}
-	 * @type {Object}
-	 * @param {String} from    JID of the user
-	 * @param {String} type    'available' or 'unavailable'
-	 * @param {Date}   date    Last seen date. 'null' if denied
-	 */
+};
+
+/**
+ * Client received the message (receipt)
+ * @typedef ClientReceived
+ * @type {Object}
+ * @property {String} id      ID of the involved message
+ * @property {String} from    JID of the user who received the message
+ * @property {String} type    Event type: 'received' or 'read'
+ * @property {Date}   time    Date of the event
+ */
+
+/**
+ * Server received the message, and general ack callbacks
+ * @private
+ */
+WhatsApi.prototype.handleAck = function(node) {
+	this.executeCallback(node.attribute('id'), []);
+};
+
+/**
+ * @callback GroupLeaveCallback
+ * @param {ResponseError} err
+ */
+
+/**
+ * @callback GroupSubjectCallback
+ * @param {ResponseError} err
+ */
+
+// Authentication
+WhatsApi.prototype.handleChallenge = function(node) {
+	this.log('debug', 'auth', 'Answering the challenge');
+	this.writeNode(this.createAuthResposeNode(node.data()));
+	this.reader.setKey(this.readerKey);
+	this.writer.setKey(this.writerKey);
+};
+
+// Successfully logged in
+WhatsApi.prototype.handleSuccess = function(node) {
+	// Keep the challenge for the next login (e.g. after reconnecting)
+	this.challenge = node.data();
+	fs.writeFile(this.config.challenge_file, node.data(), function() {});
+	
+	//this.initKeys(node.data());
+	//this.reader.setKey(this.readerKey);
+	this.writer.setKey(this.writerKey);
+	
+	this.setState('logged-in');
+	this.log('info', 'auth', 'Logged in', {
+		kind       : node.attribute('kind'),
+		status     : node.attribute('status'),
+		expiration : node.attributeDate('expiration')
+	});
+	this.flushQueue();
+	this.emit('login');
+	
+	var loginCallback = this.loginCallback;
+	this.loginCallback = null;
+	loginCallback && loginCallback();
+};
+
+// Login failed
+WhatsApi.prototype.handleFailure = function(node) {
+	this.setState('connected');
 	
-	if (node.isDirty()) {
-		this.sendNode(this.createCleanDirtyNode(node));
-		return;
-	}
+	var reason = node.children() && node.children().length ? node.children()[0].tag() : 'unknown';
+	var error  = new errors.AuthError(reason);
 	
-	// Last seen
-	if (node.isLastSeen()) {
-		var secondsAgo = +node.child('query').attribute('seconds');
-		var millisecondsAgo = millisecondsAgo * 1000;
-		var timestamp = Date.now() - millisecondsAgo;
-		var date = new Date(timestamp);
-		var who = node.attribute('from');
-		
-		var lastSeen = {
-			from: who,
-			date: date,
-			secondsAgo: secondsAgo / 1000
-		}
-		
-		this.executeCallback(nodeId, lastSeen);
-		return;
-	}
-	/**
-	 * @callback LastSeenCallback
-	 * @param {ResponseError} err
-	 * @param {LastSeen} response
-	 */
-	/**
-	 * @typedef LastSeen
-	 * @type {Object}
-	 * @property {String} from       User JID
-	 * @property {Date}   date       Last seen Date object
-	 * @property {Number} secondsAgo
-	 */
+	this.log('error', 'auth', 'Login failed', { reason: reason });
 	
-	// Ping/pong
-	if (node.isPing()) {
-		this.sendNode(this.createPongNode(nodeId));
-		return;
+	// The login callback gets the failure as well: an 'error' event nobody listens to would throw
+	if (this.listeners('error').length) {
+		this.emit('error', error);
 	}
+	
+	var loginCallback = this.loginCallback;
+	this.loginCallback = null;
+	loginCallback && loginCallback(error.clone());
+};
 
-	// Groups list response
-	if (node.isGroupsList()) {
-		var nodes = node.child('groups').children();
-				
-		var groupsList = nodes.map(function(n) {
-			var date = new Date(+n.attribute('creation') * 1000);
-			return {
-				groupId : n.attribute('id'),
-				subject : n.attribute('subject'),
-				creationDate : date,
-				creator : n.attribute('creator'),
-				participants : n.children().map(function(p) {
-					return {
-						admin : p.attribute('type') == 'admin' ? true : false,
-						jid   : p.attribute('jid')
-					}
-				})
-			};
-		});
-		
-		this.executeCallback(nodeId, [groupsList]);
-		
-		return;
-	}
+// Messages offline count
+WhatsApi.prototype.handleOfflineCount = function(node) {
 	/**
-	 * @callback GroupsListCallback
-	 * @param {ResponseError} err
-	 * @param {Array<Group>} groupsList
+	 * Emitted when the count of messages received while offline is received
+	 *
+	 * @event offlineCount
+	 * @param {Number} count    Count of messages/notifications
 	 */
+	this.emit('offlineCount', node.child('offline').attributeInt('count'));
+};
+
+// Contact presence update
+WhatsApi.prototype.handlePresence = function(node) {
+	var type = node.attribute('type') || 'available';
+	var who = node.attribute('from');
+	if (node.attribute('last') == 'deny') {
+		var date = null;
+	}
+	else {
+		var date = new Date(+node.attribute('last') * 1000);
+	}
+	
+	var presence = {
+		from: who,
+		type: type,
+		date: date
+	}
 	
 	/**
-	 * @typedef {Group}
-	 * @type {Object}
-	 * @property {String} groupId     Group ID (not JID)
-	 * @property {String} subject     Group subject (name)
-	 * @property {Date} creationDate  When the group was created
-	 * @property {String} creator     JID of the group creator
-	 * @property {Array<Participant>} participants    Collection of group participants
+	 * Emitted when a presence update node is received
+	 * 
+	 * @event presence
+	 * @param {Presence} presence
 	 */
+	this.emit('presence', presence);
+};
+
+/**
+ * @typedef {Presence}
+ * @type {Object}
+ * @param {String} from    JID of the user
+ * @param {String} type    'available' or 'unavailable'
+ * @param {Date}   date    Last seen date. 'null' if denied
+ */
+
+WhatsApi.prototype.handleDirty = function(node) {
+	this.sendNode(this.createCleanDirtyNode(node));
+};
+
+// Last seen
+WhatsApi.prototype.handleLastSeen = function(node) {
+	var secondsAgo = +node.child('query').attribute('seconds');
+	var millisecondsAgo = millisecondsAgo * 1000;
+	var timestamp = Date.now() - millisecondsAgo;
+	var date = new Date(timestamp);
+	var who = node.attribute('from');
 	
-	// Group info or group created
-	if (node.isGroupInfo() || node.isGroupCreated()) {
-		var groupNode = node.child('group');
-		
-		var date = new Date(+groupNode.attribute('creation') * 1000);
-		
-		var group = {
-			groupId : groupNode.attribute('id'),
-			creator : groupNode.attribute('creator'),
+	var lastSeen = {
+		from: who,
+		date: date,
+		secondsAgo: secondsAgo / 1000
+	}
+	
+	this.executeCallback(node.attribute('id'), lastSeen);
+};
+
+/**
+ * @callback LastSeenCallback
+ * @param {ResponseError} err
+ * @param {LastSeen} response
+ */
+/**
+ * @typedef LastSeen
+ * @type {Object}
+ * @property {String} from       User JID
+ * @property {Date}   date       Last seen Date object
+ * @property {Number} secondsAgo
+ */
+
+// Ping/pong
+WhatsApi.prototype.handlePing = function(node) {
+	this.sendNode(this.createPongNode(node.attribute('id')));
+};
+
+// Groups list response
+WhatsApi.prototype.handleGroupsList = function(node) {
+	var nodes = node.child('groups').children();
+			
+	var groupsList = nodes.map(function(n) {
+		var date = new Date(+n.attribute('creation') * 1000);
+		return {
+			groupId : n.attribute('id'),
+			subject : n.attribute('subject'),
 			creationDate : date,
-			subject : groupNode.attribute('subject'),
-			participants : groupNode.children().map(function(p) {
+			creator : n.attribute('creator'),
+			participants : n.children().map(function(p) {
 				return {
 					admin : p.attribute('type') == 'admin' ? true : false,
 					jid   : p.attribute('jid')
 				}
 			})
 		};
-		
-		this.executeCallback(nodeId, group);
-		
-		return;
-	}
-	
-	/**
-	 * @callback GroupInfoCallback
-	 * @param {ResponseError} err
-	 * @param {Group} group
-	 */
+	});
 	
-	/**
-	 * @callback GroupCreatedCallback
-	 * @param {ResponseError} err
-	 * @param {Group} group
-	 */
-	
-	// Added/removed/promoted/demoted group participants
-	if (node.isChangeGroupParticipants()) {
-		var child = node.child(0);
-		
-		var action = child.tag();
-		
-		var change = child.children().map(function(p) {
+	this.recordInStore('saveGroups', groupsList.map(this.createStoredGroup, this));
+	this.executeCallback(node.attribute('id'), [groupsList]);
+};
+
+/**
+ * @callback GroupsListCallback
+ * @param {ResponseError} err
+ * @param {Array<Group>} groupsList
+ */
+
+/**
+ * @typedef {Group}
+ * @type {Object}
+ * @property {String} groupId     Group ID (not JID)
+ * @property {String} subject     Group subject (name)
+ * @property {Date} creationDate  When the group was created
+ * @property {String} creator     JID of the group creator
+ * @property {Array<Participant>} participants    Collection of group participants
+ */
+
+// Group info or group created
+WhatsApi.prototype.handleGroupInfo = function(node) {
+	var groupNode = node.child('group');
+	var date = new Date(+groupNode.attribute('creation') * 1000);
+	
+	var group = {
+		groupId : groupNode.attribute('id'),
+		creator : groupNode.attribute('creator'),
+		creationDate : date,
+		subject : groupNode.attribute('subject'),
+		participants : groupNode.children().map(function(p) {
 			return {
-				jid   : p.attribute('jid'),
-				error : p.attribute('error') || null
+				admin : p.attribute('type') == 'admin' ? true : false,
+				jid   : p.attribute('jid')
 			}
-		});
-		
-		var groupId = this.JIDtoId(node.attribute('from'));
-		
-		this.executeCallback(nodeId, [action, change, groupId]);
-		
-		return;
-	}
-	/**
-	 * @callback GroupParticipantsCallback
-	 * @param {ResponseError} err
-	 * @param {String} action     Action performed (add, remove, promote, demote)
-	 * @param {Array<GroupParticipantChange>} change
-	 * @param {String} groupId
-	 */
+		})
+	};
 	
-	/**
-	 * @typedef GroupParticipantChange
-	 * @property {String} jid     JID of the user
-	 * @property {String} error   If something went wrong with the change, the error code; otherwise null
-	 */
+	this.recordInStore('saveGroups', [this.createStoredGroup(group)]);
+	this.executeCallback(node.attribute('id'), group);
+};
+
+/**
+ * @callback GroupInfoCallback
+ * @param {ResponseError} err
+ * @param {Group} group
+ */
+
+/**
+ * @callback GroupCreatedCallback
+ * @param {ResponseError} err
+ * @param {Group} group
+ */
+
+// Added/removed/promoted/demoted group participants
+WhatsApi.prototype.handleGroupParticipants = function(node) {
+	var child = node.child(0);
 	
-	if (node.isLeaveGroup()) {
-		this.executeCallback(nodeId, []);
-		
-		return;
-	}
-	/**
-	 * @callback GroupLeaveCallback
-	 * @param {ResponseError} err
-	 */
+	var action = child.tag();
 	
-	if (node.isGroupSubjectChanged()) {
-		this.executeCallback(nodeId, []);
-		
-		return;
-	}
-	/**
-	 * @callback GroupSubjectCallback
-	 * @param {ResponseError} err
-	 */
+	var change = child.children().map(function(p) {
+		return {
+			jid   : p.attribute('jid'),
+			error : p.attribute('error') || null
+		}
+	});
 	
-	if (node.isMediaReady()) {
-		this.createMediaUploadNode(node, function(err, ackCallback, to, node) {
-			if (err) {
-				var errObj = {
-					code: 100,
-					message: err
-				};
-				ackCallback(errObj);
-				return;
-			}
-			
-			this.sendMessageNode(to, node, null, ackCallback); // null message ID
-		}.bind(this));
-		return;
-	}
+	var groupId = this.JIDtoId(node.attribute('from'));
+	
+	this.executeCallback(node.attribute('id'), [action, change, groupId]);
+};
 
-	if (node.isProfilePicture()) {
-		var preview = node.child('picture').attribute('type') == 'preview';
-		
-		var profileImage = {
-			jid : node.attribute('from'), 
-			isPreview : preview, 
-			pictureData : node.child('picture').data(),
-			pictureId : node.child('picture').attribute('id')
-		};
-		
-		this.executeCallback(nodeId, profileImage);
+/**
+ * @callback GroupParticipantsCallback
+ * @param {ResponseError} err
+ * @param {String} action     Action performed (add, remove, promote, demote)
+ * @param {Array<GroupParticipantChange>} change
+ * @param {String} groupId
+ */
+
+/**
+ * @typedef GroupParticipantChange
+ * @property {String} jid     JID of the user
+ * @property {String} error   If something went wrong with the change, the error code; otherwise null
+ */
+
+/**
+ * Value a participants change promise resolves with
+ * @typedef GroupParticipantsResult
+ * @type {Object}
+ * @property {String} action     Action performed (add, remove, promote, demote)
+ * @property {Array<GroupParticipantChange>} participants
+ * @property {String} groupId
+ */
+
+WhatsApi.prototype.handleMediaReady = function(node) {
+	this.createMediaUploadNode(node, function(err, ackCallback, to, node) {
+		if (err) {
+			ackCallback(err);
+			return;
+		}
 		
-		return;
-	}
-	/**
-	 * @callback ProfilePictureCallback
-	 * @param {ResponseError} err
-	 * @param {ProfilePicture} profilePicture
-	 */
+		this.sendMessageNode(to, node, null, ackCallback); // null message ID
+	}.bind(this));
+};
+
+WhatsApi.prototype.handleProfilePicture = function(node) {
+	var preview = node.child('picture').attribute('type') == 'preview';
 	
-	/**
-	 * @typedef ProfilePicture
-	 * @type {Object}
-	 * @property {String}  jid         JID of the users the profile picture belongs to
-	 * @property {Boolean} isPreview   Is this a preview (true) or the full picture (false)
-	 * @property {Buffer}  pictureData Raw picture data
-	 * @property {Number}  pictureId   ID from this picture
-	 */
+	var profileImage = {
+		jid : node.attribute('from'), 
+		isPreview : preview, 
+		pictureData : node.child('picture').data(),
+		pictureId : node.child('picture').attribute('id')
+	};
 	
-	// User statuses
-	if (node.isGetStatus()) {
-		var statusNode = node.child('status');
-		
-		var statuses = statusNode.children().map(function(s) {
-			var date = new Date(+s.attribute('t') * 1000);
-			
-			return {
-				jid : s.attribute('jid'),
-				status : s.data().toString('utf8'),
-				date : date
-			};
-		});
-		
-		this.executeCallback(nodeId, [statuses]);
-		
-		return;
+	if (profileImage.pictureId) {
+		this.recordInStore('saveProfilePicture', { jid: profileImage.jid, pictureId: profileImage.pictureId });
 	}
-	/**
-	 * @callback StatusCallback
-	 * @param {ResponseError} err
-	 * @param {Array<Status>} statuses    Array of Status objects
-	 */
 	
-	/**
-	 * @typedef Status
-	 * @type {Object}
-	 * @property {String}  jid      JID of the users the status belongs to
-	 * @property {String}  status   Status message (UTF-8)
-	 * @property {Date}    date     When the status was set
-	 */
+	this.executeCallback(node.attribute('id'), profileImage);
+};
+
+/**
+ * @callback ProfilePictureCallback
+ * @param {ResponseError} err
+ * @param {ProfilePicture} profilePicture
+ */
+
+/**
+ * @typedef ProfilePicture
+ * @type {Object}
+ * @property {String}  jid         JID of the users the profile picture belongs to
+ * @property {Boolean} isPreview   Is this a preview (true) or the full picture (false)
+ * @property {Buffer}  pictureData Raw picture data
+ * @property {Number}  pictureId   ID from this picture
+ */
+
+// User statuses
+WhatsApi.prototype.handleStatuses = function(node) {
+	var statusNode = node.child('status');
 	
-	// Incoming plain message
-	if (node.isMessage()) {
-		// Emit stopped typing
-		if (node.attribute('type') == 'text') {
-			var type = 'paused';
-			var from = node.attribute('from');
-			var author = node.attribute('participant') || '';
-			this.emit('typing', type, from, author);
-		}
+	var statuses = statusNode.children().map(function(s) {
+		var date = new Date(+s.attribute('t') * 1000);
 		
-		// Process message
-		this.processor.process(node);
-		return;
-	}
+		return {
+			jid : s.attribute('jid'),
+			status : s.data().toString('utf8'),
+			date : date
+		};
+	});
 	
-	// Emit typing (composing or paused)
-	if (node.isTyping()) {
+	this.recordInStore('saveStatuses', statuses);
+	this.executeCallback(node.attribute('id'), [statuses]);
+};
+
+/**
+ * @callback StatusCallback
+ * @param {ResponseError} err
+ * @param {Array<Status>} statuses    Array of Status objects
+ */
+
+/**
+ * @typedef Status
+ * @type {Object}
+ * @property {String}  jid      JID of the users the status belongs to
+ * @property {String}  status   Status message (UTF-8)
+ * @property {Date}    date     When the status was set
+ */
+
+// Incoming plain message
+WhatsApi.prototype.handleMessage = function(node) {
+	// Emit stopped typing
+	if (node.attribute('type') == 'text') {
+		var type = 'paused';
 		var from = node.attribute('from');
-		var type = node.child(0).tag();
 		var author = node.attribute('participant') || '';
-		
-		/**
-		 * Emitted when a contact is writing or stopped writing a message
-		 * @event typing
-		 * @param {String} type    'composing' or 'paused'
-		 * @param {String} from    Contact or group JID
-		 * @param {String} author  If 'from' is a group, the actual contact JID
-		 */
 		this.emit('typing', type, from, author);
-		
-		return;
 	}
 	
-	// Sync response
-	if (node.isSync()) {		
-		var sync = node.child('sync');
-		var existing = sync.child('in');
-		var nonExisting = sync.child('out');
-		var invalid = sync.child('invalid');
-		
-		var existingUsers = [];
-		if (existing) {
-			for (var i = 0; i < existing.children().length; i++) {
-				existingUsers.push(existing.child(i).data().toString());
-			}
-		}
-		
-		var nonExistingUsers = [];
-		if (nonExisting) {
-			for (var i = 0; i < nonExisting.children().length; i++) {
-				nonExistingUsers.push(nonExisting.child(i).data().toString());
-			}
-		}
-		
-		var invalidNumbers = [];
-		if (invalid) {
-			for (var i = 0; i < invalid.children().length; i++) {
-				invalidNumbers.push(invalid.child(i).data().toString());
-			}
-		}
-		
-		var result = {
-			existingUsers    : existingUsers,
-			nonExistingUsers : nonExistingUsers,
-			invalidNumbers   : invalidNumbers
-		};
-		this.executeCallback(node.attribute('id'), result);
-		
-		return;
-	}
-	/**
-	 * @callback SyncCallback
-	 * @param {ResponseError} err
-	 * @param {ContactsSync} result
-	 */
+	// Process message
+	this.processor.process(node);
+};
+
+// Emit typing (composing or paused)
+WhatsApi.prototype.handleTyping = function(node) {
+	var from = node.attribute('from');
+	var type = node.child(0).tag();
+	var author = node.attribute('participant') || '';
 	
 	/**
-	 * @typedef ContactsSync
-	 * @type {Object}
-	 * @property {Array}  existingUsers       An array of numbers of users that have a WhatsApp account
-	 * @property {Array}  nonExistingUsers    An array of numbers of users that don't have a WhatsApp account
-	 * @property {Array}  invalidNumbers      An array of numbers that are invalid according to WhatsApp
+	 * Emitted when a contact is writing or stopped writing a message
+	 * @event typing
+	 * @param {String} type    'composing' or 'paused'
+	 * @param {String} from    Contact or group JID
+	 * @param {String} author  If 'from' is a group, the actual contact JID
 	 */
+	this.emit('typing', type, from, author);
+};
+
+// Sync response
+WhatsApi.prototype.handleSync = function(node) {
+	var numbers = function(path) {
+		return node.findAll(path).map(function(user) {
+			return user.data().toString();
+		});
+	};
 	
-	// Server properties response
-	if (node.isProperties()) {
-		var properties = {};
-		
-		var propElements = node.child('props').children();
-		for (var i = 0; i < propElements.length; i++) {
-			properties[propElements[i].attribute('name')] = propElements[i].attribute('value');
-		}
-		
-		this.executeCallback(nodeId, properties);
-		return;
-	}
+	var result = {
+		existingUsers    : numbers('sync/in/*'),
+		nonExistingUsers : numbers('sync/out/*'),
+		invalidNumbers   : numbers('sync/invalid/*')
+	};
 	
-	// Service pricing response
-	if (node.isServicePricing()) {
-		var pricingNode = node.child('pricing');
-		
-		var pricing = {
-			price: pricingNode.attribute('price'),
-			cost: pricingNode.attribute('cost'),
-			currency: pricingNode.attribute('currency'),
-			expiration: new Date(+pricingNode.attribute('expiration') * 1000)
-		};
-		
-		this.executeCallback(nodeId, pricing);
-		return;
-	}
-	/**
-	 * @callback PricingCallback
-	 * @param {ResponseError} err
-	 * @param {ServicePricing} pricing
-	 */
-	/**
-	 * @typedef ServicePricing
-	 * @type {Object}
-	 * @property {String} price       Price with currency symbol
-	 * @property {String} cost        Price number
-	 * @property {String} currency    Currency as string
-	 * @property {String} expiration  Expiration date of the pricing
-	 */
+	var contacts = function(path, registered) {
+		return node.findAll(path).map(function(user) {
+			var number = user.data().toString();
+			
+			return {
+				jid        : user.attribute('jid') || this.createJID(number.replace(/\D/g, '')),
+				number     : number,
+				registered : registered
+			};
+		}, this);
+	}.bind(this);
 	
-	// Get privacy settings
-	if (node.isGetPrivacySettings()) {
-		var privacyNode = node.child('privacy');
-		
-		var settings = {};
-		for (var i = 0; i < privacyNode.children().length; i++) {
-			var s = privacyNode.child(i);
-			settings[s.attribute('name')] = s.attribute('value');
-		};
-		
-		this.emit('privacySettings', settings);
-		return;
-	}
+	this.recordInStore('saveContacts', contacts('sync/in/*', true).concat(contacts('sync/out/*', false)));
+	this.executeCallback(node.attribute('id'), result);
+};
+
+/**
+ * @callback SyncCallback
+ * @param {ResponseError} err
+ * @param {ContactsSync} result
+ */
+
+/**
+ * @typedef ContactsSync
+ * @type {Object}
+ * @property {Array}  existingUsers       An array of numbers of users that have a WhatsApp account
+ * @property {Array}  nonExistingUsers    An array of numbers of users that don't have a WhatsApp account
+ * @property {Array}  invalidNumbers      An array of numbers that are invalid according to WhatsApp
+ */
+
+// Server properties response
+WhatsApi.prototype.handleProperties = function(node) {
+	var properties = {};
 	
-	// Set privacy settings
-	if (node.isSendPrivacySettings()) {
-		var privacyNode = node.child('privacy');
-		
-		var settings = {};
-		for (var i = 0; i < privacyNode.children().length; i++) {
-			var s = privacyNode.child(i);
-			settings[s.attribute('name')] = s.attribute('value');
-		};
-		
-		this.emit('privacySettingsUpdated', settings);
-		return;
+	var propElements = node.child('props').children();
+	for (var i = 0; i < propElements.length; i++) {
+		properties[propElements[i].attribute('name')] = propElements[i].attribute('value');
 	}
 	
-	if (node.isAccountExtended()) {
-		var accountNode = node.child('extend').child('account');
-		
-		var accountInfo = {
-			kind: accountNode.attribute('kind'),
-			status: accountNode.attribute('status'),
-			creation: new Date(+accountNode.attribute('creation') * 1000),
-			expiration: new Date(+accountNode.attribute('expiration') * 1000)
-		};
-		
-		this.emit('accountExtended', accountInfo);
-		
-		return;
-	}
+	this.executeCallback(node.attribute('id'), properties);
+};
+
+// Service pricing response
+WhatsApi.prototype.handleServicePricing = function(node) {
+	var pricingNode = node.child('pricing');
+	
+	var pricing = {
+		price: pricingNode.attribute('price'),
+		cost: pricingNode.attribute('cost'),
+		currency: pricingNode.attribute('currency'),
+		expiration: new Date(+pricingNode.attribute('expiration') * 1000)
+	};
+	
+	this.executeCallback(node.attribute('id'), pricing);
+};
+
+/**
+ * @callback PricingCallback
+ * @param {ResponseError} err
+ * @param {ServicePricing} pricing
+ */
+/**
+ * @typedef ServicePricing
+ * @type {Object}
+ * @property {String} price       Price with currency symbol
+ * @property {String} cost        Price number
+ * @property {String} currency    Currency as string
+ * @property {String} expiration  Expiration date of the pricing
+ */
+
+// Get/set privacy settings
+WhatsApi.prototype.handlePrivacySettings = function(node) {
+	var privacyNode = node.child('privacy');
+	
+	var settings = {};
+	for (var i = 0; i < privacyNode.children().length; i++) {
+		var s = privacyNode.child(i);
+		settings[s.attribute('name')] = s.attribute('value');
+	};
+	
+	this.emit(node.isGetPrivacySettings() ? 'privacySettings' : 'privacySettingsUpdated', settings);
+};
+
+WhatsApi.prototype.handleAccountExtended = function(node) {
+	var accountNode = node.find('extend/account');
+	
+	var accountInfo = {
+		kind: accountNode.attribute('kind'),
+		status: accountNode.attribute('status'),
+		creation: accountNode.attributeDate('creation'),
+		expiration: accountNode.attributeDate('expiration')
+	};
+	
+	this.emit('accountExtended', accountInfo);
 };
 
 /**
@@ -126,11 +126,55 @@ WhatsApi.prototype.createAckNode = function(node) {
 	return node;
 };
 
+/**
+ * @typedef IqRequest
+ * @type {Object}
+ * @property {String}           to            (optional) Recipient JID, the server by default
+ * @property {String}           type          (optional) 'get' (default) or 'set'
+ * @property {String}           xmlns         Namespace of the request
+ * @property {Node|Array<Node>} children      (optional) Content of the iq
+ * @property {Object}           attributes    (optional) Additional attributes of the iq
+ * @property {Number}           timeout       (optional) Milliseconds to wait for the result, overrides config.requestTimeout
+ */
+
+/**
+ * Send an iq stanza and get back the result node as it is, for server features not wrapped by this library
+ * @param  {IqRequest} request
+ * @param  {Function}  callback    Called with (err, resultNode)
+ * @return {Promise<Node>} When no callback is given; rejected when the server answers with an <error> child
+ * @example
+ * wa.iq({ xmlns: 'w:profile:picture', children: [new protocol.Node('picture', { type: 'preview' })], to: jid })
+ *   .then(function(result) {
+ *     console.log(result.find('picture').data());
+ *   });
+ */
+WhatsApi.prototype.iq = common.callbackOrPromise(function(request, callback) {
+	if (!this.isLoggedIn()) {
+		callback(this.createStateError('send an iq'));
+		return;
+	}
+	
+	var messageId = this.nextMessageId('iq');
+	this.addCallback(messageId, callback, request.timeout, true);
+	
+	var attributes = common.extend({}, request.attributes, {
+		id    : messageId,
+		type  : request.type || 'get',
+		xmlns : request.xmlns,
+		to    : request.to ? this.createJID(request.to) : this.config.server
+	});
+	
+	var children = request.children || [];
+	
+	this.sendNode(new protocol.Node('iq', attributes, Array.isArray(children) ? children : [children]));
+});
+
 /**
  * Request WhatsApp server properties
  * @param  {Function} callback Called when the properties are received
+ * @return {Promise<Object>} When no callback is given
  */
-WhatsApi.prototype.requestServerProperties = function(callback) {
+WhatsApi.prototype.requestServerProperties = common.callbackOrPromise(function(callback) {
 	var messageId = this.nextMessageId('getproperties');
 	this.addCallback(messageId, callback);
 	
@@ -148,15 +192,16 @@ WhatsApi.prototype.requestServerProperties = function(callback) {
 	);
 	
 	this.sendNode(node);
-};
+});
 
 /**
  * Request WhatsApp service pricing
  * @param {String}    language    Language code (e.g. 'en')
  * @param {String}    country     Country code (e.g. 'us')
  * @param {PricingCallback}  callback    Called when the pricing is recived
+ * @return {Promise<ServicePricing>} When no callback is given
  */
-WhatsApi.prototype.requestServicePricing = function(language, country, callback) {	
+WhatsApi.prototype.requestServicePricing = common.callbackOrPromise(function(language, country, callback) {	
 	var messageId = this.nextMessageId('get_service_pricing_');
 	this.addCallback(messageId, callback);
 	
@@ -174,4 +219,4 @@ WhatsApi.prototype.requestServicePricing = function(language, country, callback)
 	);
 	
 	this.sendNode(node);
-};
+});
@@ -0,0 +1,507 @@
+var util       = require('util');
+var events     = require('events');
+var crypto     = require('crypto');
+var common     = require('./common');
+var dictionary = require('./dictionary');
+var protocol   = require('./protocol');
+var transports = require('./transport');
+var encryption = require('./encryption');
+var errors     = require('./errors');
+
+/**
+ * @typedef FakeServerConfig
+ * @type {Object}
+ * @property {String}  password    Account password (base64), must match the client's one for the login to succeed
+ * @property {String}  server      Server domain used in the 'from' of the generated nodes
+ * @property {Boolean} autoAck     Acknowledge every message the client sends, like the real server
+ * @property {Boolean} autoPong    Answer the client's pings
+ * @property {Boolean} online      Accept connections; false refuses them, like an unreachable server
+ * @property {Dictionary|String} dictionary    Token dictionary, or version of a registered one
+ */
+
+/**
+ * Scriptable stand-in for the WhatsApp server, to be used with a Loopback transport.
+ * It performs the WAUTH-2 challenge/response handshake, answers iq nodes with
+ * the registered responders and lets tests push nodes to the client.
+ * @class FakeServer
+ * @param {FakeServerConfig} config
+ * @example
+ * var server = whatsapi.createFakeServer({ password: config.password });
+ * var wa = whatsapi.createAdapter(config, false, null, null, null, server.createTransport());
+ *
+ * server.respond('status', function(node) {
+ *   return server.result(node, [new protocol.Node('status')]);
+ * });
+ */
+function FakeServer(config) {
+	events.EventEmitter.call(this);
+
+	this.config     = common.extend({}, this.defaultConfig, config);
+	this.responders = [];
+	this.received   = [];
+	this.session    = null;
+	this.messageId  = 0;
+}
+
+util.inherits(FakeServer, events.EventEmitter);
+
+/** @type {FakeServerConfig} */
+FakeServer.prototype.defaultConfig = {
+	password   : '',
+	server     : 's.whatsapp.net',
+	autoAck    : true,
+	autoPong   : true,
+	online     : true,
+	dictionary : dictionary.defaultVersion
+};
+
+/**
+ * Create a client transport connected to this server
+ * @return {Loopback}
+ */
+FakeServer.prototype.createTransport = function() {
+	return new transports.Loopback(this.accept.bind(this));
+};
+
+/**
+ * Accept a new connection from a Loopback transport
+ * @param  {Loopback} endpoint    Server side of the pipe
+ * @return {Boolean}  false when the server is offline
+ * @private
+ */
+FakeServer.prototype.accept = function(endpoint) {
+	if (!this.config.online) {
+		return false;
+	}
+
+	var session = {
+		endpoint      : endpoint,
+		reader        : new protocol.Reader(this.config.dictionary),
+		writer        : new protocol.Writer(this.config.dictionary),
+		headerRead    : false,
+		nonce         : null,
+		readerKey     : null,
+		writerKey     : null,
+		msisdn        : null,
+		authenticated : false
+	};
+
+	// Catch serialization bugs in the nodes pushed by tests
+	session.writer.setSelfCheck(true);
+
+	endpoint.onReceive(function(data) {
+		this.onData(session, data);
+	}, this);
+
+	endpoint.onEnd(function() {
+		if (this.session === session) {
+			this.session = null;
+		}
+		this.emit('disconnect');
+	}, this);
+
+	this.session = session;
+	this.emit('connection');
+};
+
+/**
+ * @param  {Object} session
+ * @param  {Buffer} data
+ * @private
+ */
+FakeServer.prototype.onData = function(session, data) {
+	// Data still in flight when the server dropped the connection
+	if (this.session !== session) {
+		return;
+	}
+
+	// The stream opens with the 'WA' protocol header
+	if (!session.headerRead) {
+		session.headerRead = true;
+		data = data.slice(4);
+	}
+
+	try {
+		session.reader.appendInput(data);
+	} catch (e) {
+		this.rejectClient(session, e);
+		return;
+	}
+
+	while (true) {
+		var node;
+
+		try {
+			node = session.reader.nextNode();
+		} catch (e) {
+			this.rejectClient(session, e);
+			return;
+		}
+
+		if (node === false) {
+			break;
+		}
+
+		if (node) {
+			this.processNode(session, node);
+		}
+	}
+};
+
+/**
+ * Close the connection of a client that sent a frame the server can't read,
+ * which fails its handshake (or its session) instead of throwing from the data handler
+ * @param  {Object} session
+ * @param  {Error}  error
+ * @private
+ */
+FakeServer.prototype.rejectClient = function(session, error) {
+	/**
+	 * Emitted when the client sent a frame the server can't read, before closing the connection
+	 * @event invalidFrame
+	 * @param {Error} error
+	 */
+	this.emit('invalidFrame', error);
+
+	session.endpoint.disconnect();
+
+	if (this.session === session) {
+		this.session = null;
+	}
+};
+
+/**
+ * Handle a node received from the client
+ * @param  {Object} session
+ * @param  {Node}   node
+ * @private
+ */
+FakeServer.prototype.processNode = function(session, node) {
+	this.received.push(node);
+
+	/**
+	 * Emitted for every node received from the client
+	 * @event node
+	 * @param {Node} node
+	 */
+	this.emit('node', node);
+
+	switch (node.tag()) {
+		case 'auth':
+			this.onAuth(session, node);
+			return;
+		case 'response':
+			this.onAuthResponse(session, node);
+			return;
+		case 'iq':
+			this.onIq(session, node);
+			return;
+		case 'message':
+			if (this.config.autoAck) {
+				this.send(new protocol.Node('ack', {
+					class   : 'message',
+					from    : node.attribute('to'),
+					id      : node.attribute('id'),
+					t       : common.tstamp().toString()
+				}));
+			}
+			this.emit('message', node);
+			return;
+	}
+};
+
+/**
+ * Start the WAUTH-2 handshake by sending a fresh challenge
+ * @private
+ */
+FakeServer.prototype.onAuth = function(session, node) {
+	session.msisdn = node.attribute('user');
+	session.nonce  = crypto.randomBytes(20);
+
+	var keys = encryption.generateKeys(this.config.password, session.nonce);
+
+	// The server reads with the client writer keys and writes with the client reader keys
+	session.readerKey = new encryption.KeyStream(keys[0], keys[1]);
+	session.writerKey = new encryption.KeyStream(keys[2], keys[3]);
+
+	this.send(new protocol.Node('stream:features'));
+	this.send(new protocol.Node('challenge', null, null, session.nonce));
+};
+
+/**
+ * Verify the client's answer to the challenge and complete the login
+ * @private
+ */
+FakeServer.prototype.onAuthResponse = function(session, node) {
+	var data     = node.data();
+	var expected = Buffer.concat([new Buffer(session.msisdn || ''), session.nonce]);
+	var decrypted;
+
+	// The MAC is in the first 4 bytes, the encrypted msisdn + nonce follows
+	try {
+		decrypted = session.readerKey.decodeMessage(data, 0, 4, data.length - 4);
+	} catch (e) {
+		if (!(e instanceof errors.IntegrityError)) {
+			throw e;
+		}
+	}
+
+	if (!decrypted || decrypted.toString('hex') !== expected.toString('hex')) {
+		this.send(new protocol.Node('failure', null, [new protocol.Node('not-authorized')]));
+
+		/**
+		 * Emitted when the client failed the challenge (e.g. wrong password)
+		 * @event authFailure
+		 * @param {String} msisdn
+		 */
+		this.emit('authFailure', session.msisdn);
+		return;
+	}
+
+	session.reader.setKey(session.readerKey);
+	session.writer.setKey(session.writerKey);
+	session.authenticated = true;
+
+	var now = common.tstamp();
+
+	this.send(new protocol.Node(
+		'success',
+		{
+			t          : now.toString(),
+			props      : '4',
+			kind       : 'free',
+			status     : 'active',
+			creation   : now.toString(),
+			expiration : (now + 365 * 24 * 3600).toString()
+		},
+		null,
+		crypto.randomBytes(20)
+	));
+
+	/**
+	 * Emitted when a client has logged in
+	 * @event login
+	 * @param {String} msisdn
+	 */
+	this.emit('login', session.msisdn);
+};
+
+/**
+ * Answer an iq with the first matching responder
+ * @private
+ */
+FakeServer.prototype.onIq = function(session, node) {
+	if (this.config.autoPong && node.attribute('xmlns') === 'urn:xmpp:ping') {
+		this.send(this.result(node));
+		return;
+	}
+
+	for (var i = 0; i < this.responders.length; i++) {
+		var responder = this.responders[i];
+
+		if (!responder.match(node)) {
+			continue;
+		}
+
+		var response = responder.respond.call(this, node);
+
+		if (response) {
+			(Array.isArray(response) ? response : [response]).forEach(this.send, this);
+		}
+		return;
+	}
+
+	/**
+	 * Emitted for iq nodes no responder matched
+	 * @event iq
+	 * @param {Node} node
+	 */
+	this.emit('iq', node);
+};
+
+/**
+ * Register a responder for iq nodes sent by the client
+ * @param  {String|Function} matcher    xmlns of the iq, or a function(node) returning true for the iqs to answer
+ * @param  {Function|Node}   respond    function(node) returning the Node(s) to send back, or a Node to send as is
+ * @return {FakeServer}      this
+ * @example
+ * server.respond('w', function(node) {
+ *   return server.result(node, [new protocol.Node('props', null, [
+ *     new protocol.Node('prop', { name: 'max_groups', value: '50' })
+ *   ])]);
+ * });
+ */
+FakeServer.prototype.respond = function(matcher, respond) {
+	var match = typeof matcher === 'function' ? matcher : function(node) {
+		return node.attribute('xmlns') === matcher;
+	};
+
+	this.responders.push({
+		match   : match,
+		respond : typeof respond === 'function' ? respond : function() { return respond; }
+	});
+
+	return this;
+};
+
+/**
+ * Build the result iq for the given request
+ * @param  {Node}        request
+ * @param  {Array<Node>} children   (optional)
+ * @return {Node}
+ */
+FakeServer.prototype.result = function(request, children) {
+	return new protocol.Node(
+		'iq',
+		{
+			from : request.attribute('to') || this.config.server,
+			id   : request.attribute('id'),
+			type : 'result'
+		},
+		children
+	);
+};
+
+/**
+ * Build the error iq for the given request
+ * @param  {Node}   request
+ * @param  {String} code      Error code, e.g. '404'
+ * @param  {String} text      Error text, e.g. 'item-not-found'
+ * @return {Node}
+ */
+FakeServer.prototype.error = function(request, code, text) {
+	return new protocol.Node(
+		'iq',
+		{
+			from : request.attribute('to') || this.config.server,
+			id   : request.attribute('id'),
+			type : 'error'
+		},
+		[
+			new protocol.Node('error', { code: code.toString(), text: text || '' })
+		]
+	);
+};
+
+/**
+ * Push a node to the connected client
+ * @param  {Node} node
+ */
+FakeServer.prototype.send = function(node) {
+	if (!this.session) {
+		throw new errors.TransportError('not-connected', 'No client connected to the fake server');
+	}
+
+	this.session.endpoint.send(this.session.writer.node(node));
+};
+
+/**
+ * Push a text message to the client
+ * @param  {Object} message
+ * @param  {String} message.from      Sender JID
+ * @param  {String} message.body      Message text
+ * @param  {String} message.id        (optional) Message ID
+ * @param  {String} message.notify    (optional) Sender push name
+ * @param  {String} message.author    (optional) Real sender JID, for group messages
+ * @param  {Date}   message.date      (optional)
+ * @return {String} Message ID
+ */
+FakeServer.prototype.pushMessage = function(message) {
+	var attributes = {
+		from   : message.from,
+		type   : 'text',
+		id     : message.id || this.nextMessageId(),
+		t      : Math.round((message.date || new Date()).getTime() / 1000).toString(),
+		notify : message.notify || 'Fake'
+	};
+
+	if (message.author) {
+		attributes.participant = message.author;
+	}
+
+	this.send(new protocol.Node('message', attributes, [
+		new protocol.Node('body', null, null, message.body)
+	]));
+
+	return attributes.id;
+};
+
+/**
+ * Push a receipt for a message the client has sent
+ * @param  {Object} receipt
+ * @param  {String} receipt.id             Message ID
+ * @param  {String} receipt.from           JID of the recipient (or group)
+ * @param  {String} receipt.type           (optional) 'read'; omit for a delivery receipt
+ * @param  {String} receipt.participant    (optional) Group participant the receipt comes from
+ * @param  {Array<String>} receipt.list    (optional) Other message IDs covered by the receipt
+ */
+FakeServer.prototype.pushReceipt = function(receipt) {
+	var attributes = {
+		from : receipt.from,
+		id   : receipt.id,
+		t    : common.tstamp().toString()
+	};
+
+	if (receipt.type) {
+		attributes.type = receipt.type;
+	}
+	if (receipt.participant) {
+		attributes.participant = receipt.participant;
+	}
+
+	var children = null;
+
+	if (receipt.list && receipt.list.length) {
+		children = [new protocol.Node('list', null, receipt.list.map(function(id) {
+			return new protocol.Node('item', { id: id });
+		}))];
+	}
+
+	this.send(new protocol.Node('receipt', attributes, children));
+};
+
+/**
+ * Push a notification to the client
+ * @param  {String}      type        Notification type, e.g. 'status', 'picture' or 'w:gp2'
+ * @param  {String}      from        JID the notification is about
+ * @param  {Array<Node>} children
+ * @param  {Object}      attributes  (optional) Additional attributes
+ * @return {String}      Notification ID
+ */
+FakeServer.prototype.pushNotification = function(type, from, children, attributes) {
+	attributes = common.extend({
+		type : type,
+		from : from,
+		id   : this.nextMessageId(),
+		t    : common.tstamp().toString()
+	}, attributes);
+
+	this.send(new protocol.Node('notification', attributes, children));
+
+	return attributes.id;
+};
+
+/**
+ * Drop the client connection, as a flaky network or server would
+ */
+FakeServer.prototype.disconnect = function() {
+	if (!this.session) {
+		return;
+	}
+
+	this.session.endpoint.disconnect();
+	this.session = null;
+};
+
+/**
+ * @return {Boolean} Whether a client is connected and logged in
+ */
+FakeServer.prototype.isClientLoggedIn = function() {
+	return !!(this.session && this.session.authenticated);
+};
+
+FakeServer.prototype.nextMessageId = function() {
+	return 'server-' + common.tstamp() + '-' + (++this.messageId);
+};
+
+exports.FakeServer = FakeServer;
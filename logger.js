@@ -0,0 +1,302 @@
+var util     = require('util');
+var protocol = require('./protocol');
+var errors   = require('./errors');
+
+/**
+ * Log levels, from the most to the least severe
+ * @readonly
+ * @enum {Number}
+ */
+var Level = {
+	error : 0,
+	warn  : 1,
+	info  : 2,
+	debug : 3,
+	trace : 4
+};
+
+/**
+ * Log categories
+ * @readonly
+ * @enum {String}
+ */
+var Category = {
+	TRANSPORT : 'transport',
+	AUTH      : 'auth',
+	RX        : 'rx',
+	TX        : 'tx',
+	MEDIA     : 'media'
+};
+
+/**
+ * @typedef LogEntry
+ * @type {Object}
+ * @property {Date}   time
+ * @property {String} level       One of Level
+ * @property {String} category    One of Category
+ * @property {String} message
+ * @property {Object} fields      Structured data; a Node value is a node received or sent
+ */
+
+/**
+ * Anything with a log(entry) method can be used as a logger.
+ * The entries are redacted before being handed over, unless the redaction is disabled.
+ * @typedef LoggerInterface
+ * @type {Object}
+ * @property {Function} log          function(LogEntry)
+ * @property {Function} isEnabled    (optional) function(level, category) returning false to skip
+ *                                   building the entry, e.g. for the node dumps
+ */
+
+// Field and attribute names whose value is never logged
+var SECRET_FIELDS = ['password', 'key', 'nonce', 'challenge', 'secret', 'token', 'body', 'caption', 'data'];
+
+// Field and attribute names holding a bare phone number
+var PHONE_FIELDS = ['msisdn', 'user', 'phone', 'number'];
+
+/**
+ * Mask all but the last 4 digits of every number in the JIDs of a string
+ * @param  {String} string
+ * @return {String}
+ */
+function maskPhones(string) {
+	return string.replace(/\d+(?=(?:-\d+)?@)/g, maskDigits);
+}
+
+function maskDigits(digits) {
+	return digits.replace(/\d(?=\d{4})/g, '*');
+}
+
+/**
+ * @param  {String} name     Field or attribute name
+ * @param  {String} value
+ * @return {String}
+ */
+function redactString(name, value) {
+	if (SECRET_FIELDS.indexOf(name) !== -1) {
+		return '[redacted]';
+	}
+
+	if (PHONE_FIELDS.indexOf(name) !== -1 && /^\d+$/.test(value)) {
+		return maskDigits(value);
+	}
+
+	return maskPhones(value);
+}
+
+/**
+ * Copy a node with phone numbers masked and every data payload (bodies, key material,
+ * thumbnails...) replaced by its size
+ * @param  {Node} node
+ * @return {Node}
+ */
+function redactNode(node) {
+	var attributes = null;
+	var children   = null;
+	var data       = node.data();
+
+	if (node.attributes()) {
+		attributes = {};
+
+		for (var name in node.attributes()) {
+			attributes[name] = redactString(name, node.attribute(name));
+		}
+	}
+
+	if (node.children()) {
+		children = node.children().map(redactNode);
+	}
+
+	if (data && data.length) {
+		data = '[' + data.length + ' bytes]';
+	}
+
+	return new protocol.Node(node.tag(), attributes, children, data);
+}
+
+/**
+ * Redact a log field value
+ * @param  {*}      value
+ * @param  {String} name     (optional) Field name
+ * @return {*}
+ */
+function redact(value, name) {
+	if (value instanceof protocol.Node) {
+		return redactNode(value);
+	}
+
+	if (Buffer.isBuffer(value)) {
+		return '[' + value.length + ' bytes]';
+	}
+
+	if (typeof value === 'string') {
+		return redactString(name, value);
+	}
+
+	if (value instanceof Date) {
+		return value;
+	}
+
+	if (value instanceof Error) {
+		return {
+			name    : value.name,
+			code    : value.code,
+			message : maskPhones(value.message || '')
+		};
+	}
+
+	if (Array.isArray(value)) {
+		return value.map(function(item) {
+			return redact(item, name);
+		});
+	}
+
+	if (value && typeof value === 'object') {
+		var result = {};
+
+		for (var key in value) {
+			if (value.hasOwnProperty(key)) {
+				result[key] = redact(value[key], key);
+			}
+		}
+
+		return result;
+	}
+
+	return value;
+}
+
+/**
+ * @typedef LoggerOptions
+ * @type {Object}
+ * @property {String}        level         Most verbose level written, defaults to 'info'
+ * @property {Array<String>} categories    (optional) Only write these categories
+ * @property {Boolean}       json          Write one JSON object per line instead of text
+ * @property {Function}      output        function(line), defaults to console.log
+ */
+
+/**
+ * Logger writing text or JSON lines
+ * @class Logger
+ * @param {LoggerOptions} options
+ * @example
+ * var wa = whatsapi.createAdapter({
+ *   msisdn   : '491234567890',
+ *   password : '...',
+ *   logger   : whatsapi.createLogger({ level: 'debug', categories: ['transport', 'auth'], json: true })
+ * });
+ */
+function Logger(options) {
+	options = options || {};
+
+	if (options.level && !Level.hasOwnProperty(options.level)) {
+		throw new errors.WhatsApiError('invalid-option', 'Unknown log level: ' + options.level);
+	}
+
+	this.level      = Level[options.level || 'info'];
+	this.categories = options.categories || null;
+	this.json       = !!options.json;
+	this.output     = options.output || console.log;
+}
+
+/**
+ * @param  {String}  level
+ * @param  {String}  category
+ * @return {Boolean} Whether entries of this level and category are written
+ */
+Logger.prototype.isEnabled = function(level, category) {
+	return Level[level] <= this.level && (!this.categories || this.categories.indexOf(category) !== -1);
+};
+
+/**
+ * @param {LogEntry} entry
+ */
+Logger.prototype.log = function(entry) {
+	if (this.isEnabled(entry.level, entry.category)) {
+		this.output(this.json ? this.formatJson(entry) : this.formatText(entry));
+	}
+};
+
+/**
+ * @param  {LogEntry} entry
+ * @return {String}
+ */
+Logger.prototype.formatJson = function(entry) {
+	var object = {
+		time     : entry.time.toISOString(),
+		level    : entry.level,
+		category : entry.category,
+		message  : entry.message
+	};
+
+	for (var key in entry.fields) {
+		if (!object.hasOwnProperty(key)) {
+			object[key] = entry.fields[key];
+		}
+	}
+
+	return JSON.stringify(object);
+};
+
+/**
+ * Format an entry as a line of text; nodes are dumped as XML on the following lines
+ * @param  {LogEntry} entry
+ * @return {String}
+ */
+Logger.prototype.formatText = function(entry) {
+	var fields = {};
+	var nodes  = [];
+	var empty  = true;
+
+	for (var key in entry.fields) {
+		if (entry.fields[key] instanceof protocol.Node) {
+			nodes.push(entry.fields[key]);
+		} else {
+			fields[key] = entry.fields[key];
+			empty = false;
+		}
+	}
+
+	var line = util.format(
+		'%s %s [%s] %s',
+		entry.time.toISOString(),
+		entry.level.toUpperCase(),
+		entry.category,
+		entry.message
+	);
+
+	if (!empty) {
+		line += ' ' + JSON.stringify(fields);
+	}
+
+	return [line].concat(nodes.map(function(node) {
+		return node.toXml(entry.category + ' ').replace(/^\n|\n$/g, '');
+	})).join('\n');
+};
+
+/**
+ * Logger discarding everything, used when none is configured
+ * @type {LoggerInterface}
+ */
+var silent = {
+	isEnabled : function() {
+		return false;
+	},
+	log : function() {}
+};
+
+/**
+ * @param  {LoggerOptions} options
+ * @return {Logger}
+ */
+function createLogger(options) {
+	return new Logger(options);
+}
+
+exports.Level        = Level;
+exports.Category     = Category;
+exports.Logger       = Logger;
+exports.silent       = silent;
+exports.createLogger = createLogger;
+exports.redact       = redact;
+exports.redactNode   = redactNode;
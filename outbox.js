@@ -0,0 +1,191 @@
+var fs       = require('fs');
+var util     = require('util');
+var protocol = require('./protocol');
+
+/**
+ * Message waiting for the server acknowledgment
+ * @typedef OutboxEntry
+ * @type {Object}
+ * @property {String} id          Message ID
+ * @property {String} to          Recipient JID
+ * @property {Node}   node        Message node, sent as it is
+ * @property {Number} attempts    How many times the message has been sent so far
+ */
+
+/**
+ * Anything implementing these methods can be used as outbox (see the outbox option).
+ * Every callback takes an error as first argument.
+ * @typedef Outbox
+ * @type {Object}
+ * @property {Function} add       function(entry, callback) appends an entry
+ * @property {Function} update    function(entry, callback) stores the new attempt count of an entry
+ * @property {Function} remove    function(id, callback)
+ * @property {Function} list      function(callback(err, entries)), entries in the order they were added
+ */
+
+/**
+ * Outbox keeping the entries in memory: they are lost when the process exits
+ * @class MemoryOutbox
+ */
+function MemoryOutbox() {
+	this.entries = [];
+}
+
+/**
+ * @param {OutboxEntry} entry
+ * @param {Function}    callback
+ */
+MemoryOutbox.prototype.add = function(entry, callback) {
+	this.entries.push(copyEntry(entry));
+	callback && callback(null);
+};
+
+/**
+ * @param {OutboxEntry} entry
+ * @param {Function}    callback
+ */
+MemoryOutbox.prototype.update = function(entry, callback) {
+	this.entries.forEach(function(stored) {
+		if (stored.id === entry.id) {
+			stored.attempts = entry.attempts;
+		}
+	});
+
+	callback && callback(null);
+};
+
+/**
+ * @param {String}   id
+ * @param {Function} callback
+ */
+MemoryOutbox.prototype.remove = function(id, callback) {
+	this.entries = this.entries.filter(function(entry) {
+		return entry.id !== id;
+	});
+
+	callback && callback(null);
+};
+
+/**
+ * @param {Function} callback    function(err, entries)
+ */
+MemoryOutbox.prototype.list = function(callback) {
+	callback(null, this.entries.map(copyEntry));
+};
+
+/**
+ * Outbox saving the entries to a JSON file after every change, so that the messages
+ * not acknowledged yet are sent again after a restart
+ * @class FileOutbox
+ * @augments MemoryOutbox
+ * @param {String} path    File to store the entries in, created when missing
+ * @example
+ * var wa = whatsapi.createAdapter({
+ *   msisdn   : '491234567890',
+ *   password : '...',
+ *   outbox   : new whatsapi.outbox.FileOutbox('./outbox.json')
+ * });
+ */
+function FileOutbox(path) {
+	MemoryOutbox.call(this);
+
+	this.path    = path;
+	this.saving  = false;
+	this.pending = [];
+
+	if (fs.existsSync(path)) {
+		this.entries = JSON.parse(fs.readFileSync(path, 'utf8')).map(function(entry) {
+			entry.node = protocol.Node.fromJSON(entry.node);
+			return entry;
+		});
+	}
+}
+
+util.inherits(FileOutbox, MemoryOutbox);
+
+FileOutbox.prototype.add = function(entry, callback) {
+	MemoryOutbox.prototype.add.call(this, entry);
+	this.save(callback);
+};
+
+FileOutbox.prototype.update = function(entry, callback) {
+	MemoryOutbox.prototype.update.call(this, entry);
+	this.save(callback);
+};
+
+FileOutbox.prototype.remove = function(id, callback) {
+	MemoryOutbox.prototype.remove.call(this, id);
+	this.save(callback);
+};
+
+/**
+ * Write the entries to a temporary file, then move it over the previous one, so that
+ * a crash while writing leaves the previous version in place.
+ * Changes made while a write is in progress are written together right after it.
+ * @param {Function} callback
+ * @private
+ */
+FileOutbox.prototype.save = function(callback) {
+	this.pending.push(callback);
+
+	if (!this.saving) {
+		this.write();
+	}
+};
+
+/**
+ * @private
+ */
+FileOutbox.prototype.write = function() {
+	var callbacks = this.pending;
+	var temporary = this.path + '.tmp';
+
+	this.pending = [];
+	this.saving  = true;
+
+	var done = function(err) {
+		callbacks.forEach(function(callback) {
+			callback && callback(err || null);
+		});
+
+		this.saving = false;
+
+		if (this.pending.length) {
+			this.write();
+		}
+	}.bind(this);
+
+	var data = JSON.stringify(this.entries.map(function(entry) {
+		return {
+			id       : entry.id,
+			to       : entry.to,
+			node     : entry.node.toJSON(),
+			attempts : entry.attempts
+		};
+	}));
+
+	fs.writeFile(temporary, data, function(err) {
+		if (err) {
+			done(err);
+			return;
+		}
+
+		fs.rename(temporary, this.path, done);
+	}.bind(this));
+};
+
+/**
+ * @param  {OutboxEntry} entry
+ * @return {OutboxEntry}
+ */
+function copyEntry(entry) {
+	return {
+		id       : entry.id,
+		to       : entry.to,
+		node     : entry.node,
+		attempts : entry.attempts || 0
+	};
+}
+
+exports.MemoryOutbox = MemoryOutbox;
+exports.FileOutbox   = FileOutbox;
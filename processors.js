@@ -23,11 +23,20 @@ Aggregate.prototype.setAdapter = function(adapter) {
 };
 
 Aggregate.prototype.process = function(node) {
-	this.list.forEach(function(processor) {
-		if(processor.match(node)) {
+	var matching = this.list.filter(function(processor) {
+		return processor.match(node);
+	});
+
+	if(!matching.length) {
+		return;
+	}
+
+	// Emitted once stored, so that listeners find the message in the history
+	this.adapter.recordMessage(node, false, function() {
+		matching.forEach(function(processor) {
 			processor.process(node);
-		}
-	}, this);
+		}, this);
+	}.bind(this));
 };
 
 function Text() {}
@@ -52,7 +61,8 @@ Text.prototype.process = function(node) {
 	
 	/**
 	 * 
-	 * receivedMessage - emitted when a new text message is received
+	 * receivedMessage - emitted when a new text message is received,
+	 * after it is saved in the store if one is configured
 	 * 
 	 * @event receivedMessage
 	 * @property {Message} message     Message object
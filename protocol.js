@@ -1,96 +1,24 @@
-var util   = require('util');
-var buffer = require('buffer');
 var zlib = require('zlib');
 var common = require('./common');
+var errors = require('./errors');
+var Dictionary = require('./dictionary').Dictionary;
 
-/**
- * @class Buffer
- */
-function Buffer() {
-	Buffer.super_.apply(this, arguments);
-}
-
-util.inherits(Buffer, buffer.Buffer);
-
-/**
- * @param {array} buffers - Array of buffers to concatenate
- * @param {integer} len - (optional) length of the buffer
- * @returns {Buffer} - New buffer
- */
-Buffer.concat = function(buffers, len) {
-	if(!len) {
-		len = 0;
-		
-		for (var i = 0; i < buffers.length; i++) {
-			len += buffers[i].length;
-		};
-	}
-
-	var result = new Buffer(len);
-	var offset = 0;
-	
-	for (var i = 0; i < buffers.length; i++) {
-		buffers[i].copy(result, offset);
-
-		offset += buffers[i].length;
-	};
-
-	return result;
-};
-
-Buffer.isBuffer = function(target) {
-	return target instanceof Buffer;
-};
-
-Buffer.fromBuffer = function(buffer) {
-	var buff = new Buffer(buffer.length);
-	buffer.copy(buff);
-
-	return buff;
-};
-
-Buffer.prototype.slice = function() {
-	return Buffer.fromBuffer(Buffer.super_.prototype.slice.apply(this, arguments));
-};
-
-Buffer.prototype.writeUInt24BE = function(uint, position) {
-	position = position || 0;
-
-	this.writeUInt8((uint & 0xff0000) >> 16, position);
-	this.writeUInt8((uint & 0x00ff00) >> 8, ++position);
-	this.writeUInt8((uint & 0x0000ff) >> 0, ++position);
-};
-
-Buffer.prototype.readUInt24BE = function(position) {
-	position = position || 0;
-
-	return this[position] << 16 | this[++position] << 8 | this[++position] << 0;
-};
-
-Buffer.prototype.toByteArray = function() {
-	var byteArray = [];
-
-	for(var i = 0, len = this.length; i < len; i++) {
-		byteArray.push(this[i]);
-	}
-
-	return byteArray;
-};
+// Flags in the high nibble of the frame header
+var FLAG_ENCRYPTED  = 8;
+var FLAG_COMPRESSED = 4;
 
-Buffer.prototype.toBuffer = function() {
-	var nodebuffer = new buffer.Buffer(this.length);
-	this.copy(nodebuffer);
+// The frame length is stored in 20 bits
+var MAX_FRAME_SIZE = 0xFFFFF;
 
-	return nodebuffer;
-};
+// Characters of the packed string encodings, indexed by their 4-bit value
+var NIBBLE_ALPHABET = '0123456789-.';
+var HEX_ALPHABET    = '0123456789ABCDEF';
 
-Buffer.prototype.toString = function(encoding, start, len) {
-	if (encoding || start || len) {
-		return Buffer.super_.prototype.toString.apply(this, arguments);
-	}
+// Longest string the official clients send packed
+var MAX_PACKED_LENGTH = 127;
 
-	return '[WhatsApp Buffer]';
-};
+// Initial size of the Writer output buffer, doubled whenever it fills up
+var INITIAL_BUFFER_SIZE = 512;
 
 /**
  * @class Node
@@ -144,6 +72,145 @@ Node.prototype.data = function() {
 	return this.contents.data;
 };
 
+/**
+ * First descendant at the given path of tags
+ * @param  {String} path    Tags separated by '/', '*' matches any tag. E.g. 'sync/in/user'
+ * @return {Node|null}
+ * @example
+ * var user = node.find('sync/in/user');
+ * var jid  = user && user.attribute('jid');
+ */
+Node.prototype.find = function(path) {
+	return this.findAll(path)[0] || null;
+};
+
+/**
+ * All the descendants at the given path of tags, in document order
+ * @param  {String} path    Tags separated by '/', '*' matches any tag
+ * @return {Array<Node>}
+ */
+Node.prototype.findAll = function(path) {
+	var nodes = [this];
+
+	path.split('/').forEach(function(tag) {
+		var matches = [];
+
+		nodes.forEach(function(node) {
+			node.children().forEach(function(child) {
+				if(tag === '*' || child.tag() === tag) {
+					matches.push(child);
+				}
+			});
+		});
+
+		nodes = matches;
+	});
+
+	return nodes;
+};
+
+/**
+ * @param  {String} attribute
+ * @param  {Number} defaultValue    (optional) Returned when the attribute is missing or not a number
+ * @return {Number|null}
+ */
+Node.prototype.attributeInt = function(attribute, defaultValue) {
+	var value = parseInt(this.attribute(attribute), 10);
+
+	if(isNaN(value)) {
+		return defaultValue === undefined ? null : defaultValue;
+	}
+
+	return value;
+};
+
+/**
+ * @param  {String} attribute    Attribute holding a Unix timestamp in seconds, like 't'
+ * @return {Date|null}
+ */
+Node.prototype.attributeDate = function(attribute) {
+	var seconds = this.attributeInt(attribute);
+
+	return seconds === null ? null : new Date(seconds * 1000);
+};
+
+/**
+ * @param  {String}  attribute       Attribute holding 'true'/'false', '1'/'0', 'yes'/'no' or 'on'/'off'
+ * @param  {Boolean} defaultValue    (optional) Returned when the attribute is missing or not a boolean
+ * @return {Boolean}
+ */
+Node.prototype.attributeBool = function(attribute, defaultValue) {
+	var value = this.attribute(attribute);
+
+	if(['true', '1', 'yes', 'on'].indexOf(value) !== -1) {
+		return true;
+	}
+
+	if(['false', '0', 'no', 'off'].indexOf(value) !== -1) {
+		return false;
+	}
+
+	return defaultValue === undefined ? false : defaultValue;
+};
+
+/**
+ * @typedef NodeJSON
+ * @type {Object}
+ * @property {String}          tag
+ * @property {Object}          attributes    (optional)
+ * @property {Array<NodeJSON>} children      (optional)
+ * @property {String|Object}   data          (optional) Text, or {base64: '...'} for binary data
+ */
+
+/**
+ * Plain object representation of the node, also used by JSON.stringify
+ * @return {NodeJSON}
+ */
+Node.prototype.toJSON = function() {
+	var json = { tag: this.contents.tag };
+
+	if(this.contents.attributes && Object.keys(this.contents.attributes).length) {
+		json.attributes = this.contents.attributes;
+	}
+
+	if(this.contents.children.length) {
+		json.children = this.contents.children.map(function(child) {
+			return child.toJSON();
+		});
+	}
+
+	if(this.contents.data && this.contents.data.length) {
+		json.data = Buffer.isBuffer(this.contents.data)
+			? { base64: this.contents.data.toString('base64') }
+			: String(this.contents.data);
+	}
+
+	return json;
+};
+
+/**
+ * @param  {NodeJSON|String} json    Object returned by Node#toJSON, or its JSON string
+ * @return {Node}
+ */
+Node.fromJSON = function(json) {
+	if(typeof json === 'string') {
+		json = JSON.parse(json);
+	}
+
+	var data = json.data;
+
+	if(data && typeof data === 'object') {
+		data = new Buffer(data.base64, 'base64');
+	}
+
+	return new Node(
+		json.tag,
+		json.attributes ? common.extend({}, json.attributes) : null,
+		(json.children || []).map(Node.fromJSON),
+		data
+	);
+};
+
 Node.prototype.shouldBeReplied = function() {
 	return this.tag() === 'message' && this.attribute('notify');
 };
@@ -286,6 +353,14 @@ Node.prototype.isOfflineCount = function() {
 	return this.tag() == 'ib' && this.child('offline') && this.child('offline').attribute('count');
 };
 
+/**
+ * Render the node as XML, one tag per line.
+ * String data is written as escaped text and Buffer data as <![CDATA[...]]>, or base64
+ * encoded as <![BASE64[...]]> when it isn't readable text, so that Node.fromXml gives
+ * back the same node, Buffers included.
+ * @param  {String} prefix    (optional) Written at the start of every line, e.g. 'rx '
+ * @return {String}
+ */
 Node.prototype.toXml = function(prefix) {
 	prefix = prefix || '';
 
@@ -296,7 +371,7 @@ Node.prototype.toXml = function(prefix) {
 	if(this.contents.attributes !== null) {
 		for(var key in this.contents.attributes) {
 			if(this.contents.attributes.hasOwnProperty(key)) {
-				xml += ' ' + key + '="' + this.contents.attributes[key] + '"';
+				xml += ' ' + key + '="' + escapeXml(String(this.contents.attributes[key])) + '"';
 			}
 		}
 	}
@@ -304,7 +379,7 @@ Node.prototype.toXml = function(prefix) {
 	xml += '>';
 
 	if(this.contents.data) {
-		xml += this.contents.data;
+		xml += formatXmlData(this.contents.data);
 	}
 
 	if(this.contents.children.length) {
@@ -321,71 +396,419 @@ Node.prototype.toXml = function(prefix) {
 };
 
 /**
+ * Parse a node written by Node#toXml (or by hand, self-closing tags are accepted)
+ * @param  {String}        xml
+ * @param  {String|RegExp} prefix    (optional) Line prefix to strip, e.g. 'rx ' or /^(rx|tx) /
+ * @return {Node}
+ * @example
+ * var iq = protocol.Node.fromXml('<iq type="get" xmlns="w:profile:picture"><picture type="image"/></iq>');
+ */
+Node.fromXml = function(xml, prefix) {
+	var nodes = Node.parseXml(xml, prefix);
+
+	if(nodes.length !== 1) {
+		throw new errors.ProtocolError('invalid-xml', 'Expected a single node in the XML, found ' + nodes.length);
+	}
+
+	return nodes[0];
+};
+
+/**
+ * Parse all the top-level nodes of a text, e.g. a log written by WhatsApiDebug
+ * @param  {String}        xml
+ * @param  {String|RegExp} prefix    (optional) Line prefix to strip
+ * @return {Array<Node>}
+ */
+Node.parseXml = function(xml, prefix) {
+	if(prefix) {
+		xml = xml.split('\n').map(function(line) {
+			if(prefix instanceof RegExp) {
+				return line.replace(prefix, '');
+			}
+
+			return line.indexOf(prefix) === 0 ? line.slice(prefix.length) : line;
+		}).join('\n');
+	}
+
+	return new XmlParser(xml).parseNodes();
+};
+
+var XML_ESCAPES = {
+	'&'  : '&amp;',
+	'<'  : '&lt;',
+	'>'  : '&gt;',
+	'"'  : '&quot;',
+	'\n' : '&#10;',
+	'\r' : '&#13;',
+	'\t' : '&#9;'
+};
+
+var XML_ENTITIES = {
+	amp  : '&',
+	lt   : '<',
+	gt   : '>',
+	quot : '"',
+	apos : "'"
+};
+
+function escapeXml(string) {
+	return string.replace(/[&<>"\n\r\t]/g, function(character) {
+		return XML_ESCAPES[character];
+	});
+}
+
+function unescapeXml(string) {
+	return string.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-z]+);/g, function(entity, name) {
+		if(name[0] === '#') {
+			return String.fromCharCode(name[1] === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+		}
+
+		if(!XML_ENTITIES.hasOwnProperty(name)) {
+			throw new errors.ProtocolError('invalid-xml', 'Unknown XML entity: ' + entity);
+		}
+
+		return XML_ENTITIES[name];
+	});
+}
+
+/**
+ * @param  {String|Buffer} data
+ * @return {String}  Escaped text for a string, a CDATA section or base64 for a Buffer
+ */
+function formatXmlData(data) {
+	if(!Buffer.isBuffer(data)) {
+		return escapeXml(String(data));
+	}
+
+	var text = data.toString('utf8');
+
+	// Control characters other than line breaks and tabs mean binary data, as do invalid UTF-8 sequences
+	if(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/.test(text) || text.indexOf(']]>') !== -1 || !new Buffer(text, 'utf8').equals(data)) {
+		return '<![BASE64[' + data.toString('base64') + ']]>';
+	}
+
+	return '<![CDATA[' + text + ']]>';
+}
+
+/**
+ * Recursive descent parser for the XML written by Node#toXml
+ * @class XmlParser
+ * @param {String} xml
+ * @private
+ */
+function XmlParser(xml) {
+	this.xml      = xml;
+	this.position = 0;
+}
+
+XmlParser.prototype.parseNodes = function() {
+	var nodes = [];
+
+	this.skipWhitespace();
+
+	while(this.position < this.xml.length) {
+		nodes.push(this.parseNode());
+		this.skipWhitespace();
+	}
+
+	return nodes;
+};
+
+XmlParser.prototype.parseNode = function() {
+	this.expect('<');
+
+	var tag        = this.readName();
+	var attributes = null;
+
+	this.skipWhitespace();
+
+	while(!this.lookingAt('>') && !this.lookingAt('/>')) {
+		var key = this.readName();
+
+		this.skipWhitespace();
+		this.expect('=');
+		this.skipWhitespace();
+
+		attributes = attributes || {};
+		attributes[key] = this.readQuoted();
+
+		this.skipWhitespace();
+	}
+
+	if(this.lookingAt('/>')) {
+		this.position += 2;
+		return new Node(tag, attributes);
+	}
+
+	this.expect('>');
+
+	var data     = this.readData();
+	var children = [];
+
+	this.skipWhitespace();
+
+	// Blanks before a child tag are indentation of hand-written XML
+	if(!this.lookingAt('</') && typeof data === 'string' && !data.trim()) {
+		data = '';
+	}
+
+	while(!this.lookingAt('</')) {
+		children.push(this.parseNode());
+		this.skipWhitespace();
+	}
+
+	this.expect('</' + tag);
+	this.skipWhitespace();
+	this.expect('>');
+
+	return new Node(tag, attributes, children, data);
+};
+
+/**
+ * Data following an opening tag: a Buffer for a CDATA or base64 section, a string otherwise.
+ * Line breaks in string data are always escaped, so a raw one is indentation
+ * before the children or the closing tag.
+ */
+XmlParser.prototype.readData = function() {
+	var encoding = this.lookingAt('<![BASE64[') ? 'base64' : this.lookingAt('<![CDATA[') ? 'utf8' : null;
+
+	if(encoding) {
+		this.position += encoding === 'base64' ? 10 : 9;
+
+		var end = this.xml.indexOf(']]>', this.position);
+
+		if(end === -1) {
+			this.fail('Unterminated ' + (encoding === 'base64' ? 'base64' : 'CDATA') + ' section');
+		}
+
+		var bytes = new Buffer(this.xml.slice(this.position, end), encoding);
+
+		this.position = end + 3;
+
+		return bytes;
+	}
+
+	var start = this.position;
+
+	while(this.position < this.xml.length && '<\n'.indexOf(this.xml[this.position]) === -1) {
+		this.position++;
+	}
+
+	return unescapeXml(this.xml.slice(start, this.position));
+};
+
+XmlParser.prototype.readName = function() {
+	var match = /^[^\s<>\/="']+/.exec(this.xml.slice(this.position, this.position + 256));
+
+	if(!match) {
+		this.fail('Expected a name');
+	}
+
+	this.position += match[0].length;
+
+	return match[0];
+};
+
+XmlParser.prototype.readQuoted = function() {
+	var quote = this.xml[this.position];
+
+	if(quote !== '"' && quote !== "'") {
+		this.fail('Expected a quoted value');
+	}
+
+	var end = this.xml.indexOf(quote, this.position + 1);
+
+	if(end === -1) {
+		this.fail('Unterminated attribute value');
+	}
+
+	var value = unescapeXml(this.xml.slice(this.position + 1, end));
+
+	this.position = end + 1;
+
+	return value;
+};
+
+XmlParser.prototype.skipWhitespace = function() {
+	while(this.position < this.xml.length && /\s/.test(this.xml[this.position])) {
+		this.position++;
+	}
+};
+
+XmlParser.prototype.lookingAt = function(string) {
+	return this.xml.substr(this.position, string.length) === string;
+};
+
+XmlParser.prototype.expect = function(string) {
+	if(!this.lookingAt(string)) {
+		this.fail('Expected "' + string + '"');
+	}
+
+	this.position += string.length;
+};
+
+XmlParser.prototype.fail = function(message) {
+	throw new errors.ProtocolError('invalid-xml', message + ' at position ' + this.position + ' of the XML');
+};
+
+/**
+ * Incoming data is kept as the list of chunks it arrived in; a frame is only
+ * copied when it spans several chunks, and then parsed in place.
  * @class Reader
- * @param {dictionary} dictionary
+ * @param {Dictionary|Array<String>|String} dictionary    Dictionary, old-style token array or registered version
  */
 function Reader(dictionary) {
-	this.dictionary = dictionary;
+	this.setDictionary(dictionary);
 	this.setKey(null);
-	this.input = null;
+	this.reset();
 }
 
 Reader.prototype.setKey = function(key) {
 	this.key = key;
 };
 
+/**
+ * @param {Dictionary|Array<String>|String} dictionary
+ */
+Reader.prototype.setDictionary = function(dictionary) {
+	this.dictionary = Dictionary.from(dictionary);
+};
+
+/**
+ * Drop any buffered input, e.g. when a new connection starts
+ */
+Reader.prototype.reset = function() {
+	// Pending chunks, and read position in the first one
+	this.chunks    = [];
+	this.offset    = 0;
+	this.available = 0;
+
+	// Frame being parsed
+	this.input    = null;
+	this.position = 0;
+};
+
 Reader.prototype.appendInput = function(input) {
-	//console.log("appending input: %s", input.toString('hex'));
-	input = Buffer.fromBuffer(input);
+	if(!input.length) {
+		return;
+	}
 
-	this.input = buffer.Buffer.isBuffer(this.input)
-		? Buffer.concat([this.input, input], this.input.length + input.length)
-		: input;
+	this.chunks.push(input);
+	this.available += input.length;
 };
 
 Reader.prototype.nextNode = function() {
-	if(!this.input || !this.input.length || this.input.length == 1) {
+	if(this.available < 3) {
 		return false;
 	}
-	
-	// console.log(this.input.length);
-	//console.log("processing in nextNode: %s", this.input.toString('hex'));
-	var firstByte = this.peekInt8();
-	var encrypted = ((firstByte & 0xF0) >> 4) & 8;
-	var compressed = ((firstByte & 0xF0) >> 4) & 4;
-	var dataSize  = this.peekInt16(1) | ((firstByte & 0x0F) << 16);
-
-	if(dataSize > this.input.length) {
-		//console.log("too big %d %d", dataSize, this.input.length);
+
+	var firstByte  = this.peekInputByte(0);
+	var encrypted  = ((firstByte & 0xF0) >> 4) & FLAG_ENCRYPTED;
+	var compressed = ((firstByte & 0xF0) >> 4) & FLAG_COMPRESSED;
+	var dataSize   = ((firstByte & 0x0F) << 16) | (this.peekInputByte(1) << 8) | this.peekInputByte(2);
+
+	if(3 + dataSize > this.available) {
 		return false;
 	}
 
-	this.readInt24();
+	this.consumeInput(3);
+
+	var frame = this.consumeInput(dataSize);
 
 	if(encrypted) {
 		if(this.key === null) {
-			throw 'Encountered encrypted message, missing key';
+			throw new errors.ProtocolError('missing-key', 'Encountered encrypted message, missing key');
 		}
 
-		var encoded = new buffer.Buffer(dataSize);
+		frame = this.key.decodeMessage(frame, dataSize-4, 0, dataSize-4);
+	}
+
+	if(compressed) {
+		frame = zlib.inflateSync(frame);
+	}
+
+	return dataSize ? this.readFrame(frame) : null;
+};
+
+/**
+ * Parse the node contained in a frame payload, already decrypted and inflated
+ * @param  {Buffer} frame
+ * @return {Node}
+ */
+Reader.prototype.readFrame = function(frame) {
+	this.input    = frame;
+	this.position = 0;
 
-		this.input.copy(encoded, 0, 0, dataSize);
+	try {
+		return this.readNode();
+	} finally {
+		this.input = null;
+	}
+};
 
-		var remaining = this.input.slice(dataSize);
-		//if(remaining.length) console.log("remaining: %s",remaining.toString('hex'));
-		var decoded   = this.key.decodeMessage(encoded, dataSize-4, 0, dataSize-4);
-		//console.log("decoded: %s",decoded.toString('hex'));
-		//console.log("sizes: decoded: %d data: %d",decoded.length, dataSize);
+/**
+ * Byte at the given position of the pending input, without consuming it
+ * @param  {Number} index
+ * @return {Number}
+ * @private
+ */
+Reader.prototype.peekInputByte = function(index) {
+	index += this.offset;
 
-		if (compressed) {
-			var data = zlib.inflateSync(decoded);
-			this.input = Buffer.concat([data, remaining]);
-		} else {
-			this.input = Buffer.concat([decoded, remaining]);
+	for(var i = 0; i < this.chunks.length; i++) {
+		if(index < this.chunks[i].length) {
+			return this.chunks[i][index];
 		}
+
+		index -= this.chunks[i].length;
 	}
 
-	return dataSize ? this.readNode() : null;
+	throw new errors.ProtocolError('truncated-frame', 'Not enough input');
+};
+
+/**
+ * Remove len bytes from the pending input.
+ * When they all lie in the first chunk a view on it is returned, otherwise they are copied.
+ * @param  {Number} len
+ * @return {Buffer}
+ * @private
+ */
+Reader.prototype.consumeInput = function(len) {
+	var first = this.chunks[0];
+
+	this.available -= len;
+
+	if(first && this.offset + len <= first.length) {
+		var view = first.slice(this.offset, this.offset + len);
+
+		this.offset += len;
+
+		if(this.offset === first.length) {
+			this.chunks.shift();
+			this.offset = 0;
+		}
+
+		return view;
+	}
+
+	var output  = new Buffer(len);
+	var written = 0;
+
+	while(written < len) {
+		var chunk = this.chunks[0];
+		var count = Math.min(chunk.length - this.offset, len - written);
+
+		chunk.copy(output, written, this.offset, this.offset + count);
+		written     += count;
+		this.offset += count;
+
+		if(this.offset === chunk.length) {
+			this.chunks.shift();
+			this.offset = 0;
+		}
+	}
+
+	return output;
 };
 
 Reader.prototype.readNode = function() {
@@ -424,24 +847,15 @@ Reader.prototype.readNode = function() {
 };
 
 Reader.prototype.getToken = function(token) {
-	if(token < 0xEC && this.dictionary.hasOwnProperty(token)) {
-		return this.dictionary[token];
-	}else{
-		//retrieve from "secondary" dictionary. But since we only have one large dictionary we use an offset of 236 (0xEC)
-		var retryToken = 0xEC + this.readInt8();
-		if(this.dictionary.hasOwnProperty(retryToken))
-			return this.dictionary[retryToken];
-	}
-
-	throw 'Unexpected token: ' + token;
+	return this.dictionary.decode(token, this.readInt8.bind(this));
 };
 
 Reader.prototype.readString = function(token, raw) {
 	if(token === -1) {
-		throw 'Invalid token';
+		throw new errors.ProtocolError('invalid-token', 'Invalid token');
 	}
 
-	if(token > 2 && token < 0xF5) { // 245
+	if(this.dictionary.isToken(token)) {
 		return this.getToken(token);
 	}
 	
@@ -453,10 +867,6 @@ Reader.prototype.readString = function(token, raw) {
 		return this.fillArray(this.readInt24(), raw);
 	}
 
-	if(token === 0xFE) {
-		return this.getToken(this.readInt8() + 0xF5);
-	}
-
 	if(token === 0xFA) {
 		var user   = this.readString(this.readInt8());
 		var server = this.readString(this.readInt8());
@@ -468,10 +878,23 @@ Reader.prototype.readString = function(token, raw) {
 		return this.readNibble();
 	}
 
+	if(token === 0xFB) {
+		return this.readPacked(HEX_ALPHABET);
+	}
+
 	return '';
 };
 
 Reader.prototype.readNibble = function() {
+	return this.readPacked(NIBBLE_ALPHABET);
+};
+
+/**
+ * Read a string packed two characters per byte
+ * @param  {String} alphabet    Characters indexed by their 4-bit value
+ * @return {String}
+ */
+Reader.prototype.readPacked = function(alphabet) {
 	var string = '';
 	var byte = this.readInt8();
 	var ignoreLastNibble = (byte & 0x80) ? 1:0;
@@ -484,13 +907,11 @@ Reader.prototype.readNibble = function() {
 	for(var i=0; i< nrOfNibbles; i++){
 		byte = data[Math.floor(i/2)];
 		var shift = 4 * (1- i %2);
-		var decimal = (byte & (15 << shift)) >> shift;
-		if (decimal>=0 && decimal <=9)
-			string+=decimal;
-		else if (decimal ==10)
-			string+= '-';
-		else if (decimal ==11)
-			string+='.';
+		var value = (byte & (15 << shift)) >> shift;
+
+		if (value < alphabet.length) {
+			string += alphabet[value];
+		}
 	}
 	return string;
 };
@@ -527,7 +948,7 @@ Reader.prototype.readListSize = function(token) {
 		return this.readInt16();
 	}
 
-	throw 'Invalid list size in readListSize: token: ' + token;
+	throw new errors.ProtocolError('invalid-list-size', 'Invalid list size in readListSize: token: ' + token);
 };
 
 Reader.prototype.readList = function(token) {
@@ -542,78 +963,140 @@ Reader.prototype.readList = function(token) {
 };
 
 Reader.prototype.fillArray = function(len, raw) {
+	this.ensureInput(len);
+
 	try {
-		return raw ? this.input.slice(0, len).toBuffer() : this.input.toString(null, 0, len);
-	}finally {
-		this.input = this.input.slice(len);
+		return raw ? this.input.slice(this.position, this.position + len) : this.input.toString('utf8', this.position, this.position + len);
+	} finally {
+		this.position += len;
+	}
+};
+
+/**
+ * @param  {Number} len    Number of bytes about to be read from the current frame
+ * @private
+ */
+Reader.prototype.ensureInput = function(len) {
+	if(this.position + len > this.input.length) {
+		throw new errors.ProtocolError('truncated-frame', 'Unexpected end of frame');
 	}
 };
 
 Reader.prototype.peekInt8 = function(offset) {
 	offset = offset || 0;
 
-	return this.input.readUInt8(offset);
+	this.ensureInput(offset + 1);
+
+	return this.input[this.position + offset];
 };
 
 Reader.prototype.readInt8 = function() {
 	try {
 		return this.peekInt8();
 	} finally {
-		this.input = this.input.slice(1);
+		this.position += 1;
 	}
 };
 
 Reader.prototype.peekInt16 = function(offset) {
 	offset = offset || 0;
 
-	return this.input.readUInt16BE(offset);
+	this.ensureInput(offset + 2);
+
+	return this.input.readUInt16BE(this.position + offset);
 };
 
 Reader.prototype.readInt16 = function() {
 	try {
 		return this.peekInt16();
 	} finally {
-		this.input = this.input.slice(2);
+		this.position += 2;
 	}
 };
 
 Reader.prototype.peekInt24 = function(offset) {
 	offset = offset || 0;
 
-	return this.input.readUInt24BE(offset);
+	this.ensureInput(offset + 3);
+
+	return this.input.readUIntBE(this.position + offset, 3);
 };
 
 Reader.prototype.readInt24 = function() {
 	try {
 		return this.peekInt24();
 	} finally {
-		this.input = this.input.slice(3);
+		this.position += 3;
 	}
 };
 
 /**
  * @class Writer
- * @param {dictionary} dictionary
+ * @param {Dictionary|Array<String>|String} dictionary    Dictionary, old-style token array or registered version
  */
 function Writer(dictionary) {
-	this.dictionary = {};
-
-	dictionary.forEach(function(token, index) {
-		this.dictionary[token] = index;
-	}, this);
-
+	this.setDictionary(dictionary);
 	this.setKey(null);
+	this.setCompressionThreshold(0);
+	this.setSelfCheck(false);
 }
 
 Writer.prototype.setKey = function(key) {
 	this.key = key;
 };
 
-Writer.prototype.initBuffer = function(len) {
-	this.output = new Buffer(len);
+/**
+ * @param {Dictionary|Array<String>|String} dictionary
+ */
+Writer.prototype.setDictionary = function(dictionary) {
+	this.dictionary = Dictionary.from(dictionary);
+};
+
+/**
+ * Deflate the frames whose payload is at least this many bytes
+ * @param {Number} threshold    0 to disable compression
+ */
+Writer.prototype.setCompressionThreshold = function(threshold) {
+	this.compressionThreshold = threshold || 0;
+};
+
+/**
+ * Parse every node back right after serializing it and throw if the result differs.
+ * Slow, meant for tests.
+ * @param {Boolean} enabled
+ */
+Writer.prototype.setSelfCheck = function(enabled) {
+	this.selfCheck = !!enabled;
+};
+
+Writer.prototype.initBuffer = function() {
+	this.output = new Buffer(INITIAL_BUFFER_SIZE);
 	this.offset = 0;
 };
 
+/**
+ * Make room for len more bytes in the output buffer
+ * @param {Number} len
+ * @private
+ */
+Writer.prototype.reserve = function(len) {
+	var required = this.offset + len;
+
+	if (required <= this.output.length) {
+		return;
+	}
+
+	var size = this.output.length * 2;
+
+	while (size < required) {
+		size *= 2;
+	}
+
+	var output = new Buffer(size);
+	this.output.copy(output, 0, 0, this.offset);
+	this.output = output;
+};
+
 Writer.prototype.stream = function(to, resource) {
 	var header = new Buffer(4);
 	
@@ -624,52 +1107,85 @@ Writer.prototype.stream = function(to, resource) {
 
 	var attributes = {to : to, resource : resource};
 
-	this.initBuffer(3 + this.getAttributesBufferLength(attributes));
+	this.initBuffer();
 	this.writeListStart(5);
 	this.writeInt8(0x01);
 	this.writeAttributes(attributes);
 
 	var output = this.flush();
 
-	return Buffer.concat([header, output], header.length + output.length).toBuffer();
+	return Buffer.concat([header, output], header.length + output.length);
 };
 
 Writer.prototype.node = function(node) {
+	this.initBuffer();
+
 	if (node === null) {
-		this.initBuffer(1);
 		this.writeInt8(0x00);
 	} else {
-		this.initBuffer(this.getNodeBufferLength(node));
 		this.writeNode(node);
+
+		if (this.selfCheck) {
+			this.checkOutput(node);
+		}
 	}
 
-	return this.flush().toBuffer();
+	return this.flush();
 };
 
+/**
+ * Parse the serialized node back and compare it with the original
+ * @param  {Node} node
+ * @private
+ */
+Writer.prototype.checkOutput = function(node) {
+	var reader = new Reader(this.dictionary);
+	var output = this.output.slice(0, this.offset);
+	var parsed = reader.readFrame(output);
+
+	if (reader.position !== output.length) {
+		throw new errors.ProtocolError('self-check-failed', 'Self-check failed: ' + (output.length - reader.position) + ' trailing bytes after <' + node.tag() + '>');
+	}
+
+	var difference = compareNodes(node, parsed, node.tag());
 
+	if (difference) {
+		throw new errors.ProtocolError('self-check-failed', 'Self-check failed: ' + difference);
+	}
+};
 
 Writer.prototype.flush = function() {
-	var output = this.output.toBuffer();
+	var output = this.output.slice(0, this.offset);
 	var header = new Buffer(3);
-	
+	var flags  = 0;
+
+	this.output = null;
+
+	if (this.compressionThreshold && output.length >= this.compressionThreshold) {
+		var deflated = zlib.deflateSync(output);
+
+		// Not worth it for payloads that don't shrink, e.g. media thumbnails
+		if (deflated.length < output.length) {
+			output = deflated;
+			flags |= FLAG_COMPRESSED;
+		}
+	}
+
 	if (this.key !== null) {
-		var size = output.length + 4;
 		output = this.key.encodeMessage(output,output.length,0,output.length);
-		header.writeUInt8( ((8 << 4) | (size & 16711680) >> 16)%256 , 0);
-		header.writeUInt8( ((size & 65280) >> 8)%256, 1);
-		header.writeUInt8( (size & 255)%256, 2);
-		
-	}
-	else{
-		header.writeUInt8(this.key === null ? 0x00 : 0x10, 0);
-		header.writeUInt16BE(output.length, 1);
+		flags |= FLAG_ENCRYPTED;
 	}
 
-	try {
-		return Buffer.concat([header, output], header.length + output.length);
-	} finally {
-		this.output = null;
+	var size = output.length;
+
+	if (size > MAX_FRAME_SIZE) {
+		throw new errors.ProtocolError('frame-too-large', 'Frame too large: ' + size + ' bytes');
 	}
+
+	header.writeUInt8((flags << 4) | ((size & 0xF0000) >> 16), 0);
+	header.writeUInt16BE(size & 0xFFFF, 1);
+
+	return Buffer.concat([header, output], header.length + output.length);
 };
 
 Writer.prototype.writeNode = function(node) {
@@ -732,16 +1248,9 @@ Writer.prototype.writeAttributes = function(attributes) {
 };
 
 Writer.prototype.writeString = function(string) {
-	if (this.dictionary.hasOwnProperty(string)) {
-		var token = this.dictionary[string];
-		// check if it comes from the 'secondary' dictionary
-		if (token >= 0xEC){
-			// if so, write an extra token 0xEC (236)
-			// to indicate it came from the secondary dictionary and compensate the offset
-			this.writeInt8(0xEC);
-			token -= 0xEC;
-		} 
-		
+	var token = this.dictionary.encode(string);
+
+	if (token) {
 		this.writeToken(token);
 		return;
 	}
@@ -755,20 +1264,45 @@ Writer.prototype.writeString = function(string) {
 		return;
 	}
 
-	this.writeBytes(string);
-};
-
-Writer.prototype.writeToken = function(token) {
-	if (token < 0xF5) { // 245 first dictionary
-		this.writeInt8(token);
+	if (isPackable(string, NIBBLE_ALPHABET)) {
+		this.writePacked(string, 0xFF, NIBBLE_ALPHABET); // 255
 		return;
 	}
 
-	if (token < 0x1F5) { // 501 second dictionary
-		this.writeInt8(0xFE); // 254
-		this.writeInt8(token - 0xF5); // remove offset
+	if (isPackable(string, HEX_ALPHABET)) {
+		this.writePacked(string, 0xFB, HEX_ALPHABET); // 251
 		return;
 	}
+
+	this.writeBytes(string);
+};
+
+/**
+ * Write a string two characters per byte, e.g. phone numbers and timestamps.
+ * An odd length is flagged in the size byte and the last nibble is padded with 0xF.
+ * @param {String} string
+ * @param {Number} token       0xFF for nibble-packed, 0xFB for hex-packed
+ * @param {String} alphabet    Characters indexed by their 4-bit value
+ */
+Writer.prototype.writePacked = function(string, token, alphabet) {
+	var size = Math.ceil(string.length / 2);
+
+	this.writeInt8(token);
+	this.writeInt8((string.length % 2 ? 0x80 : 0) | size);
+
+	for (var i = 0; i < string.length; i += 2) {
+		var high = alphabet.indexOf(string[i]);
+		var low  = i + 1 < string.length ? alphabet.indexOf(string[i + 1]) : 0x0F;
+
+		this.writeInt8((high << 4) | low);
+	}
+};
+
+/**
+ * @param {Array<Number>} token    Bytes of a dictionary token, as returned by Dictionary#encode
+ */
+Writer.prototype.writeToken = function(token) {
+	token.forEach(this.writeInt8, this);
 };
 
 Writer.prototype.writeJid = function(user, server) {
@@ -778,7 +1312,7 @@ Writer.prototype.writeJid = function(user, server) {
 	if (user.length > 0) {
 		this.writeString(user);
 	} else {
-		this.writeToken(0);
+		this.writeInt8(0x00);
 	}
 	
 	// write the server
@@ -789,7 +1323,7 @@ Writer.prototype.writeBytes = function(bytes) {
 	var len;
 	
 	if (typeof bytes == 'string') {
-		var bytes = new buffer.Buffer(bytes);
+		var bytes = new Buffer(bytes);
 	}
 	
 	len = bytes.length;
@@ -803,123 +1337,103 @@ Writer.prototype.writeBytes = function(bytes) {
 		this.writeInt8(len);
 	}
 	
-	//console.log('bytes: ' + bytes);
-	//console.log('length: ' + len);
-
+	this.reserve(len);
 	bytes.copy(this.output, this.offset, 0, len);
 	
 	this.offset += len;
 };
 
 Writer.prototype.writeInt8 = function(uint) {
+	this.reserve(1);
 	this.output.writeUInt8(uint, this.offset++);
 };
 
 Writer.prototype.writeInt16 = function(uint) {
+	this.reserve(2);
 	this.output.writeUInt16BE(uint, this.offset);
 	this.offset += 2;
 };
 
 Writer.prototype.writeInt24 = function(uint) {
-	this.output.writeUInt24BE(uint, this.offset);
+	this.reserve(3);
+	this.output.writeUIntBE(uint, this.offset, 3);
 	this.offset += 3;
 };
 
-
-Writer.prototype.getNodeBufferLength = function(node) {
-	var size = 2;
-
-	size += this.getStringBufferLength(node.tag());
-
-	if(node.attributes() !== null) {
-		size += this.getAttributesBufferLength(node.attributes());
+/**
+ * Describe the first difference between two nodes
+ * @param  {Node}   expected
+ * @param  {Node}   actual
+ * @param  {String} path        Tags leading to the compared nodes, for the description
+ * @return {String|null}        null when the nodes are the same
+ */
+function compareNodes(expected, actual, path) {
+	if (!actual) {
+		return 'missing node ' + path;
 	}
 
-	if(node.data() !== '') {
-		if (node.tag() =='body')
-			size += this.getBodyRawBufferLength(node.data());
-		else
-			size += this.getRawBufferLength(node.data());
+	if (expected.tag() !== actual.tag()) {
+		return 'tag of ' + path + ' is <' + actual.tag() + '>';
 	}
 
-	if(node.children().length) {
-		size += 2;
+	var expectedAttributes = expected.attributes() || {};
+	var actualAttributes   = actual.attributes() || {};
+	var keys = Object.keys(expectedAttributes);
 
-		node.children().forEach(function(child) {
-			size += this.getNodeBufferLength(child);
-		}, this);
+	if (keys.length !== Object.keys(actualAttributes).length) {
+		return 'attributes of ' + path + ' differ';
 	}
 
-	return size;
-};
-
-Writer.prototype.getStringBufferLength = function(string) {
-	if(this.dictionary.hasOwnProperty(string)) {
-		return this.getTokenBufferLength(this.dictionary[string]);
+	for (var i = 0; i < keys.length; i++) {
+		if (String(expectedAttributes[keys[i]]) !== actualAttributes[keys[i]]) {
+			return 'attribute ' + keys[i] + ' of ' + path + ' is "' + actualAttributes[keys[i]] + '"';
+		}
 	}
 
-	if(string.indexOf('@') != -1) {
-		var parts   = string.split('@');
-		var jidsize = 1;
-
-		jidsize += parts[0].length
-			? this.getStringBufferLength(parts[0])
-			: this.getTokenBufferLength(0);
-
-		jidsize += this.getStringBufferLength(parts[1]);
-
-		return jidsize;
+	if (!toBytes(expected.data()).equals(toBytes(actual.data()))) {
+		return 'data of ' + path + ' differs';
 	}
 
-	return this.getRawBufferLength(string);
-};
-
-Writer.prototype.getTokenBufferLength = function(token) {
-	if(token < 0xF5) {
-		return 1;
+	if (expected.children().length !== actual.children().length) {
+		return path + ' has ' + actual.children().length + ' children';
 	}
 
-	if(token < 0x1F5) {
-		return 2;
+	for (var j = 0; j < expected.children().length; j++) {
+		var child = expected.children()[j];
+		var difference = compareNodes(child, actual.children()[j], path + '/' + child.tag());
+
+		if (difference) {
+			return difference;
+		}
 	}
 
-	return 0;
-};
+	return null;
+}
 
-Writer.prototype.getAttributesBufferLength = function(attributes) {
-	var size = 0;
+/**
+ * @param  {String}  string
+ * @param  {String}  alphabet
+ * @return {Boolean} Whether the string can be written packed with the given alphabet
+ */
+function isPackable(string, alphabet) {
+	if (!string.length || string.length > MAX_PACKED_LENGTH) {
+		return false;
+	}
 
-	for(var key in attributes) {
-		if(attributes.hasOwnProperty(key)) {
-			size += this.getStringBufferLength(key) + this.getStringBufferLength(attributes[key]);
+	for (var i = 0; i < string.length; i++) {
+		if (alphabet.indexOf(string[i]) === -1) {
+			return false;
 		}
 	}
 
-	return size;
-};
-
-Writer.prototype.getRawBufferLength = function(raw) {
-	var size = 2;
-	
-	if (typeof raw == 'string'){
-		size += buffer.Buffer.byteLength(raw,'utf8');
-	} else {
-		size += raw.length;
-	}
-	
-	size = (raw.length >= 0x100) ? (size + 2) : size;
+	return true;
+}
 
-	return size;
-};
+function toBytes(data) {
+	return Buffer.isBuffer(data) ? data : new Buffer(String(data || ''));
+}
 
-/*
-* @deprecated
-*/
-Writer.prototype.getBodyRawBufferLength = function(raw) {
-	return this.getRawBufferLength(raw);
-};
 
-exports.Buffer = Buffer;
 exports.Node   = Node;
 exports.Reader = Reader;
 exports.Writer = Writer;
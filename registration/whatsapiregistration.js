@@ -3,23 +3,7 @@ var crypto = require('crypto');
 var https = require('https');
 var querystring = require('querystring');
 var common = require('../common');
-
-var INVALID_PHONE = {
-	code: '1',
-	message: 'The provided phone number is not valid'
-};
-var REQUEST_ERROR = {
-	code: '2',
-	message: 'Request failed'
-};
-var WRONG_RESPONSE = {
-	code: '3',
-	message: 'Response is non-json'
-};
-var NETWORK_ERROR = {
-	code: '4',
-	message: 'Network error'
-};
+var RegistrationError = require('../errors').RegistrationError;
 
 /**
  * @class WhatsApiRegistration
@@ -56,8 +40,8 @@ WhatsApiRegistration.prototype.codeRequest = function(method, callback) {
 		}
 	}
 
-	if (!cc)
-		return callback(INVALID_PHONE);
+	if (!found)
+		return callback(new RegistrationError('invalid-phone', 'The provided phone number is not valid'));
 
 	var settings = this.countries[cc];
 	this.config.cc = cc;
@@ -122,13 +106,11 @@ WhatsApiRegistration.prototype.request = function(method, query, callback) {
 			try {
 				response = JSON.parse(jsonbody);
 			} catch (err) {
-				WRONG_RESPONSE.response = JSON.stringify(jsonbody);
-				return callback(WRONG_RESPONSE);
+				return callback(new RegistrationError('invalid-response', 'Response is non-json', { response: jsonbody }));
 			}
 
 			if (response.status !== 'sent' && response.status !== 'ok') {
-				REQUEST_ERROR.response = response;
-				return callback(REQUEST_ERROR);
+				return callback(new RegistrationError('request-failed', 'Request failed', { response: response }));
 			}
 
 			callback(null, response);
@@ -136,8 +118,7 @@ WhatsApiRegistration.prototype.request = function(method, query, callback) {
 	});
 
 	req.on('error', function(err) {
-		NETWORK_ERROR.info = err;
-		return callback(NETWORK_ERROR);
+		return callback(new RegistrationError('network-error', 'Network error', { cause: err }));
 	});
 };
 
@@ -0,0 +1,254 @@
+/**
+ * Search in the stored messages. Every given criterion must match.
+ * @typedef SearchQuery
+ * @type {Object}
+ * @property {String}        text       (optional) Words to find in the text, the media captions and the vCard
+ *                                      (or location) names; every word must be found, as a word or a word start
+ * @property {String}        chat       (optional) Conversation JID
+ * @property {String}        author     (optional) Sender JID
+ * @property {Date}          since      (optional) Only messages sent at or after this date
+ * @property {Date}          until      (optional) Only messages sent at or before this date
+ * @property {String|Array}  type       (optional) Message type, or list of types: 'text', 'image', 'video', 'audio', 'vcard', 'location'
+ * @property {Number}        limit      Maximum number of results, 20 by default
+ * @property {Number}        context    Number of messages of the chat to include before and after each result, 2 by default
+ */
+
+/**
+ * @typedef SearchResult
+ * @type {Object}
+ * @property {StoredMessage}        message    Message found
+ * @property {Number}               score      Relevance: higher when the words are found whole, more often, or in a name
+ * @property {Array<StoredMessage>} before     Previous messages of the chat, oldest first
+ * @property {Array<StoredMessage>} after      Next messages of the chat, oldest first
+ */
+
+// Searched fields, with the weight of a match in each
+var FIELDS = [
+	{ weight: 1, value: function(message) { return message.body; } },
+	{ weight: 1, value: function(message) { return message.media && message.media.caption; } },
+	{ weight: 2, value: function(message) { return message.media && message.media.name; } }
+];
+
+// Whitespace and punctuation (ASCII, Latin-1 and general punctuation)
+var SEPARATORS = /[\s!-\/:-@\[-`{-~\u00a0-\u00bf\u00d7\u00f7\u2000-\u206f]+/;
+
+/**
+ * Split a text into lower case words
+ * @param  {String} text
+ * @return {Array<String>}
+ */
+function tokenize(text) {
+	return (text || '').toLowerCase().split(SEPARATORS).filter(function(word) {
+		return word.length > 0;
+	});
+}
+
+/**
+ * Query with the defaults applied and the text split into words
+ * @param  {SearchQuery} query
+ * @return {Object}
+ */
+function normalizeQuery(query) {
+	var type = query.type;
+
+	return {
+		words   : tokenize(query.text),
+		chat    : query.chat || null,
+		author  : query.author || null,
+		since   : query.since || null,
+		until   : query.until || null,
+		types   : type ? [].concat(type) : null,
+		limit   : query.limit || 20,
+		context : query.context === undefined ? 2 : query.context
+	};
+}
+
+/**
+ * Whether a message passes the criteria of a normalized query other than the words
+ * @param  {StoredMessage} message
+ * @param  {Object}        query
+ * @return {Boolean}
+ */
+function matchesFilters(message, query) {
+	return !((query.chat && message.chat !== query.chat) ||
+		(query.author && message.author !== query.author) ||
+		(query.since && message.date < query.since) ||
+		(query.until && message.date > query.until) ||
+		(query.types && query.types.indexOf(message.type) === -1));
+}
+
+/**
+ * Weight of every word of a message: the sum of the weights of the fields it appears in, once per occurrence
+ * @param  {StoredMessage} message
+ * @return {Object}        Weights by word
+ */
+function weighWords(message) {
+	var weights = {};
+
+	FIELDS.forEach(function(field) {
+		tokenize(field.value(message)).forEach(function(word) {
+			weights[word] = (weights[word] || 0) + field.weight;
+		});
+	});
+
+	return weights;
+}
+
+/**
+ * Score of the words of a message for a query: a word found whole counts twice its weight,
+ * a word starting with a searched word counts its weight
+ * @param  {Object}        weights    Weights by word of the message, see weighWords
+ * @param  {Array<String>} terms      Searched words
+ * @return {Number|null}   null when a searched word isn't found
+ */
+function scoreWords(weights, terms) {
+	var score = 0;
+
+	for (var i = 0; i < terms.length; i++) {
+		var term      = terms[i];
+		var termScore = 0;
+
+		for (var word in weights) {
+			if (word === term) {
+				termScore += 2 * weights[word];
+			} else if (word.indexOf(term) === 0) {
+				termScore += weights[word];
+			}
+		}
+
+		if (!termScore) {
+			return null;
+		}
+
+		score += termScore;
+	}
+
+	return score;
+}
+
+/**
+ * Score of a message for a normalized query
+ * @param  {StoredMessage} message
+ * @param  {Object}        query
+ * @return {Number|null}   null when the message doesn't match
+ */
+function scoreMessage(message, query) {
+	if (!matchesFilters(message, query)) {
+		return null;
+	}
+
+	return scoreWords(weighWords(message), query.words);
+}
+
+/**
+ * Inverted index of the words of the messages, to score a query without reading every message
+ * @class SearchIndex
+ */
+function SearchIndex() {
+	this.postings = {};
+	this.words    = {};
+}
+
+/**
+ * Index a message, replacing the words indexed for its ID
+ * @param {StoredMessage} message
+ */
+SearchIndex.prototype.add = function(message) {
+	var weights = weighWords(message);
+
+	this.remove(message.id);
+
+	this.words[message.id] = Object.keys(weights);
+	this.words[message.id].forEach(function(word) {
+		(this.postings[word] || (this.postings[word] = {}))[message.id] = weights[word];
+	}, this);
+};
+
+/**
+ * @param {String} id    Message ID
+ */
+SearchIndex.prototype.remove = function(id) {
+	(this.words[id] || []).forEach(function(word) {
+		delete this.postings[word][id];
+
+		if (!Object.keys(this.postings[word]).length) {
+			delete this.postings[word];
+		}
+	}, this);
+
+	delete this.words[id];
+};
+
+/**
+ * Score the messages containing every searched word, like scoreWords
+ * @param  {Array<String>} terms
+ * @return {Object}        Scores by message ID, of the matching messages only
+ */
+SearchIndex.prototype.score = function(terms) {
+	var scores = null;
+
+	terms.forEach(function(term) {
+		var termScores = {};
+
+		for (var word in this.postings) {
+			if (word.indexOf(term) !== 0) {
+				continue;
+			}
+
+			var postings = this.postings[word];
+
+			for (var id in postings) {
+				termScores[id] = (termScores[id] || 0) + (word === term ? 2 : 1) * postings[id];
+			}
+		}
+
+		if (!scores) {
+			scores = termScores;
+			return;
+		}
+
+		for (id in scores) {
+			if (id in termScores) {
+				scores[id] += termScores[id];
+			} else {
+				delete scores[id];
+			}
+		}
+	}, this);
+
+	return scores || {};
+};
+
+/**
+ * Score the messages and keep the best ones, most relevant first, then newest first
+ * @param  {Array<StoredMessage>} messages
+ * @param  {Object}               query       Normalized query
+ * @param  {Object}               scores      (optional) Scores of the words by message ID, from a SearchIndex;
+ *                                            the messages missing from it don't match
+ * @return {Array<SearchResult>}  Results without context yet
+ */
+function rank(messages, query, scores) {
+	var results = [];
+
+	messages.forEach(function(message) {
+		var score = scores ?
+			(matchesFilters(message, query) && message.id in scores ? scores[message.id] : null) :
+			scoreMessage(message, query);
+
+		if (score !== null) {
+			results.push({ message: message, score: score, before: [], after: [] });
+		}
+	});
+
+	results.sort(function(a, b) {
+		return b.score - a.score || b.message.date - a.message.date;
+	});
+
+	return results.slice(0, query.limit);
+}
+
+exports.tokenize       = tokenize;
+exports.normalizeQuery = normalizeQuery;
+exports.scoreMessage   = scoreMessage;
+exports.rank           = rank;
+exports.SearchIndex    = SearchIndex;
@@ -0,0 +1,809 @@
+var search = require('./search');
+
+/**
+ * Schema changes, in order: SQL scripts, or function(db, callback) when rows must be converted.
+ * The database records how many were applied (PRAGMA user_version), so that opening it applies
+ * only the missing ones. Never change an applied migration: add a new one.
+ */
+var MIGRATIONS = [
+	[
+		'CREATE TABLE messages (',
+		'  seq INTEGER PRIMARY KEY,',
+		'  id TEXT NOT NULL UNIQUE,',
+		'  chat TEXT NOT NULL,',
+		'  author TEXT,',
+		'  from_me INTEGER NOT NULL,',
+		'  type TEXT NOT NULL,',
+		'  body TEXT,',
+		'  media TEXT,',
+		'  notify TEXT,',
+		'  date INTEGER NOT NULL,',
+		'  status TEXT,',
+		'  updated INTEGER',
+		');',
+		'CREATE INDEX messages_chat_date ON messages (chat, date);',
+		'CREATE TABLE contacts (',
+		'  jid TEXT PRIMARY KEY,',
+		'  number TEXT,',
+		'  registered INTEGER NOT NULL,',
+		'  updated INTEGER NOT NULL',
+		');',
+		'CREATE TABLE statuses (',
+		'  jid TEXT PRIMARY KEY,',
+		'  status TEXT,',
+		'  date INTEGER',
+		');',
+		'CREATE TABLE profile_pictures (',
+		'  jid TEXT PRIMARY KEY,',
+		'  picture_id TEXT NOT NULL,',
+		'  updated INTEGER NOT NULL',
+		');',
+		'CREATE TABLE group_chats (',
+		'  jid TEXT PRIMARY KEY,',
+		'  subject TEXT,',
+		'  creator TEXT,',
+		'  creation INTEGER,',
+		'  updated INTEGER NOT NULL',
+		');',
+		'CREATE TABLE group_participants (',
+		'  group_jid TEXT NOT NULL,',
+		'  jid TEXT NOT NULL,',
+		'  admin INTEGER NOT NULL,',
+		'  PRIMARY KEY (group_jid, jid)',
+		');'
+	].join('\n'),
+
+	// Full-text index of the texts, captions and vCard names, kept up to date by triggers
+	function(db, callback) {
+		db.exec([
+			'ALTER TABLE messages ADD COLUMN caption TEXT;',
+			'ALTER TABLE messages ADD COLUMN name TEXT;',
+			'CREATE VIRTUAL TABLE messages_search USING fts4(body, caption, name, tokenize=unicode61);',
+			'INSERT INTO messages_search (docid, body) SELECT seq, body FROM messages;',
+			'CREATE TRIGGER messages_search_insert AFTER INSERT ON messages BEGIN',
+			'  INSERT INTO messages_search (docid, body, caption, name) VALUES (new.seq, new.body, new.caption, new.name);',
+			'END;',
+			'CREATE TRIGGER messages_search_update AFTER UPDATE OF body, caption, name ON messages BEGIN',
+			'  DELETE FROM messages_search WHERE docid = old.seq;',
+			'  INSERT INTO messages_search (docid, body, caption, name) VALUES (new.seq, new.body, new.caption, new.name);',
+			'END;',
+			'CREATE TRIGGER messages_search_delete AFTER DELETE ON messages BEGIN',
+			'  DELETE FROM messages_search WHERE docid = old.seq;',
+			'END;'
+		].join('\n'), function(err) {
+			if (err) {
+				callback(err);
+				return;
+			}
+
+			// Fill the new columns of the media messages already stored, which indexes them
+			db.all('SELECT seq, media FROM messages WHERE media IS NOT NULL', function(err, rows) {
+				var next = function(err) {
+					if (err || !rows.length) {
+						callback(err || null);
+						return;
+					}
+
+					var row   = rows.shift();
+					var media = JSON.parse(row.media);
+
+					db.run('UPDATE messages SET caption = ?, name = ? WHERE seq = ?', [media.caption, media.name, row.seq], next);
+				};
+
+				next(err);
+			});
+		});
+	},
+
+	[
+		'CREATE TABLE media_files (',
+		'  url TEXT PRIMARY KEY,',
+		'  path TEXT NOT NULL,',
+		'  updated INTEGER NOT NULL',
+		');'
+	].join('\n')
+];
+
+var MESSAGE_COLUMNS = ['id', 'chat', 'author', 'from_me', 'type', 'body', 'media', 'notify', 'date', 'status', 'updated'];
+
+// Every JID known from any of the contact tables
+var CONTACT_QUERY = [
+	'SELECT j.jid, c.number, c.registered, s.status, s.date AS status_date, p.picture_id',
+	'FROM (SELECT jid FROM contacts UNION SELECT jid FROM statuses UNION SELECT jid FROM profile_pictures) j',
+	'LEFT JOIN contacts c ON c.jid = j.jid',
+	'LEFT JOIN statuses s ON s.jid = j.jid',
+	'LEFT JOIN profile_pictures p ON p.jid = j.jid'
+].join('\n');
+
+/**
+ * What is known about a contact, from the contacts sync, the statuses and the profile pictures
+ * @typedef StoredContact
+ * @type {Object}
+ * @property {String}  jid           Contact JID
+ * @property {String}  number        Number as synced; null if the contact wasn't synced
+ * @property {Boolean} registered    Whether the number has a WhatsApp account; null if not synced
+ * @property {String}  status        Status message; null if unknown
+ * @property {Date}    statusDate    When the status was set
+ * @property {String}  pictureId     ID of the profile picture; null if unknown
+ */
+
+/**
+ * @typedef StoredGroup
+ * @type {Object}
+ * @property {String}  jid             Group JID
+ * @property {String}  subject
+ * @property {String}  creator         JID of the group creator
+ * @property {Date}    creationDate
+ * @property {Array<Participant>} participants
+ */
+
+/**
+ * Store keeping the history and the known contacts and groups in a SQLite database file.
+ * Besides the Store methods, it saves the contacts sync results, the statuses, the group
+ * metadata and the profile picture IDs received in the responses to the requests.
+ * The texts, captions and vCard names are indexed for search with SQLite full-text search.
+ * It also remembers where media files were downloaded, for the exports.
+ * Requires the sqlite3 module (npm install sqlite3). The schema is created or migrated
+ * when the database is opened; calls made in the meantime wait for it.
+ * @class SqliteStore
+ * @param {String} path    Database file, created when missing; ':memory:' for a temporary database
+ * @example
+ * var wa = whatsapi.createAdapter({
+ *   msisdn   : '491234567890',
+ *   password : '...',
+ *   store    : new whatsapi.store.SqliteStore('./whatsapp.db')
+ * });
+ *
+ * wa.store.getContact('491234567890@s.whatsapp.net', function(err, contact) {
+ *   console.log(contact.status, contact.pictureId);
+ * });
+ */
+function SqliteStore(path) {
+	var sqlite3 = require('sqlite3');
+
+	this.path  = path;
+	this.error = null;
+	this.queue = [];
+	this.busy  = true; // Until the database is ready
+
+	this.db = new sqlite3.Database(path, function(err) {
+		if (err) {
+			this.open(err);
+			return;
+		}
+
+		this.migrate(this.open.bind(this));
+	}.bind(this));
+}
+
+/**
+ * @param {StoredMessage} message
+ * @param {Function}      callback
+ */
+SqliteStore.prototype.saveMessage = function(message, callback) {
+	var media = message.media || {};
+
+	// Deleted then inserted rather than replaced, so that the search index triggers run
+	this.transaction([
+		['DELETE FROM messages WHERE id = ?', [message.id]],
+		[
+			'INSERT INTO messages (' + MESSAGE_COLUMNS.join(', ') + ', caption, name) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+			[
+				message.id,
+				message.chat,
+				message.author,
+				message.fromMe ? 1 : 0,
+				message.type,
+				message.body,
+				message.media ? JSON.stringify(message.media) : null,
+				message.notify,
+				toTime(message.date),
+				message.status,
+				toTime(message.updated),
+				media.caption || null,
+				media.name || null
+			]
+		]
+	], callback);
+};
+
+/**
+ * @param {String}   id
+ * @param {String}   status
+ * @param {Date}     date
+ * @param {Function} callback
+ */
+SqliteStore.prototype.updateStatus = function(id, status, date, callback) {
+	this.run('UPDATE messages SET status = ?, updated = ? WHERE id = ?', [status, toTime(date), id], callback);
+};
+
+/**
+ * @param {String}         chat
+ * @param {HistoryOptions} options
+ * @param {Function}       callback    function(err, messages)
+ */
+SqliteStore.prototype.getMessages = function(chat, options, callback) {
+	var cursor = options.before || options.after;
+
+	var query = function(position) {
+		var conditions = ['chat = ?'];
+		var params     = [chat];
+
+		// Messages with the same date keep the order they were saved in
+		if (options.before) {
+			conditions.push('(date < ? OR (date = ? AND seq < ?))');
+			params.push(position.date, position.date, position.seq);
+		}
+
+		if (options.after) {
+			conditions.push('(date > ? OR (date = ? AND seq > ?))');
+			params.push(position.date, position.date, position.seq);
+		}
+
+		// Pages start from the newest messages, unless reading forward from a message
+		var order = options.after ? 'ASC' : 'DESC';
+
+		params.push(options.limit || 50);
+
+		this.all(
+			'SELECT ' + MESSAGE_COLUMNS.join(', ') + ' FROM messages WHERE ' + conditions.join(' AND ') +
+			' ORDER BY date ' + order + ', seq ' + order + ' LIMIT ?',
+			params,
+			function(err, rows) {
+				if (err) {
+					callback(err);
+					return;
+				}
+
+				rows = rows.map(toMessage);
+				callback(null, options.after ? rows : rows.reverse());
+			}
+		);
+	}.bind(this);
+
+	if (!cursor) {
+		query(null);
+		return;
+	}
+
+	this.get('SELECT chat, date, seq FROM messages WHERE id = ?', [cursor], function(err, row) {
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		// Unknown cursor, or from another chat
+		if (!row || row.chat !== chat) {
+			callback(null, []);
+			return;
+		}
+
+		query(row);
+	});
+};
+
+/**
+ * @param {Function} callback    function(err, chats)
+ */
+SqliteStore.prototype.getChats = function(callback) {
+	this.all(
+		[
+			'SELECT ' + prefixColumns('m', MESSAGE_COLUMNS) + ', c.count FROM messages m',
+			'JOIN (SELECT chat, COUNT(*) AS count FROM messages GROUP BY chat) c ON c.chat = m.chat',
+			'WHERE m.seq = (SELECT seq FROM messages WHERE chat = m.chat ORDER BY date DESC, seq DESC LIMIT 1)',
+			'ORDER BY m.date DESC'
+		].join('\n'),
+		[],
+		function(err, rows) {
+			if (err) {
+				callback(err);
+				return;
+			}
+
+			callback(null, rows.map(function(row) {
+				return {
+					chat  : row.chat,
+					count : row.count,
+					last  : toMessage(row)
+				};
+			}));
+		}
+	);
+};
+
+/**
+ * @param {String}   url
+ * @param {String}   path
+ * @param {Function} callback
+ */
+SqliteStore.prototype.saveMediaPath = function(url, path, callback) {
+	this.run('INSERT OR REPLACE INTO media_files (url, path, updated) VALUES (?, ?, ?)', [url, path, Date.now()], callback);
+};
+
+/**
+ * @param {String}   url
+ * @param {Function} callback    function(err, path)
+ */
+SqliteStore.prototype.getMediaPath = function(url, callback) {
+	this.get('SELECT path FROM media_files WHERE url = ?', [url], function(err, row) {
+		callback(err || null, row ? row.path : null);
+	});
+};
+
+/**
+ * Filter with SQL and the full-text index, then rank every matching message like the other stores
+ * @param {SearchQuery} query
+ * @param {Function}    callback    function(err, results)
+ */
+SqliteStore.prototype.search = function(query, callback) {
+	query = search.normalizeQuery(query);
+
+	var conditions = [];
+	var params     = [];
+
+	if (query.chat) {
+		conditions.push('chat = ?');
+		params.push(query.chat);
+	}
+
+	if (query.author) {
+		conditions.push('author = ?');
+		params.push(query.author);
+	}
+
+	if (query.since) {
+		conditions.push('date >= ?');
+		params.push(toTime(query.since));
+	}
+
+	if (query.until) {
+		conditions.push('date <= ?');
+		params.push(toTime(query.until));
+	}
+
+	if (query.types) {
+		conditions.push('type IN (' + query.types.map(function() { return '?'; }).join(', ') + ')');
+		params.push.apply(params, query.types);
+	}
+
+	if (query.words.length) {
+		conditions.push('seq IN (SELECT docid FROM messages_search WHERE messages_search MATCH ?)');
+		params.push(query.words.map(function(word) {
+			return '"' + word.replace(/"/g, '') + '*"';
+		}).join(' '));
+	}
+
+	var sql = 'SELECT ' + MESSAGE_COLUMNS.join(', ') + ' FROM messages' +
+		(conditions.length ? ' WHERE ' + conditions.join(' AND ') : '');
+
+	this.all(sql, params, function(err, rows) {
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		var results = search.rank(rows.map(toMessage), query);
+		var index   = 0;
+
+		// Messages around each result
+		var next = function(err) {
+			if (err || index === results.length || !query.context) {
+				callback(err || null, err ? null : results);
+				return;
+			}
+
+			var result  = results[index++];
+			var message = result.message;
+
+			this.getMessages(message.chat, { before: message.id, limit: query.context }, function(err, before) {
+				if (err) {
+					next(err);
+					return;
+				}
+
+				result.before = before;
+
+				this.getMessages(message.chat, { after: message.id, limit: query.context }, function(err, after) {
+					result.after = after;
+					next(err);
+				});
+			}.bind(this));
+		}.bind(this);
+
+		next();
+	}.bind(this));
+};
+
+/**
+ * Save the result of a contacts sync
+ * @param {Array<Object>} contacts    { jid, number, registered }
+ * @param {Function}      callback
+ */
+SqliteStore.prototype.saveContacts = function(contacts, callback) {
+	var now = Date.now();
+
+	this.transaction(contacts.map(function(contact) {
+		return [
+			'INSERT OR REPLACE INTO contacts (jid, number, registered, updated) VALUES (?, ?, ?, ?)',
+			[contact.jid, contact.number, contact.registered ? 1 : 0, now]
+		];
+	}), callback);
+};
+
+/**
+ * @param {Array<Status>} statuses
+ * @param {Function}      callback
+ */
+SqliteStore.prototype.saveStatuses = function(statuses, callback) {
+	this.transaction(statuses.map(function(status) {
+		return [
+			'INSERT OR REPLACE INTO statuses (jid, status, date) VALUES (?, ?, ?)',
+			[status.jid, status.status, toTime(status.date)]
+		];
+	}), callback);
+};
+
+/**
+ * @param {Object}   picture     { jid, pictureId }
+ * @param {Function} callback
+ */
+SqliteStore.prototype.saveProfilePicture = function(picture, callback) {
+	this.run(
+		'INSERT OR REPLACE INTO profile_pictures (jid, picture_id, updated) VALUES (?, ?, ?)',
+		[picture.jid, String(picture.pictureId), Date.now()],
+		callback
+	);
+};
+
+/**
+ * Save the metadata of groups, replacing their participants
+ * @param {Array<StoredGroup>} groups
+ * @param {Function}           callback
+ */
+SqliteStore.prototype.saveGroups = function(groups, callback) {
+	var now        = Date.now();
+	var statements = [];
+
+	groups.forEach(function(group) {
+		statements.push(
+			[
+				'INSERT OR REPLACE INTO group_chats (jid, subject, creator, creation, updated) VALUES (?, ?, ?, ?, ?)',
+				[group.jid, group.subject, group.creator, toTime(group.creationDate), now]
+			],
+			['DELETE FROM group_participants WHERE group_jid = ?', [group.jid]]
+		);
+
+		group.participants.forEach(function(participant) {
+			statements.push([
+				'INSERT OR REPLACE INTO group_participants (group_jid, jid, admin) VALUES (?, ?, ?)',
+				[group.jid, participant.jid, participant.admin ? 1 : 0]
+			]);
+		});
+	});
+
+	this.transaction(statements, callback);
+};
+
+/**
+ * @param {String}   jid
+ * @param {Function} callback    function(err, contact), null when nothing is known about it
+ */
+SqliteStore.prototype.getContact = function(jid, callback) {
+	this.all(CONTACT_QUERY + '\nWHERE j.jid = ?', [jid], function(err, rows) {
+		callback(err || null, rows && rows.length ? toContact(rows[0]) : null);
+	});
+};
+
+/**
+ * @param {Function} callback    function(err, contacts)
+ */
+SqliteStore.prototype.getContacts = function(callback) {
+	this.all(CONTACT_QUERY + '\nORDER BY j.jid', [], function(err, rows) {
+		callback(err || null, rows ? rows.map(toContact) : null);
+	});
+};
+
+/**
+ * @param {String}   jid
+ * @param {Function} callback    function(err, group), null when unknown
+ */
+SqliteStore.prototype.getGroup = function(jid, callback) {
+	this.queryGroups('WHERE jid = ?', [jid], function(err, groups) {
+		callback(err || null, groups ? groups[0] || null : null);
+	});
+};
+
+/**
+ * @param {Function} callback    function(err, groups)
+ */
+SqliteStore.prototype.getGroups = function(callback) {
+	this.queryGroups('', [], callback);
+};
+
+/**
+ * Close the database, once the pending calls are done
+ * @param {Function} callback
+ */
+SqliteStore.prototype.close = function(callback) {
+	this.schedule(function(done) {
+		this.db.close(function(err) {
+			done(err || null);
+		});
+	}, callback);
+};
+
+/**
+ * Apply the migrations the database is missing, each in its own transaction
+ * @param {Function} callback
+ * @private
+ */
+SqliteStore.prototype.migrate = function(callback) {
+	var db = this.db;
+
+	db.get('PRAGMA user_version', function(err, row) {
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		var version = row.user_version;
+
+		var next = function(err) {
+			if (err || version >= MIGRATIONS.length) {
+				callback(err || null);
+				return;
+			}
+
+			var migration = MIGRATIONS[version++];
+
+			var apply = typeof migration === 'function' ? migration : function(db, callback) {
+				db.exec(migration, callback);
+			};
+
+			db.exec('BEGIN;', function(err) {
+				if (err) {
+					next(err);
+					return;
+				}
+
+				apply(db, function(err) {
+					if (err) {
+						db.exec('ROLLBACK;', function() {
+							next(err);
+						});
+						return;
+					}
+
+					db.exec('PRAGMA user_version = ' + version + ';\nCOMMIT;', next);
+				});
+			});
+		};
+
+		next();
+	});
+};
+
+/**
+ * Start running the calls, which waited for the database to be opened
+ * @param {Error} err    Failure opening or migrating the database, returned to every call
+ * @private
+ */
+SqliteStore.prototype.open = function(err) {
+	this.error = err || null;
+	this.next();
+};
+
+/**
+ * Queue a call. Calls run one at a time, so that the statements of a transaction
+ * never mix with the ones of another call.
+ * @param {Function} fn          function(done), done taking the callback arguments
+ * @param {Function} callback
+ * @private
+ */
+SqliteStore.prototype.schedule = function(fn, callback) {
+	this.queue.push({ fn: fn, callback: callback });
+
+	if (!this.busy) {
+		this.next();
+	}
+};
+
+/**
+ * @private
+ */
+SqliteStore.prototype.next = function() {
+	var call = this.queue.shift();
+
+	this.busy = !!call;
+
+	if (!call) {
+		return;
+	}
+
+	// The callback runs outside of the sqlite3 callback: if it throws, the exception doesn't
+	// go through the native module (which can't recover from it) and the next call still runs
+	var done = function() {
+		var args = arguments;
+
+		call.callback && process.nextTick(function() {
+			call.callback.apply(null, args);
+		});
+
+		this.next();
+	}.bind(this);
+
+	if (this.error) {
+		done(this.error);
+		return;
+	}
+
+	call.fn.call(this, done);
+};
+
+/**
+ * @private
+ */
+SqliteStore.prototype.run = function(sql, params, callback) {
+	this.schedule(function(done) {
+		this.db.run(sql, params, function(err) {
+			done(err || null);
+		});
+	}, callback);
+};
+
+/**
+ * @private
+ */
+SqliteStore.prototype.get = function(sql, params, callback) {
+	this.schedule(function(done) {
+		this.db.get(sql, params, done);
+	}, callback);
+};
+
+/**
+ * @private
+ */
+SqliteStore.prototype.all = function(sql, params, callback) {
+	this.schedule(function(done) {
+		this.db.all(sql, params, done);
+	}, callback);
+};
+
+/**
+ * Run statements one after the other in a transaction, rolled back if one fails
+ * @param {Array<Array>} statements    [sql, params] pairs
+ * @param {Function}     callback
+ * @private
+ */
+SqliteStore.prototype.transaction = function(statements, callback) {
+	this.schedule(function(done) {
+		var db    = this.db;
+		var index = 0;
+
+		var next = function(err) {
+			if (err) {
+				db.run('ROLLBACK', function() {
+					done(err);
+				});
+				return;
+			}
+
+			if (index === statements.length) {
+				db.run('COMMIT', function(err) {
+					done(err || null);
+				});
+				return;
+			}
+
+			var statement = statements[index++];
+			db.run(statement[0], statement[1], next);
+		};
+
+		db.run('BEGIN', next);
+	}, callback);
+};
+
+/**
+ * @param {String}   where
+ * @param {Array}    params
+ * @param {Function} callback    function(err, groups)
+ * @private
+ */
+SqliteStore.prototype.queryGroups = function(where, params, callback) {
+	// Both reads in one call, so that no write changes the groups in between
+	this.schedule(function(done) {
+		var db = this.db;
+
+		db.all('SELECT jid, subject, creator, creation FROM group_chats ' + where + ' ORDER BY jid', params, function(err, rows) {
+			if (err) {
+				done(err);
+				return;
+			}
+
+			var groups = {};
+
+			rows.forEach(function(row) {
+				groups[row.jid] = {
+					jid          : row.jid,
+					subject      : row.subject,
+					creator      : row.creator,
+					creationDate : toDate(row.creation),
+					participants : []
+				};
+			});
+
+			db.all(
+				'SELECT group_jid, jid, admin FROM group_participants' +
+				' WHERE group_jid IN (SELECT jid FROM group_chats ' + where + ') ORDER BY group_jid, jid',
+				params,
+				function(err, participants) {
+					if (err) {
+						done(err);
+						return;
+					}
+
+					participants.forEach(function(participant) {
+						var group = groups[participant.group_jid];
+
+						group && group.participants.push({ admin: !!participant.admin, jid: participant.jid });
+					});
+
+					done(null, rows.map(function(row) {
+						return groups[row.jid];
+					}));
+				}
+			);
+		});
+	}, callback);
+};
+
+/**
+ * @param  {Object} row
+ * @return {StoredMessage}
+ */
+function toMessage(row) {
+	return {
+		id      : row.id,
+		chat    : row.chat,
+		author  : row.author,
+		fromMe  : !!row.from_me,
+		type    : row.type,
+		body    : row.body,
+		media   : row.media ? JSON.parse(row.media) : null,
+		notify  : row.notify,
+		date    : toDate(row.date),
+		status  : row.status,
+		updated : toDate(row.updated)
+	};
+}
+
+/**
+ * @param  {Object} row
+ * @return {StoredContact}
+ */
+function toContact(row) {
+	return {
+		jid        : row.jid,
+		number     : row.number,
+		registered : row.registered === null ? null : !!row.registered,
+		status     : row.status,
+		statusDate : toDate(row.status_date),
+		pictureId  : row.picture_id
+	};
+}
+
+function prefixColumns(prefix, columns) {
+	return columns.map(function(column) {
+		return prefix + '.' + column;
+	}).join(', ');
+}
+
+function toTime(date) {
+	return date ? date.getTime() : null;
+}
+
+function toDate(time) {
+	return time === null || time === undefined ? null : new Date(time);
+}
+
+exports.SqliteStore = SqliteStore;
@@ -0,0 +1,372 @@
+var fs          = require('fs');
+var util        = require('util');
+var search      = require('./search');
+var SqliteStore = require('./sqlitestore').SqliteStore;
+
+/**
+ * Message of the conversation history, sent or received
+ * @typedef StoredMessage
+ * @type {Object}
+ * @property {String}  id        Message ID
+ * @property {String}  chat      JID of the conversation: the contact, or the group
+ * @property {String}  author    JID of the sender; our own JID for the sent messages
+ * @property {Boolean} fromMe    Whether we sent the message
+ * @property {String}  type      'text', 'image', 'video', 'audio', 'vcard' or 'location'
+ * @property {String}  body      Text of the message; null for media
+ * @property {Object}  media     Media attributes (url, caption, size, mimetype, latitude...), with the
+ *                               thumbnail as base64 in thumbData and the vCard text in vcard; null for text
+ * @property {String}  notify    Push name of the sender, for the received messages
+ * @property {Date}    date      When the message was sent
+ * @property {String}  status    'received' for the received messages, the MessageStatus for the sent ones
+ * @property {Date}    updated   Last change of the status
+ */
+
+/**
+ * @typedef HistoryOptions
+ * @type {Object}
+ * @property {Number} limit     Maximum number of messages, 50 by default
+ * @property {String} before    (optional) Only messages older than the one with this ID, to page backwards
+ * @property {String} after     (optional) Only messages newer than the one with this ID
+ */
+
+/**
+ * @typedef ChatSummary
+ * @type {Object}
+ * @property {String}        chat        JID of the conversation
+ * @property {Number}        count       Number of stored messages
+ * @property {StoredMessage} last        Newest message
+ */
+
+/**
+ * Anything implementing these methods can be used as store (see the store option).
+ * Every callback takes an error as first argument.
+ * @typedef Store
+ * @type {Object}
+ * @property {Function} saveMessage     function(message, callback) adds a message, or replaces the one with the same ID
+ * @property {Function} updateStatus    function(id, status, date, callback)
+ * @property {Function} getMessages     function(chat, options, callback(err, messages)), oldest first
+ * @property {Function} getChats        function(callback(err, chats)), most recently active first
+ * @property {Function} search          (optional) function(query, callback(err, results)), see SearchQuery
+ *
+ * A store can also keep what the responses tell about contacts and groups, by implementing
+ * any of these optional methods (see SqliteStore):
+ * @property {Function} saveContacts          function(contacts, callback), from the contacts sync
+ * @property {Function} saveStatuses          function(statuses, callback)
+ * @property {Function} saveGroups            function(groups, callback), from the group info and groups list
+ * @property {Function} saveProfilePicture    function(picture, callback), picture being { jid, pictureId }
+ *
+ * And remember where media files were downloaded (or sent from), to export the history with local files:
+ * @property {Function} saveMediaPath    function(url, path, callback)
+ * @property {Function} getMediaPath     function(url, callback(err, path)), path being null when unknown
+ */
+
+/**
+ * Store keeping the history in memory: it is lost when the process exits
+ * @class MemoryStore
+ */
+function MemoryStore() {
+	this.chats      = {};
+	this.messages   = {};
+	this.mediaPaths = {};
+	this.index      = new search.SearchIndex();
+}
+
+/**
+ * @param {StoredMessage} message
+ * @param {Function}      callback
+ */
+MemoryStore.prototype.saveMessage = function(message, callback) {
+	var chat     = this.chats[message.chat] || (this.chats[message.chat] = []);
+	var previous = this.messages[message.id];
+
+	message = copyMessage(message);
+
+	if (previous) {
+		var list = this.chats[previous.chat];
+		list.splice(list.indexOf(previous), 1);
+	}
+
+	// Keep every chat sorted by date; messages received while offline can be older than the last one
+	var index = chat.length;
+
+	while (index > 0 && chat[index - 1].date > message.date) {
+		index--;
+	}
+
+	chat.splice(index, 0, message);
+	this.messages[message.id] = message;
+	this.index.add(message);
+
+	callback && callback(null);
+};
+
+/**
+ * @param {String}   id
+ * @param {String}   status
+ * @param {Date}     date
+ * @param {Function} callback
+ */
+MemoryStore.prototype.updateStatus = function(id, status, date, callback) {
+	var message = this.messages[id];
+
+	if (message) {
+		message.status  = status;
+		message.updated = date;
+	}
+
+	callback && callback(null);
+};
+
+/**
+ * @param {String}         chat
+ * @param {HistoryOptions} options
+ * @param {Function}       callback    function(err, messages)
+ */
+MemoryStore.prototype.getMessages = function(chat, options, callback) {
+	var list  = this.chats[chat] || [];
+	var limit = options.limit || 50;
+	var start = 0;
+	var end   = list.length;
+
+	var before = options.before && list.indexOf(this.messages[options.before]);
+	var after  = options.after && list.indexOf(this.messages[options.after]);
+
+	// Unknown cursor, or from another chat
+	if (before === -1 || after === -1) {
+		callback(null, []);
+		return;
+	}
+
+	if (options.before) {
+		end = before;
+	}
+
+	if (options.after) {
+		start = after + 1;
+	}
+
+	// Pages start from the newest messages, unless reading forward from a message
+	if (options.after) {
+		end = Math.min(end, start + limit);
+	} else {
+		start = Math.max(start, end - limit);
+	}
+
+	callback(null, list.slice(start, Math.max(start, end)).map(copyMessage));
+};
+
+/**
+ * @param {Function} callback    function(err, chats)
+ */
+MemoryStore.prototype.getChats = function(callback) {
+	var chats = Object.keys(this.chats).filter(function(chat) {
+		return this.chats[chat].length > 0;
+	}, this).map(function(chat) {
+		var list = this.chats[chat];
+
+		return {
+			chat  : chat,
+			count : list.length,
+			last  : copyMessage(list[list.length - 1])
+		};
+	}, this);
+
+	chats.sort(function(a, b) {
+		return b.last.date - a.last.date;
+	});
+
+	callback(null, chats);
+};
+
+/**
+ * @param {String}   url
+ * @param {String}   path
+ * @param {Function} callback
+ */
+MemoryStore.prototype.saveMediaPath = function(url, path, callback) {
+	this.mediaPaths[url] = path;
+	callback && callback(null);
+};
+
+/**
+ * @param {String}   url
+ * @param {Function} callback    function(err, path)
+ */
+MemoryStore.prototype.getMediaPath = function(url, callback) {
+	callback(null, this.mediaPaths.hasOwnProperty(url) ? this.mediaPaths[url] : null);
+};
+
+/**
+ * @param {SearchQuery} query
+ * @param {Function}    callback    function(err, results)
+ */
+MemoryStore.prototype.search = function(query, callback) {
+	query = search.normalizeQuery(query);
+
+	var messages, scores;
+
+	// With words to find, only the messages containing them are read
+	if (query.words.length) {
+		scores   = this.index.score(query.words);
+		messages = Object.keys(scores).map(function(id) {
+			return this.messages[id];
+		}, this);
+	} else {
+		messages = [];
+
+		(query.chat ? [query.chat] : Object.keys(this.chats)).forEach(function(chat) {
+			messages = messages.concat(this.chats[chat] || []);
+		}, this);
+	}
+
+	callback(null, search.rank(messages, query, scores).map(function(result) {
+		var list  = this.chats[result.message.chat];
+		var index = list.indexOf(result.message);
+
+		result.message = copyMessage(result.message);
+		result.before  = list.slice(Math.max(0, index - query.context), index).map(copyMessage);
+		result.after   = list.slice(index + 1, index + 1 + query.context).map(copyMessage);
+
+		return result;
+	}, this));
+};
+
+/**
+ * Store appending every change as a line of JSON to a file, read back when created
+ * @class FileStore
+ * @augments MemoryStore
+ * @param {String} path    JSONL file, created when missing
+ * @example
+ * var wa = whatsapi.createAdapter({
+ *   msisdn   : '491234567890',
+ *   password : '...',
+ *   store    : new whatsapi.store.FileStore('./history.jsonl')
+ * });
+ */
+function FileStore(path) {
+	MemoryStore.call(this);
+
+	this.path    = path;
+	this.writing = false;
+	this.lines   = [];
+	this.pending = [];
+
+	if (fs.existsSync(path)) {
+		this.load(fs.readFileSync(path, 'utf8'));
+	}
+}
+
+util.inherits(FileStore, MemoryStore);
+
+FileStore.prototype.saveMessage = function(message, callback) {
+	MemoryStore.prototype.saveMessage.call(this, message);
+	this.append({ op: 'message', message: message }, callback);
+};
+
+FileStore.prototype.updateStatus = function(id, status, date, callback) {
+	MemoryStore.prototype.updateStatus.call(this, id, status, date);
+	this.append({ op: 'status', id: id, status: status, date: date }, callback);
+};
+
+FileStore.prototype.saveMediaPath = function(url, path, callback) {
+	MemoryStore.prototype.saveMediaPath.call(this, url, path);
+	this.append({ op: 'media', url: url, path: path }, callback);
+};
+
+/**
+ * Replay the lines of the file. A last line cut by a crash is ignored.
+ * @param {String} data
+ * @private
+ */
+FileStore.prototype.load = function(data) {
+	data.split('\n').forEach(function(line) {
+		if (!line) {
+			return;
+		}
+
+		try {
+			var change = JSON.parse(line);
+		} catch (e) {
+			return;
+		}
+
+		if (change.op === 'message') {
+			var message = change.message;
+
+			message.date    = new Date(message.date);
+			message.updated = message.updated && new Date(message.updated);
+
+			MemoryStore.prototype.saveMessage.call(this, message);
+		} else if (change.op === 'status') {
+			MemoryStore.prototype.updateStatus.call(this, change.id, change.status, new Date(change.date));
+		} else if (change.op === 'media') {
+			MemoryStore.prototype.saveMediaPath.call(this, change.url, change.path);
+		}
+	}, this);
+};
+
+/**
+ * Append a change to the file; changes made while a write is in progress are written
+ * together right after it, in order
+ * @param {Object}   change
+ * @param {Function} callback
+ * @private
+ */
+FileStore.prototype.append = function(change, callback) {
+	this.lines.push(JSON.stringify(change) + '\n');
+	this.pending.push(callback);
+
+	if (!this.writing) {
+		this.write();
+	}
+};
+
+/**
+ * @private
+ */
+FileStore.prototype.write = function() {
+	var data      = this.lines.join('');
+	var callbacks = this.pending;
+
+	this.lines   = [];
+	this.pending = [];
+	this.writing = true;
+
+	fs.appendFile(this.path, data, function(err) {
+		callbacks.forEach(function(callback) {
+			callback && callback(err || null);
+		});
+
+		this.writing = false;
+
+		if (this.lines.length) {
+			this.write();
+		}
+	}.bind(this));
+};
+
+/**
+ * @param  {StoredMessage} message
+ * @return {StoredMessage}
+ */
+function copyMessage(message) {
+	var copy = {};
+
+	for (var key in message) {
+		copy[key] = message[key];
+	}
+
+	if (message.media) {
+		copy.media = {};
+
+		for (key in message.media) {
+			copy.media[key] = message.media[key];
+		}
+	}
+
+	return copy;
+}
+
+exports.MemoryStore = MemoryStore;
+exports.FileStore   = FileStore;
+exports.SqliteStore = SqliteStore;
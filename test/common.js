@@ -0,0 +1,92 @@
+var assert = require('assert');
+var common = require('../common');
+
+describe('callbackOrPromise', function() {
+	/**
+	 * Method answering asynchronously with the given callback arguments
+	 */
+	function answer() {
+		var response = common.toArray(arguments);
+
+		return common.callbackOrPromise(function(a, b, callback) {
+			setImmediate(function() {
+				callback.apply(null, response.concat([a, b]));
+			});
+
+			return 'called';
+		});
+	}
+
+	it('uses the callback when one is given', function(done) {
+		var method = answer(null, 'value');
+
+		var result = method(1, 2, function(err, value, a, b) {
+			assert.strictEqual(err, null);
+			assert.strictEqual(value, 'value');
+			assert.strictEqual(a, 1);
+			assert.strictEqual(b, 2);
+			done();
+		});
+
+		assert.strictEqual(result, 'called');
+	});
+
+	it('resolves with the first response argument without a callback', function() {
+		var promise = answer(null, 'value', 'ignored')(1, 2);
+
+		assert.ok(promise instanceof Promise);
+
+		return promise.then(function(value) {
+			assert.strictEqual(value, 'value');
+		});
+	});
+
+	it('puts the callback in its declared position when arguments are omitted', function() {
+		var method = common.callbackOrPromise(function(a, b, callback) {
+			callback(null, [a, b]);
+		});
+
+		return method(1).then(function(args) {
+			assert.deepEqual(args, [1, undefined]);
+
+			return method(1, null);
+		}).then(function(args) {
+			assert.deepEqual(args, [1, undefined]);
+		});
+	});
+
+	it('maps several response arguments with the resolver', function() {
+		var method = common.callbackOrPromise(function(callback) {
+			callback(null, 'first', 'second');
+		}, function(first, second) {
+			return { first: first, second: second };
+		});
+
+		return method().then(function(value) {
+			assert.deepEqual(value, { first: 'first', second: 'second' });
+		});
+	});
+
+	it('rejects with an Error carrying the properties of the response error', function() {
+		return answer({ code: 404, message: 'item-not-found' })().then(function() {
+			assert.fail('Resolved despite the error');
+		}, function(err) {
+			assert.ok(err instanceof Error);
+			assert.strictEqual(err.code, 404);
+			assert.strictEqual(err.message, 'item-not-found');
+		});
+	});
+
+	it('rejects with the given Error or a wrapped value', function() {
+		var error = new Error('failed');
+
+		return answer(error)().then(null, function(err) {
+			assert.strictEqual(err, error);
+
+			return answer('failed as a string')();
+		}).then(null, function(err) {
+			assert.ok(err instanceof Error);
+			assert.strictEqual(err.message, 'failed as a string');
+		});
+	});
+});
@@ -0,0 +1,74 @@
+var assert     = require('assert');
+var errors     = require('../errors');
+var dictionary = require('../dictionary');
+var helpers    = require('./helpers');
+
+describe('Errors', function() {
+	it('carry a code, a name and a stack', function() {
+		var error = new errors.TransportError('connect-failed', 'Could not connect', { cause: new Error('ECONNREFUSED') });
+
+		assert.ok(error instanceof Error);
+		assert.ok(error instanceof errors.WhatsApiError);
+		assert.strictEqual(error.name, 'TransportError');
+		assert.strictEqual(error.code, 'connect-failed');
+		assert.strictEqual(error.message, 'Could not connect');
+		assert.strictEqual(error.cause.message, 'ECONNREFUSED');
+		assert.ok(/^TransportError: Could not connect/.test(error.stack));
+	});
+
+	it('use fixed codes for the specialized errors', function() {
+		var auth    = new errors.AuthError('not-authorized');
+		var server  = new errors.ServerError('429', 'rate-overlimit', 60);
+		var timeout = new errors.TimeoutError(500);
+
+		assert.deepEqual([auth.code, auth.reason], ['auth-failed', 'not-authorized']);
+		assert.deepEqual([server.code, server.message, server.backoff], ['429', 'rate-overlimit', 60]);
+		assert.deepEqual([timeout.code, timeout.timeout], ['timeout', 500]);
+		assert.strictEqual(new errors.IntegrityError('Bad MAC').code, 'integrity');
+		assert.ok(new errors.IntegrityError('Bad MAC') instanceof errors.TransportError);
+	});
+
+	it('clone into an independent error of the same class', function() {
+		var error = new errors.ServerError('404', 'item-not-found');
+		var clone = error.clone();
+
+		clone.handled = true;
+
+		assert.notStrictEqual(clone, error);
+		assert.ok(clone instanceof errors.ServerError);
+		assert.deepEqual([clone.name, clone.code, clone.message, clone.stack], [error.name, error.code, error.message, error.stack]);
+		assert.ok(!error.handled);
+	});
+
+	it('are thrown for invalid arguments and options', function() {
+		var wa = helpers.createClient(helpers.createServer());
+
+		assert.throws(function() {
+			wa.addCallback('1', 'not a function');
+		}, function(err) {
+			return err instanceof errors.WhatsApiError && err.code === 'invalid-argument';
+		});
+
+		assert.throws(function() {
+			new dictionary.Dictionary({ version: 'huge', primary: new Array(300), secondary: [] });
+		}, function(err) {
+			return err instanceof errors.WhatsApiError && err.code === 'invalid-argument';
+		});
+
+		assert.throws(function() {
+			dictionary.get('0.1');
+		}, function(err) {
+			return err instanceof errors.WhatsApiError && err.code === 'invalid-option';
+		});
+	});
+
+	it('are thrown when the fake server has no client to send to', function() {
+		var server = helpers.createServer();
+
+		assert.throws(function() {
+			server.pushMessage({ from: '4911111111@s.whatsapp.net', body: 'Nobody listens' });
+		}, function(err) {
+			return err instanceof errors.TransportError && err.code === 'not-connected';
+		});
+	});
+});
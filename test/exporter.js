@@ -0,0 +1,182 @@
+var assert   = require('assert');
+var fs       = require('fs');
+var exporter = require('../exporter');
+var store    = require('../store');
+var helpers  = require('./helpers');
+
+var CHAT = '4911111111@s.whatsapp.net';
+var SELF = '491234567890@s.whatsapp.net';
+
+/**
+ * @return {StoredMessage}    Sent on 12/10/2015 at 14:minute, local time
+ */
+function createMessage(id, minute, fromMe, type, body, media) {
+	return {
+		id      : id,
+		chat    : CHAT,
+		author  : fromMe ? SELF : CHAT,
+		fromMe  : fromMe,
+		type    : type,
+		body    : body || null,
+		media   : media || null,
+		notify  : fromMe ? null : 'Bob',
+		date    : new Date(2015, 9, 12, 14, minute),
+		status  : fromMe ? 'read' : 'received',
+		updated : null
+	};
+}
+
+function createMessages() {
+	return [
+		createMessage('1', 1, false, 'text', 'Hi <there> & "you"\nsecond line'),
+		createMessage('2', 2, true, 'image', null, { url: 'http://example.com/2.jpg', caption: 'Look', thumbData: 'dGh1bWI=', path: '/tmp/2.jpg' }),
+		createMessage('3', 3, false, 'image', null, { url: 'http://example.com/3.jpg', caption: 'Mine', thumbData: 'AAAA' }),
+		createMessage('4', 4, false, 'location', null, { latitude: 52.5, longitude: 13.4, name: 'Berlin' })
+	];
+}
+
+describe('Exporter', function() {
+	it('writes the text format of the phone', function() {
+		var output = exporter.exportMessages(createMessages(), { format: 'text', selfName: 'Me' });
+
+		assert.strictEqual(output, [
+			'12/10/2015, 14:01 - Bob: Hi <there> & "you"',
+			'second line',
+			'12/10/2015, 14:02 - Me: /tmp/2.jpg (file attached)',
+			'Look',
+			'12/10/2015, 14:03 - Bob: <Media omitted>',
+			'Mine',
+			'12/10/2015, 14:04 - Bob: location: https://maps.google.com/?q=52.5,13.4',
+			'Berlin',
+			''
+		].join('\n'));
+	});
+
+	it('writes one JSON message per line', function() {
+		var messages = createMessages();
+		var lines    = exporter.exportMessages(messages, { format: 'jsonl' }).split('\n');
+
+		assert.strictEqual(lines.length, messages.length + 1);
+		assert.strictEqual(lines[messages.length], '');
+		assert.deepEqual(JSON.parse(lines[1]), JSON.parse(JSON.stringify(messages[1])));
+	});
+
+	it('prefers the given names to the push names', function() {
+		var names = {};
+
+		names[CHAT] = 'Robert';
+
+		var output = exporter.exportMessages(createMessages().slice(0, 1), { format: 'text', names: names });
+
+		assert.strictEqual(output.split('\n')[0], '12/10/2015, 14:01 - Robert: Hi <there> & "you"');
+	});
+
+	describe('HTML', function() {
+		it('escapes the texts, names, types and statuses', function() {
+			var messages = createMessages();
+
+			messages[0].notify = '<b>Bob</b>';
+			messages[1].status = '"><script>alert(1)</script>';
+			messages[2].type   = '<img src=x onerror=alert(1)>';
+
+			var output = exporter.exportMessages(messages, { format: 'html', title: 'Bob & <Alice>' });
+
+			assert.ok(output.indexOf('<title>Bob &amp; &lt;Alice&gt;</title>') !== -1);
+			assert.ok(output.indexOf('<div class="text">Hi &lt;there&gt; &amp; &quot;you&quot;\nsecond line</div>') !== -1);
+			assert.ok(output.indexOf('<div class="author">&lt;b&gt;Bob&lt;/b&gt;</div>') !== -1);
+			assert.ok(output.indexOf('&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;') !== -1);
+			assert.ok(output.indexOf('&lt;img src=x onerror=alert(1)&gt; omitted') !== -1);
+			assert.strictEqual(output.indexOf('<script>'), -1);
+			assert.strictEqual(output.indexOf('<b>'), -1);
+			assert.strictEqual(output.indexOf('<img src=x'), -1);
+		});
+
+		it('inlines the thumbnails, linked to the local files', function() {
+			var output = exporter.exportMessages(createMessages(), { format: 'html' });
+
+			assert.ok(output.indexOf('<a href="file:///tmp/2.jpg"><img src="data:image/jpeg;base64,dGh1bWI=" alt=""></a>') !== -1);
+			assert.ok(output.indexOf('<img src="data:image/jpeg;base64,AAAA" alt="">') !== -1);
+			assert.ok(output.indexOf('<div class="omitted">image omitted</div>') !== -1);
+			assert.ok(output.indexOf('<a href="https://maps.google.com/?q=52.5,13.4">') !== -1);
+		});
+
+		it('only inlines base64 thumbnails', function() {
+			var messages = createMessages();
+
+			messages[1].media.thumbData = '" onload="alert(1)';
+			messages[2].media.thumbData = { type: 'Buffer' };
+
+			var output = exporter.exportMessages(messages, { format: 'html' });
+
+			assert.strictEqual(output.indexOf('data:image'), -1);
+			assert.strictEqual(output.indexOf('onload'), -1);
+			assert.ok(output.indexOf('<a href="file:///tmp/2.jpg">/tmp/2.jpg</a>') !== -1);
+		});
+	});
+});
+
+describe('Chat export', function() {
+	var wa;
+
+	beforeEach(function() {
+		wa = helpers.createClient(helpers.createServer(), { username: 'Me', store: new store.MemoryStore() });
+
+		createMessages().forEach(function(message) {
+			if (message.media) {
+				delete message.media.path;
+			}
+
+			wa.store.saveMessage(message);
+		});
+	});
+
+	it('uses the files downloaded or sent from this machine', function() {
+		var file = helpers.tempFile('2.jpg');
+
+		fs.writeFileSync(file, 'image');
+
+		wa.recordMediaPath('http://example.com/2.jpg', file);
+		wa.recordMediaPath('http://example.com/3.jpg', helpers.tempFile('deleted.jpg'));
+
+		return wa.exportChat('4911111111', { format: 'text' }).then(function(output) {
+			var lines = output.split('\n');
+
+			assert.strictEqual(lines[2], '12/10/2015, 14:02 - Me: ' + file + ' (file attached)');
+			assert.strictEqual(lines[4], '12/10/2015, 14:03 - Bob: <Media omitted>');
+		});
+	});
+
+	it('writes the export to a file', function() {
+		var file = helpers.tempFile('chat.html');
+
+		return wa.exportChat('4911111111', { format: 'html', path: file }).then(function(output) {
+			assert.strictEqual(fs.readFileSync(file, 'utf8'), output);
+			assert.ok(output.indexOf('<title>4911111111@s.whatsapp.net</title>') !== -1);
+		});
+	});
+
+	it('exports every message, page after page', function() {
+		for (var i = 0; i < 1200; i++) {
+			wa.store.saveMessage(createMessage('page-' + i, 10, false, 'text', 'Message ' + i));
+		}
+
+		return wa.exportChat('4911111111', { format: 'jsonl' }).then(function(output) {
+			var lines = output.trim().split('\n');
+
+			assert.strictEqual(lines.length, 1204);
+			assert.strictEqual(JSON.parse(lines[0]).id, '1');
+			assert.strictEqual(JSON.parse(lines[1203]).id, 'page-1199');
+		});
+	});
+
+	it('reports an unknown format, or a missing one, through the callback', function(done) {
+		wa.exportChat('4911111111', { format: 'pdf' }, function(err) {
+			assert.strictEqual(err.code, 'invalid-format');
+
+			wa.exportChat('4911111111', function(err) {
+				assert.strictEqual(err.code, 'invalid-format');
+				done();
+			});
+		});
+	});
+});
@@ -0,0 +1,149 @@
+var assert   = require('assert');
+var protocol = require('../protocol');
+var errors   = require('../errors');
+var helpers  = require('./helpers');
+
+describe('FakeServer', function() {
+	var server, wa;
+
+	beforeEach(function() {
+		server = helpers.createServer();
+		wa     = helpers.createClient(server);
+	});
+
+	afterEach(function() {
+		wa.disconnect();
+	});
+
+	it('logs the client in with the WAUTH-2 handshake', function() {
+		var logins = [];
+
+		server.on('login', function(msisdn) {
+			logins.push(msisdn);
+		});
+
+		return helpers.login(wa).then(function() {
+			assert.strictEqual(wa.connectionState, 'logged-in');
+			assert.ok(server.isClientLoggedIn());
+			assert.deepEqual(logins, ['491234567890']);
+		});
+	});
+
+	it('exchanges encrypted messages after the login', function(done) {
+		var sent = null;
+
+		server.on('message', function(node) {
+			sent = node.child('body').data().toString();
+		});
+
+		wa.on('receivedMessage', function(message) {
+			assert.strictEqual(sent, 'ping from the client');
+			assert.strictEqual(message.body, 'pong from the server');
+			done();
+		});
+
+		helpers.login(wa).then(function() {
+			return wa.sendMessage('4911111111', 'ping from the client');
+		}).then(function() {
+			server.pushMessage({ from: '4911111111@s.whatsapp.net', body: 'pong from the server' });
+		}).catch(done);
+	});
+
+	it('refuses a wrong password', function() {
+		var failures = [];
+		var events   = [];
+
+		wa = helpers.createClient(server, { password: new Buffer('wrong password').toString('base64') });
+
+		server.on('authFailure', function(msisdn) {
+			failures.push(msisdn);
+		});
+
+		wa.on('error', function(err) {
+			events.push(err);
+		});
+
+		return helpers.login(wa).then(function() {
+			assert.fail('Logged in with a wrong password');
+		}, function(err) {
+			assert.ok(err instanceof errors.AuthError);
+			assert.strictEqual(err.code, 'auth-failed');
+			assert.strictEqual(err.reason, 'not-authorized');
+			assert.strictEqual(events.length, 1);
+			assert.deepEqual(failures, ['491234567890']);
+			assert.strictEqual(wa.connectionState, 'connected');
+			assert.ok(!server.isClientLoggedIn());
+		});
+	});
+
+	it('answers the iqs with the registered responders', function() {
+		server.respond('jabber:iq:last', function(node) {
+			return server.result(node, [new protocol.Node('query', { seconds: '60' })]);
+		});
+
+		return helpers.login(wa).then(function() {
+			return wa.requestLastSeen('4911111111');
+		}).then(function(lastSeen) {
+			assert.strictEqual(lastSeen.from, '4911111111@s.whatsapp.net');
+		});
+	});
+
+	it('closes the connection on a malformed frame instead of throwing', function(done) {
+		var rejected = [];
+
+		server.on('invalidFrame', function(err) {
+			rejected.push(err);
+		});
+
+		wa.on('end', function() {
+			assert.strictEqual(rejected.length, 1);
+			assert.ok(rejected[0] instanceof errors.ProtocolError);
+			assert.strictEqual(rejected[0].code, 'invalid-token');
+			assert.strictEqual(wa.connectionState, 'disconnected');
+			assert.ok(!server.isClientLoggedIn());
+
+			// The server keeps accepting clients
+			wa = helpers.createClient(server);
+			helpers.login(wa).then(function() {
+				done();
+			}, done);
+		});
+
+		wa.connect().then(function() {
+			// Protocol header, then a frame listing an unknown token
+			wa.send(new Buffer([0x57, 0x41, 0x01, 0x05]));
+			wa.send(new Buffer([0x00, 0x00, 0x04, 0xf8, 0x02, 0xec, 0xff]));
+		}).catch(done);
+	});
+
+	it('drops the connection when the MAC of a frame does not match', function(done) {
+		wa.on('integrityError', function(err) {
+			assert.ok(err instanceof errors.IntegrityError);
+			assert.ok(err instanceof errors.TransportError);
+			assert.strictEqual(err.code, 'integrity');
+
+			// Closed right after the event
+			setImmediate(function() {
+				assert.strictEqual(wa.connectionState, 'disconnected');
+				done();
+			});
+		});
+
+		wa.on('receivedMessage', function() {
+			done(new Error('Tampered message delivered'));
+		});
+
+		helpers.login(wa).then(function() {
+			var frame = server.session.writer.node(new protocol.Node('message', {
+				from : '4911111111@s.whatsapp.net',
+				type : 'text',
+				id   : server.nextMessageId(),
+				t    : '1444651200'
+			}, [new protocol.Node('body', null, null, 'tampered')]));
+
+			// Flip a bit right after the 3-byte header
+			frame[3] ^= 0x01;
+			server.session.endpoint.send(frame);
+		}).catch(done);
+	});
+});
@@ -0,0 +1,126 @@
+var assert   = require('assert');
+var protocol = require('../protocol');
+var helpers  = require('./helpers');
+
+var Node = protocol.Node;
+
+describe('Node handlers', function() {
+	var server, wa, calls;
+
+	/**
+	 * Handler recording its calls, returning the given value
+	 * @param  {String}   name
+	 * @param  {*}        result
+	 * @return {Function}
+	 */
+	function record(name, result) {
+		return function(node) {
+			calls.push(name + ':' + node.attribute('id'));
+			return result;
+		};
+	}
+
+	/**
+	 * Push a <call> node, which no built-in handler takes care of, and wait for the client to process it
+	 * @param  {String}  id
+	 * @return {Promise}
+	 */
+	function pushCall(id) {
+		server.send(new Node('call', { from: '4911111111@s.whatsapp.net', id: id }));
+
+		return new Promise(function(resolve) {
+			wa.once('node', function() {
+				setImmediate(resolve);
+			});
+		});
+	}
+
+	beforeEach(function() {
+		calls  = [];
+		server = helpers.createServer();
+		wa     = helpers.createClient(server);
+
+		return helpers.login(wa).then(function() {
+			wa.on('unhandledNode', function(node) {
+				calls.push('unhandled:' + node.attribute('id'));
+			});
+		});
+	});
+
+	afterEach(function() {
+		wa.disconnect();
+	});
+
+	it('run handlers by priority, then in registration order', function() {
+		wa.addHandler({ match: 'call', handle: record('first', false) });
+		wa.addHandler({ match: 'call', handle: record('second', false) });
+		wa.addHandler({ match: 'call', handle: record('urgent', false), priority: 10 });
+		wa.addHandler({ match: 'call', handle: record('late', false), priority: -10 });
+
+		return pushCall('1').then(function() {
+			assert.deepEqual(calls, ['urgent:1', 'first:1', 'second:1', 'late:1', 'unhandled:1']);
+		});
+	});
+
+	it('stop at the first handler taking care of the node', function() {
+		wa.addHandler({ match: 'call', handle: record('declines', false), priority: 1 });
+		wa.addHandler({ match: 'call', handle: record('handles') });
+		wa.addHandler({ match: 'call', handle: record('never') });
+
+		return pushCall('2').then(function() {
+			assert.deepEqual(calls, ['declines:2', 'handles:2']);
+		});
+	});
+
+	it('let observers look at nodes without stopping them', function() {
+		var pings = 0;
+
+		// Ahead of the built-in handler, which answers the ping
+		wa.addHandler({
+			match    : function(node) { return node.isPing(); },
+			handle   : function() { pings++; },
+			priority : 1,
+			observe  : true
+		});
+
+		wa.addHandler({ match: 'call', handle: record('observer'), observe: true });
+
+		var pongs = [];
+
+		server.on('node', function(node) {
+			if (node.tag() === 'iq' && node.attribute('type') === 'result') {
+				pongs.push(node.attribute('id'));
+			}
+		});
+
+		return pushCall('3').then(function() {
+			server.send(new Node('iq', { from: 's.whatsapp.net', id: 'ping-1', type: 'get', xmlns: 'urn:xmpp:ping' }, [new Node('ping')]));
+
+			return new Promise(function(resolve) {
+				server.once('node', function() {
+					resolve();
+				});
+			});
+		}).then(function() {
+			assert.deepEqual(calls, ['observer:3', 'unhandled:3']);
+			assert.strictEqual(pings, 1);
+			assert.deepEqual(pongs, ['ping-1']);
+		});
+	});
+
+	it('replace a handler registered with the same name, and remove it', function() {
+		wa.addHandler({ name: 'calls', match: 'call', handle: record('old') });
+
+		var name = wa.addHandler({ name: 'calls', match: 'call', handle: record('new') });
+
+		return pushCall('4').then(function() {
+			assert.strictEqual(name, 'calls');
+			assert.ok(wa.removeHandler('calls'));
+			assert.ok(!wa.removeHandler('calls'));
+
+			return pushCall('5');
+		}).then(function() {
+			assert.deepEqual(calls, ['new:4', 'unhandled:5']);
+		});
+	});
+});
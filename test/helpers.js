@@ -0,0 +1,148 @@
+var fs       = require('fs');
+var os       = require('os');
+var path     = require('path');
+var common   = require('../common');
+var whatsapi = require('../whatsapi');
+
+var PASSWORD = new Buffer('secret password').toString('base64');
+
+var directories = [];
+
+process.on('exit', function() {
+	directories.forEach(function(directory) {
+		fs.rmSync(directory, { recursive: true, force: true });
+	});
+});
+
+/**
+ * Path of a file in a temporary directory removed when the tests end
+ * @param  {String} name
+ * @return {String}
+ */
+function tempFile(name) {
+	var directory = fs.mkdtempSync(path.join(os.tmpdir(), 'whatsapi-test-'));
+
+	directories.push(directory);
+
+	return path.join(directory, name);
+}
+
+/**
+ * Replace setTimeout and clearTimeout with a clock that only moves when told to
+ * @return {Object}    Clock with tick(milliseconds) and restore()
+ */
+function useFakeClock() {
+	var realSetTimeout   = global.setTimeout;
+	var realClearTimeout = global.clearTimeout;
+
+	var clock = {
+		now    : 0,
+		timers : []
+	};
+
+	global.setTimeout = function(fn, delay) {
+		var timer = { at: clock.now + (delay || 0), fn: fn, args: common.toArray(arguments).slice(2) };
+
+		clock.timers.push(timer);
+
+		return timer;
+	};
+
+	global.clearTimeout = function(timer) {
+		clock.timers = clock.timers.filter(function(item) {
+			return item !== timer;
+		});
+	};
+
+	/**
+	 * Run the timers due within the given time, in order
+	 * @param {Number} milliseconds
+	 */
+	clock.tick = function(milliseconds) {
+		var until = clock.now + milliseconds;
+
+		while (true) {
+			var due = clock.timers.filter(function(timer) {
+				return timer.at <= until;
+			}).sort(function(a, b) {
+				return a.at - b.at;
+			})[0];
+
+			if (!due) {
+				break;
+			}
+
+			global.clearTimeout(due);
+			clock.now = due.at;
+			due.fn.apply(null, due.args);
+		}
+
+		clock.now = until;
+	};
+
+	clock.restore = function() {
+		global.setTimeout   = realSetTimeout;
+		global.clearTimeout = realClearTimeout;
+	};
+
+	return clock;
+}
+
+/**
+ * Promise resolved once the pending I/O callbacks have run
+ * @return {Promise}
+ */
+function nextTurn() {
+	return new Promise(function(resolve) {
+		setImmediate(resolve);
+	});
+}
+
+/**
+ * Fake server accepting the test password
+ * @param  {FakeServerConfig} config    (optional) Overrides
+ * @return {FakeServer}
+ */
+function createServer(config) {
+	return whatsapi.createFakeServer(common.extend({ password: PASSWORD }, config));
+}
+
+/**
+ * Adapter connected to a fake server through a loopback transport, not connected yet
+ * @param  {FakeServer}     server
+ * @param  {WhatsApiConfig} config    (optional) Overrides
+ * @return {WhatsApi}
+ */
+function createClient(server, config) {
+	var challenge = tempFile('challenge');
+
+	fs.writeFileSync(challenge, '');
+
+	return whatsapi.createAdapter(common.extend({
+		msisdn         : '491234567890',
+		username       : 'Tester',
+		password       : PASSWORD,
+		ccode          : '49',
+		reconnect      : false,
+		challenge_file : challenge
+	}, config), false, null, null, null, server.createTransport());
+}
+
+/**
+ * Connect and log in
+ * @param  {WhatsApi} wa
+ * @return {Promise}
+ */
+function login(wa) {
+	return wa.connect().then(function() {
+		return wa.login();
+	});
+}
+
+exports.PASSWORD     = PASSWORD;
+exports.tempFile     = tempFile;
+exports.useFakeClock = useFakeClock;
+exports.nextTurn     = nextTurn;
+exports.createServer = createServer;
+exports.createClient = createClient;
+exports.login        = login;
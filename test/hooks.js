@@ -0,0 +1,155 @@
+var assert   = require('assert');
+var protocol = require('../protocol');
+var errors   = require('../errors');
+var helpers  = require('./helpers');
+
+var Node = protocol.Node;
+
+describe('Outgoing hooks', function() {
+	var server, wa, received;
+
+	/**
+	 * Resolve with the next node the server receives
+	 * @return {Promise<Node>}
+	 */
+	function nextReceived() {
+		return new Promise(function(resolve) {
+			server.once('node', resolve);
+		});
+	}
+
+	beforeEach(function() {
+		received = [];
+		server   = helpers.createServer();
+		wa       = helpers.createClient(server);
+
+		return helpers.login(wa).then(function() {
+			server.on('node', function(node) {
+				received.push(node.tag() + ':' + (node.attribute('id') || node.attribute('name')));
+			});
+		});
+	});
+
+	afterEach(function() {
+		wa.disconnect();
+	});
+
+	it('see every node sent, in the order hooks were added', function() {
+		var seen = [];
+
+		wa.addOutgoingHook(function(node, next) {
+			seen.push('first:' + node.tag());
+			next();
+		});
+
+		wa.addOutgoingHook(function(node, next) {
+			seen.push('second:' + node.tag());
+			next();
+		});
+
+		wa.sendNode(new Node('presence', { name: 'Tester' }));
+
+		return nextReceived().then(function() {
+			assert.deepEqual(seen, ['first:presence', 'second:presence']);
+			assert.deepEqual(received, ['presence:Tester']);
+		});
+	});
+
+	it('send the node a hook replaces the original with', function() {
+		var seen = [];
+
+		wa.addOutgoingHook(function(node, next) {
+			next(null, new Node('presence', { name: node.attribute('name').toUpperCase() }));
+		});
+
+		wa.addOutgoingHook(function(node, next) {
+			seen.push(node.attribute('name'));
+			next();
+		});
+
+		wa.sendNode(new Node('presence', { name: 'Tester' }));
+
+		return nextReceived().then(function() {
+			assert.deepEqual(seen, ['TESTER']);
+			assert.deepEqual(received, ['presence:TESTER']);
+		});
+	});
+
+	it('hold a node until the hook goes on', function() {
+		var release;
+
+		wa.addOutgoingHook(function(node, next) {
+			release = next;
+		});
+
+		wa.sendNode(new Node('presence', { name: 'Tester' }));
+
+		return helpers.nextTurn().then(function() {
+			assert.deepEqual(received, []);
+
+			release();
+			// Calling next again has no effect
+			release();
+
+			return nextReceived();
+		}).then(function() {
+			assert.deepEqual(received, ['presence:Tester']);
+		});
+	});
+
+	it('drop a vetoed node and fail its request', function() {
+		var vetoed = [];
+
+		wa.on('vetoed', function(node, error) {
+			vetoed.push(node.attribute('xmlns') + ':' + error.code);
+		});
+
+		wa.addOutgoingHook(function(node, next) {
+			next(node.tag() === 'iq' ? 'Blocked' : null);
+		});
+
+		return wa.iq({ xmlns: 'w:profile:picture' }).then(function() {
+			assert.fail('Sent a vetoed node');
+		}, function(err) {
+			assert.ok(err instanceof errors.WhatsApiError);
+			assert.strictEqual(err.code, 'vetoed');
+			assert.strictEqual(err.message, 'Blocked');
+			assert.deepEqual(vetoed, ['w:profile:picture:vetoed']);
+			assert.deepEqual(wa.callbacksCollection, []);
+
+			return helpers.nextTurn();
+		}).then(function() {
+			assert.deepEqual(received, []);
+		});
+	});
+
+	it('fail the request of a node sent while not connected', function(done) {
+		wa.disconnect();
+
+		wa.addCallback('offline-1', function(err) {
+			assert.ok(err instanceof errors.TransportError);
+			assert.strictEqual(err.code, 'not-connected');
+			assert.deepEqual(wa.callbacksCollection, []);
+			done();
+		});
+
+		wa.sendNode(new Node('iq', { id: 'offline-1', type: 'get', xmlns: 'urn:xmpp:ping' }));
+	});
+
+	it('stop calling a removed hook', function() {
+		var calls = 0;
+		var hook  = wa.addOutgoingHook(function(node, next) {
+			calls++;
+			next();
+		});
+
+		assert.ok(wa.removeOutgoingHook(hook));
+		assert.ok(!wa.removeOutgoingHook(hook));
+
+		wa.sendNode(new Node('presence', { name: 'Tester' }));
+
+		return nextReceived().then(function() {
+			assert.strictEqual(calls, 0);
+		});
+	});
+});
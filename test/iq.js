@@ -0,0 +1,98 @@
+var assert   = require('assert');
+var protocol = require('../protocol');
+var errors   = require('../errors');
+var helpers  = require('./helpers');
+
+var Node = protocol.Node;
+
+describe('iq()', function() {
+	var server, wa;
+
+	beforeEach(function() {
+		server = helpers.createServer();
+		wa     = helpers.createClient(server);
+	});
+
+	afterEach(function() {
+		wa.disconnect();
+	});
+
+	it('resolves with the result node', function() {
+		var requests = [];
+
+		server.respond('w:profile:picture', function(node) {
+			requests.push(node);
+
+			return server.result(node, [new Node('picture', { type: 'preview', id: '7' }, null, new Buffer('jpeg'))]);
+		});
+
+		return helpers.login(wa).then(function() {
+			return wa.iq({
+				to       : '4911111111',
+				xmlns    : 'w:profile:picture',
+				children : new Node('picture', { type: 'preview' })
+			});
+		}).then(function(result) {
+			assert.strictEqual(result.tag(), 'iq');
+			assert.strictEqual(result.attribute('type'), 'result');
+			assert.strictEqual(result.find('picture').attribute('id'), '7');
+
+			assert.strictEqual(requests.length, 1);
+			assert.strictEqual(requests[0].attribute('type'), 'get');
+			assert.strictEqual(requests[0].attribute('to'), '4911111111@s.whatsapp.net');
+			assert.strictEqual(requests[0].child('picture').attribute('type'), 'preview');
+		});
+	});
+
+	it('rejects with the error the server answers', function() {
+		server.respond('w:profile:picture', function(node) {
+			return server.error(node, 404, 'item-not-found');
+		});
+
+		return helpers.login(wa).then(function() {
+			return wa.iq({ type: 'set', xmlns: 'w:profile:picture' });
+		}).then(function() {
+			assert.fail('Resolved an error reply');
+		}, function(err) {
+			assert.ok(err instanceof errors.ServerError);
+			assert.strictEqual(err.code, '404');
+			assert.strictEqual(err.message, 'item-not-found');
+			assert.deepEqual(wa.callbacksCollection, []);
+		});
+	});
+
+	it('times out after the delay given for the request', function() {
+		var started;
+
+		return helpers.login(wa).then(function() {
+			started = Date.now();
+
+			// The server doesn't answer unknown namespaces, and the default timeout is far longer
+			return wa.iq({ xmlns: 'urn:example:unanswered', timeout: 20 });
+		}).then(function() {
+			assert.fail('Resolved an unanswered request');
+		}, function(err) {
+			assert.ok(err instanceof errors.TimeoutError);
+			assert.strictEqual(err.code, 'timeout');
+			assert.strictEqual(err.timeout, 20);
+			assert.ok(Date.now() - started < 1000);
+			assert.deepEqual(wa.callbacksCollection, []);
+		});
+	});
+
+	it('rejects when not logged in', function() {
+		var sent = [];
+
+		server.on('node', function(node) {
+			sent.push(node);
+		});
+
+		return wa.iq({ xmlns: 'w:profile:picture' }).then(function() {
+			assert.fail('Sent an iq while disconnected');
+		}, function(err) {
+			assert.strictEqual(err.code, 'invalid-state');
+			assert.deepEqual(sent, []);
+			assert.deepEqual(wa.callbacksCollection, []);
+		});
+	});
+});
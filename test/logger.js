@@ -0,0 +1,100 @@
+var assert   = require('assert');
+var common   = require('../common');
+var protocol = require('../protocol');
+var logging  = require('../logger');
+var helpers  = require('./helpers');
+
+var Node = protocol.Node;
+
+describe('Logger', function() {
+	var lines;
+
+	/**
+	 * @param  {Object} options    (optional) LoggerOptions overrides
+	 * @return {Logger}
+	 */
+	function createLogger(options) {
+		return logging.createLogger(common.extend({
+			level  : 'trace',
+			output : function(line) {
+				lines.push(line);
+			}
+		}, options));
+	}
+
+	/**
+	 * Fail if any logged line contains one of the strings
+	 * @param {Array<String>} secrets
+	 */
+	function assertNoneLogged(secrets) {
+		var output = lines.join('\n');
+
+		secrets.forEach(function(secret) {
+			assert.strictEqual(output.indexOf(secret), -1, 'Logged ' + secret);
+		});
+	}
+
+	beforeEach(function() {
+		lines = [];
+	});
+
+	it('redact the key material and number of an auth node', function() {
+		var nonce = new Buffer('0123456789abcdef0123');
+		var auth  = new Node('auth', { passive: 'false', mechanism: 'WAUTH-2', user: '491234567890' }, null, nonce);
+
+		createLogger().log({ time: new Date(), level: 'debug', category: 'auth', message: 'Sending auth', fields: logging.redact({ node: auth, password: helpers.PASSWORD }) });
+
+		assertNoneLogged(['491234567890', nonce.toString(), helpers.PASSWORD]);
+		assert.ok(/user="\*{8}7890"/.test(lines[0]));
+		assert.ok(/\[20 bytes\]/.test(lines[0]));
+		assert.ok(/"password":"\[redacted\]"/.test(lines[0]));
+	});
+
+	it('redact the body and the numbers of a message node', function() {
+		var message = new Node('message', {
+			to     : '4911111111@s.whatsapp.net',
+			from   : '4922222222-1444651200@g.us',
+			notify : 'Tester',
+			id     : 'message-1'
+		}, [new Node('body', null, null, 'Meet me at 8, my number is 4933333333')]);
+
+		createLogger({ json: true }).log({ time: new Date(), level: 'trace', category: 'tx', message: 'Sending message', fields: logging.redact({ node: message }) });
+
+		assertNoneLogged(['4911111111', '4922222222', '4933333333', 'Meet me']);
+
+		var json = JSON.parse(lines[0]);
+
+		assert.strictEqual(json.node.attributes.to, '******1111@s.whatsapp.net');
+		assert.strictEqual(json.node.attributes.from, '******2222-******1200@g.us');
+		assert.strictEqual(json.node.attributes.notify, 'Tester');
+	});
+
+	it('log the nodes of a session without its secrets', function() {
+		var server = helpers.createServer();
+		var wa     = helpers.createClient(server, { logger: createLogger() });
+
+		return helpers.login(wa).then(function() {
+			return wa.sendMessage('4911111111', 'a confidential message');
+		}).then(function() {
+			wa.disconnect();
+
+			assert.ok(lines.some(function(line) {
+				return /Logging in/.test(line) && /\*{8}7890/.test(line);
+			}));
+
+			assert.ok(lines.some(function(line) {
+				return /^tx <message/m.test(line);
+			}));
+
+			assertNoneLogged(['491234567890', '4911111111', 'a confidential message', helpers.PASSWORD]);
+		});
+	});
+
+	it('only build the entries of the enabled levels and categories', function() {
+		var logger = createLogger({ level: 'info', categories: ['auth'] });
+
+		assert.ok(logger.isEnabled('warn', 'auth'));
+		assert.ok(!logger.isEnabled('debug', 'auth'));
+		assert.ok(!logger.isEnabled('error', 'transport'));
+	});
+});
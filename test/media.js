@@ -0,0 +1,94 @@
+var assert  = require('assert');
+var fs      = require('fs');
+var http    = require('http');
+var errors  = require('../errors');
+var store   = require('../store');
+var helpers = require('./helpers');
+
+var CONTENT = new Buffer('not really a JPEG');
+
+describe('Media download', function() {
+	var server, baseUrl, wa, files;
+
+	before(function(done) {
+		server = http.createServer(function(req, res) {
+			if (req.url === '/photo.jpg') {
+				res.writeHead(200, { 'Content-Type': 'image/jpeg' });
+				res.end(CONTENT);
+			} else if (req.url === '/moved.jpg') {
+				res.writeHead(302, { Location: baseUrl + '/photo.jpg' });
+				res.end();
+			} else {
+				res.writeHead(404);
+				res.end('Not found');
+			}
+		});
+
+		server.listen(0, '127.0.0.1', function() {
+			baseUrl = 'http://127.0.0.1:' + server.address().port;
+			done();
+		});
+	});
+
+	after(function(done) {
+		server.closeAllConnections && server.closeAllConnections();
+		server.close(done);
+	});
+
+	beforeEach(function() {
+		wa    = helpers.createClient(helpers.createServer(), { store: new store.MemoryStore() });
+		files = [];
+	});
+
+	afterEach(function() {
+		files.forEach(function(file) {
+			fs.unlinkSync(file);
+		});
+	});
+
+	it('downloads a file and remembers its path', function(done) {
+		wa.downloadMediaFile(baseUrl + '/photo.jpg', function(err, file) {
+			assert.ifError(err);
+			files.push(file);
+
+			assert.ok(/\.jpg$/.test(file));
+			assert.deepEqual(fs.readFileSync(file), CONTENT);
+
+			wa.store.getMediaPath(baseUrl + '/photo.jpg', function(err, path) {
+				assert.ifError(err);
+				assert.strictEqual(path, file);
+				done();
+			});
+		});
+	});
+
+	it('follows a redirection and remembers the path for both URLs', function() {
+		return wa.downloadMediaFile(baseUrl + '/moved.jpg').then(function(file) {
+			files.push(file);
+
+			assert.deepEqual(fs.readFileSync(file), CONTENT);
+			assert.strictEqual(wa.store.mediaPaths[baseUrl + '/moved.jpg'], file);
+			assert.strictEqual(wa.store.mediaPaths[baseUrl + '/photo.jpg'], file);
+		});
+	});
+
+	it('fails once on an HTTP error, without keeping a path', function(done) {
+		var calls = 0;
+
+		wa.downloadMediaFile(baseUrl + '/missing.jpg', function(err, file) {
+			calls++;
+			file && files.push(file);
+
+			assert.ok(err instanceof errors.MediaError);
+			assert.strictEqual(err.code, 'download-failed');
+			assert.strictEqual(err.statusCode, 404);
+
+			// Give the response time to end: the callback must not be called again
+			setTimeout(function() {
+				assert.strictEqual(calls, 1);
+				assert.deepEqual(wa.store.mediaPaths, {});
+				done();
+			}, 50);
+		});
+	});
+});
@@ -0,0 +1,140 @@
+var assert  = require('assert');
+var helpers = require('./helpers');
+
+describe('Message status', function() {
+	var server, wa, changes;
+
+	/**
+	 * Send a text message
+	 * @param  {String}          to
+	 * @param  {String}          body
+	 * @return {Promise<String>} Message ID, once the server acknowledged it
+	 */
+	function send(to, body) {
+		return new Promise(function(resolve, reject) {
+			wa.sendMessage(to, body, function(err, id) {
+				err ? reject(err) : resolve(id);
+			});
+		});
+	}
+
+	/**
+	 * Resolve once the client handled the next receipt
+	 * @return {Promise}
+	 */
+	function nextReceipt() {
+		return new Promise(function(resolve) {
+			wa.on('node', function onNode(node) {
+				if (node.tag() === 'receipt') {
+					wa.removeListener('node', onNode);
+					setImmediate(resolve);
+				}
+			});
+		});
+	}
+
+	beforeEach(function() {
+		changes = [];
+		server  = helpers.createServer();
+		wa      = helpers.createClient(server);
+
+		wa.on('messageStatus', function(status) {
+			changes.push(status.id + ':' + status.status + (status.participant ? ':' + status.participant : ''));
+		});
+
+		return helpers.login(wa);
+	});
+
+	afterEach(function() {
+		wa.disconnect();
+	});
+
+	it('follows a message from the server ack to the read receipt', function() {
+		var id;
+
+		return send('4911111111', 'Hello').then(function(messageId) {
+			id = messageId;
+
+			assert.strictEqual(wa.getMessageStatus(id).status, 'server');
+			assert.strictEqual(wa.getMessageStatus(id).to, '4911111111@s.whatsapp.net');
+
+			server.pushReceipt({ id: id, from: '4911111111@s.whatsapp.net' });
+
+			return nextReceipt();
+		}).then(function() {
+			server.pushReceipt({ id: id, from: '4911111111@s.whatsapp.net', type: 'read' });
+
+			return nextReceipt();
+		}).then(function() {
+			assert.deepEqual(changes, [id + ':pending', id + ':server', id + ':delivered', id + ':read']);
+			assert.ok(wa.getMessageStatus(id).time instanceof Date);
+		});
+	});
+
+	it('ignores a delivery receipt arriving after the read one', function() {
+		var id;
+
+		return send('4911111111', 'Hello').then(function(messageId) {
+			id = messageId;
+
+			server.pushReceipt({ id: id, from: '4911111111@s.whatsapp.net', type: 'read' });
+
+			return nextReceipt();
+		}).then(function() {
+			server.pushReceipt({ id: id, from: '4911111111@s.whatsapp.net' });
+
+			return nextReceipt();
+		}).then(function() {
+			assert.strictEqual(wa.getMessageStatus(id).status, 'read');
+			assert.deepEqual(changes.slice(2), [id + ':read']);
+		});
+	});
+
+	it('updates every message listed in a receipt, and only the ones it sent', function() {
+		var ids = [];
+
+		return send('4911111111', 'one').then(function(id) {
+			ids.push(id);
+
+			return send('4911111111', 'two');
+		}).then(function(id) {
+			ids.push(id);
+			changes = [];
+
+			server.pushReceipt({ id: ids[0], from: '4911111111@s.whatsapp.net', list: [ids[1], 'message-unknown'] });
+
+			return nextReceipt();
+		}).then(function() {
+			assert.deepEqual(changes, [ids[0] + ':delivered', ids[1] + ':delivered']);
+			assert.strictEqual(wa.getMessageStatus('message-unknown'), null);
+		});
+	});
+
+	it('keeps the status of every group participant', function() {
+		var group = '4922222222-1444651200@g.us';
+		var id;
+
+		return send(group, 'Hello group').then(function(messageId) {
+			id      = messageId;
+			changes = [];
+
+			server.pushReceipt({ id: id, from: group, participant: '4933333333@s.whatsapp.net' });
+
+			return nextReceipt();
+		}).then(function() {
+			server.pushReceipt({ id: id, from: group, participant: '4944444444@s.whatsapp.net', type: 'read' });
+
+			return nextReceipt();
+		}).then(function() {
+			var status = wa.getMessageStatus(id);
+
+			assert.deepEqual(changes, [
+				id + ':delivered:4933333333@s.whatsapp.net',
+				id + ':read:4944444444@s.whatsapp.net'
+			]);
+			assert.strictEqual(status.status, 'read');
+			assert.strictEqual(status.participants['4933333333@s.whatsapp.net'].status, 'delivered');
+			assert.strictEqual(status.participants['4944444444@s.whatsapp.net'].status, 'read');
+		});
+	});
+});
@@ -0,0 +1,148 @@
+var assert   = require('assert');
+var protocol = require('../protocol');
+
+var Node = protocol.Node;
+
+describe('Node', function() {
+	var receipt = new Node('receipt', { id: '1', t: '1444651200', offline: 'yes', count: '3' }, [
+		new Node('list', null, [new Node('item', { id: '2' }), new Node('item', { id: '3' })]),
+		new Node('sync', null, [new Node('in', null, [new Node('user', null, null, '4911111111')])])
+	]);
+
+	describe('paths', function() {
+		it('find every node at a path, in document order', function() {
+			assert.deepEqual(receipt.findAll('list/item').map(function(item) {
+				return item.attribute('id');
+			}), ['2', '3']);
+
+			assert.strictEqual(receipt.findAll('*/*').length, 3);
+			assert.strictEqual(receipt.find('sync/in/user').data(), '4911111111');
+		});
+
+		it('return nothing for a missing path', function() {
+			assert.deepEqual(receipt.findAll('list/user'), []);
+			assert.strictEqual(receipt.find('sync/out/user'), null);
+		});
+	});
+
+	describe('typed attributes', function() {
+		var node = new Node('presence', { count: '3', t: '1444651200', bad: 'soon', on: 'yes', off: '0', maybe: 'perhaps' });
+
+		it('parse integers, with a default for missing and malformed values', function() {
+			assert.strictEqual(node.attributeInt('count'), 3);
+			assert.strictEqual(node.attributeInt('missing'), null);
+			assert.strictEqual(node.attributeInt('bad'), null);
+			assert.strictEqual(node.attributeInt('bad', 0), 0);
+			assert.strictEqual(new Node('iq').attributeInt('id', -1), -1);
+		});
+
+		it('parse Unix timestamps as dates', function() {
+			assert.strictEqual(node.attributeDate('t').getTime(), 1444651200000);
+			assert.strictEqual(node.attributeDate('missing'), null);
+			assert.strictEqual(node.attributeDate('bad'), null);
+		});
+
+		it('parse booleans, with a default for missing and malformed values', function() {
+			assert.strictEqual(node.attributeBool('on'), true);
+			assert.strictEqual(node.attributeBool('off', true), false);
+			assert.strictEqual(node.attributeBool('maybe'), false);
+			assert.strictEqual(node.attributeBool('maybe', true), true);
+			assert.strictEqual(node.attributeBool('missing', true), true);
+		});
+	});
+
+	describe('JSON', function() {
+		it('round-trips through JSON.stringify, binary data included', function() {
+			var node = new Node('message', { id: '4' }, [
+				new Node('body', null, null, 'text'),
+				new Node('media', null, null, new Buffer([0, 1, 255]))
+			]);
+			var json = JSON.parse(JSON.stringify(node));
+
+			assert.deepEqual(json.children[1].data, { base64: 'AAH/' });
+			assert.deepEqual(Node.fromJSON(json).toJSON(), node.toJSON());
+			assert.ok(Buffer.isBuffer(Node.fromJSON(JSON.stringify(node)).child('media').data()));
+		});
+
+		it('leave out empty attributes, children and data', function() {
+			assert.deepEqual(new Node('ping', {}, [], '').toJSON(), { tag: 'ping' });
+		});
+	});
+
+	describe('XML', function() {
+		it('round-trips escaped attributes', function() {
+			var node = new Node('message', { to: '4911111111@s.whatsapp.net', notify: 'Tom & "Jerry" <3', note: 'two\nlines\tand a tab' });
+			var xml  = node.toXml();
+
+			assert.ok(xml.indexOf('notify="Tom &amp; &quot;Jerry&quot; &lt;3"') !== -1);
+			assert.strictEqual(xml.trim().indexOf('\n'), -1);
+			assert.deepEqual(Node.fromXml(xml).attributes(), node.attributes());
+		});
+
+		it('round-trips binary data as a Buffer', function() {
+			var bytes = new Buffer([0x00, 0x01, 0xFE, 0xFF, 0x0A, 0x3C]);
+			var node  = Node.fromXml(new Node('media', { type: 'image' }, null, bytes).toXml());
+
+			assert.ok(Buffer.isBuffer(node.data()));
+			assert.ok(node.data().equals(bytes));
+		});
+
+		it('keeps text Buffers as Buffers and strings as strings', function() {
+			var node = Node.fromXml(new Node('message', null, [
+				new Node('body', null, null, new Buffer('Grüße <b>, ]]> and\nmore')),
+				new Node('text', null, null, new Buffer('Grüße')),
+				new Node('notice', null, null, 'a & b\n<c>')
+			]).toXml());
+
+			assert.ok(Buffer.isBuffer(node.child('body').data()));
+			assert.strictEqual(node.child('body').data().toString(), 'Grüße <b>, ]]> and\nmore');
+			assert.ok(Buffer.isBuffer(node.child('text').data()));
+			assert.strictEqual(node.child('text').data().toString(), 'Grüße');
+			assert.strictEqual(node.child('notice').data(), 'a & b\n<c>');
+		});
+
+		it('round-trips nested children', function() {
+			var node = new Node('iq', { id: '1', type: 'result' }, [
+				new Node('list', null, [
+					new Node('item', { jid: '4911111111@s.whatsapp.net' }, [new Node('status', null, null, 'Busy')]),
+					new Node('item', { jid: '4922222222@s.whatsapp.net' })
+				]),
+				new Node('ping')
+			]);
+			var xml  = node.toXml('rx ');
+
+			assert.strictEqual(Node.fromXml(xml, 'rx ').toXml('rx '), xml);
+			assert.strictEqual(Node.fromXml(xml, 'rx ').child('list').children()[0].child('status').data(), 'Busy');
+		});
+
+		it('parses hand-written XML with self-closing tags and indentation', function() {
+			var node = Node.fromXml([
+				'<iq type="get" xmlns=\'w:profile:picture\'>',
+				'    <picture type="image"/>',
+				'</iq>'
+			].join('\n'));
+
+			assert.strictEqual(node.attribute('xmlns'), 'w:profile:picture');
+			assert.strictEqual(node.child('picture').attribute('type'), 'image');
+			assert.ok(!node.data());
+		});
+
+		it('parses every node of a log', function() {
+			var log = new Node('presence', { name: 'Tester' }).toXml('tx ') + '\n' + new Node('ack', { id: '2' }).toXml('rx ');
+
+			assert.deepEqual(Node.parseXml(log, /^(rx|tx) /).map(function(node) {
+				return node.tag();
+			}), ['presence', 'ack']);
+		});
+
+		it('rejects malformed XML', function() {
+			assert.throws(function() {
+				Node.fromXml('<iq id="1"><ping></iq>');
+			}, /Expected/);
+
+			assert.throws(function() {
+				Node.fromXml('<iq/><iq/>');
+			}, /single node/);
+		});
+	});
+});
@@ -0,0 +1,120 @@
+var assert   = require('assert');
+var whatsapi = require('../whatsapi');
+var helpers  = require('./helpers');
+
+describe('Outbox', function() {
+	var server, wa;
+
+	/**
+	 * Bodies of the messages received by the server, with their ID
+	 */
+	function recordMessages() {
+		var received = [];
+
+		server.on('message', function(node) {
+			received.push(node.attribute('id') + ':' + node.child('body').data().toString());
+		});
+
+		return received;
+	}
+
+	beforeEach(function() {
+		server = helpers.createServer();
+	});
+
+	afterEach(function() {
+		wa.disconnect();
+	});
+
+	it('sends the messages queued while disconnected once logged in', function() {
+		var received = recordMessages();
+
+		wa = helpers.createClient(server);
+
+		var sent = wa.sendMessage('4911111111', 'queued');
+
+		return helpers.login(wa).then(function() {
+			return sent;
+		}).then(function(id) {
+			assert.deepEqual(received, [id + ':queued']);
+			assert.strictEqual(wa.getMessageStatus(id).status, 'server');
+
+			wa.outbox.list(function(err, entries) {
+				assert.deepEqual(entries, []);
+			});
+		});
+	});
+
+	it('sends an unacknowledged message again after reconnecting', function(done) {
+		var received = recordMessages();
+		var logins   = 0;
+
+		wa = helpers.createClient(server, { reconnect: true, reconnectDelay: 10, reconnectJitter: 0 });
+		server.config.autoAck = false;
+
+		wa.on('login', function() {
+			logins++;
+		});
+
+		server.once('message', function() {
+			// Lost with the connection, before the ack
+			server.config.autoAck = true;
+			setImmediate(server.disconnect.bind(server));
+		});
+
+		helpers.login(wa).then(function() {
+			wa.sendMessage('4911111111', 'replayed', function(err, id) {
+				assert.ifError(err);
+				assert.strictEqual(logins, 2);
+				assert.deepEqual(received, [id + ':replayed', id + ':replayed']);
+
+				wa.outbox.list(function(err, entries) {
+					assert.deepEqual(entries, []);
+					done();
+				});
+			});
+		}).catch(done);
+	});
+
+	it('keeps the messages of a FileOutbox across restarts', function(done) {
+		var received = recordMessages();
+		var file     = helpers.tempFile('outbox.json');
+
+		wa = helpers.createClient(server, { outbox: new whatsapi.outbox.FileOutbox(file) });
+		server.config.autoAck = false;
+
+		server.once('message', function() {
+			// Stopped before the ack: a new client, with a new outbox reading the same file
+			wa.disconnect();
+
+			var outbox = new whatsapi.outbox.FileOutbox(file);
+
+			assert.strictEqual(outbox.entries.length, 1);
+
+			wa = helpers.createClient(server, { outbox: outbox });
+			server.config.autoAck = true;
+
+			wa.on('node', function(node) {
+				if (node.tag() !== 'ack') {
+					return;
+				}
+
+				assert.deepEqual(received, [node.attribute('id') + ':kept', node.attribute('id') + ':kept']);
+
+				// Removed once the ack is handled
+				setImmediate(function() {
+					outbox.list(function(err, entries) {
+						assert.deepEqual(entries, []);
+						done();
+					});
+				});
+			});
+
+			helpers.login(wa).catch(done);
+		});
+
+		helpers.login(wa).then(function() {
+			wa.sendMessage('4911111111', 'kept');
+		}).catch(done);
+	});
+});
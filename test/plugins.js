@@ -0,0 +1,104 @@
+var assert   = require('assert');
+var whatsapi = require('../whatsapi');
+var errors   = require('../errors');
+var helpers  = require('./helpers');
+
+// Plugins stay registered for the whole test run: every test uses its own names
+describe('Plugins', function() {
+	var server;
+
+	/**
+	 * Validation of the error thrown for a refused plugin, for assert.throws
+	 * @param  {RegExp}   message
+	 * @return {Function}
+	 */
+	function invalidPlugin(message) {
+		return function(err) {
+			return err instanceof errors.WhatsApiError && err.code === 'invalid-plugin' && message.test(err.message);
+		};
+	}
+
+	beforeEach(function() {
+		server = helpers.createServer();
+	});
+
+	it('add their methods and initialize the instances created afterwards', function() {
+		var initialized = [];
+		var destroyed   = [];
+
+		whatsapi.use({
+			name    : 'test-greeter',
+			methods : {
+				greeting : function() {
+					return 'Hello from ' + this.config.username;
+				}
+			},
+			init : function(wa) {
+				initialized.push(wa.config.username);
+			},
+			teardown : function(wa) {
+				destroyed.push(wa.config.username);
+			}
+		});
+
+		var wa = helpers.createClient(server);
+
+		assert.strictEqual(wa.greeting(), 'Hello from Tester');
+		assert.deepEqual(initialized, ['Tester']);
+
+		wa.destroy();
+
+		assert.deepEqual(destroyed, ['Tester']);
+	});
+
+	it('refuse a plugin without a name, or with the name of a registered one', function() {
+		assert.throws(function() {
+			whatsapi.use({ methods: { unnamed: function() {} } });
+		}, invalidPlugin(/needs a name/));
+
+		assert.throws(function() {
+			whatsapi.use({ name: 'groups', methods: { otherGroups: function() {} } });
+		}, invalidPlugin(/Plugin groups is already registered/));
+
+		assert.ok(!('otherGroups' in helpers.createClient(server)));
+	});
+
+	it('refuse methods already defined, and add none of them', function() {
+		assert.throws(function() {
+			whatsapi.use({ name: 'test-clash', methods: { clashFree: function() {}, sendMessage: function() {} } });
+		}, invalidPlugin(/Plugin test-clash cannot define sendMessage, already defined by messages/));
+
+		assert.throws(function() {
+			whatsapi.use({ name: 'test-core-clash', methods: { connect: function() {} } });
+		}, invalidPlugin(/cannot define connect, already defined by WhatsApi/));
+
+		assert.ok(!('clashFree' in helpers.createClient(server)));
+
+		// Nothing was registered: the name can be used again
+		whatsapi.use({ name: 'test-clash', methods: { clashFree: function() { return true; } } });
+
+		assert.ok(helpers.createClient(server).clashFree());
+	});
+
+	it('refuse a plugin registered before its dependencies, and initialize it after them', function() {
+		var order = [];
+
+		var dependent = {
+			name         : 'test-dependent',
+			dependencies : ['test-base', 'groups'],
+			init         : function() { order.push('dependent'); }
+		};
+
+		assert.throws(function() {
+			whatsapi.use(dependent);
+		}, invalidPlugin(/Plugin test-dependent depends on test-base, register it first/));
+
+		whatsapi
+			.use({ name: 'test-base', init: function() { order.push('base'); } })
+			.use(dependent);
+
+		helpers.createClient(server);
+
+		assert.deepEqual(order, ['base', 'dependent']);
+	});
+});
@@ -0,0 +1,264 @@
+var assert     = require('assert');
+var crypto     = require('crypto');
+var protocol   = require('../protocol');
+var dictionary = require('../dictionary');
+var encryption = require('../encryption');
+var errors     = require('../errors');
+
+var Node = protocol.Node;
+
+// Tokens 3 and 4 in the primary table, 600 words over the first three secondary pages
+var secondary = [];
+
+for (var i = 0; i < 600; i++) {
+	secondary.push('word' + i);
+}
+
+var testDictionary = new dictionary.Dictionary({
+	version   : 'test',
+	primary   : [null, null, null, 'x', 'a', 'word7'],
+	secondary : secondary
+});
+
+/**
+ * Write a node, then read it back from the frame
+ * @param  {Node}   node
+ * @param  {Writer} writer
+ * @param  {Reader} reader
+ * @return {Node}
+ */
+function roundTrip(node, writer, reader) {
+	reader.appendInput(writer.node(node));
+
+	return reader.nextNode();
+}
+
+/**
+ * Payload of an unencrypted, uncompressed frame
+ * @param  {Buffer} frame
+ * @return {Array<Number>}
+ */
+function payload(frame) {
+	return Array.prototype.slice.call(frame, 3);
+}
+
+describe('Reader and Writer', function() {
+	var writer, reader;
+
+	beforeEach(function() {
+		writer = new protocol.Writer(dictionary.defaultVersion);
+		reader = new protocol.Reader(dictionary.defaultVersion);
+		writer.setSelfCheck(true);
+	});
+
+	it('read back the nodes they write', function() {
+		var node = new Node('message', {
+			to   : '4911111111@s.whatsapp.net',
+			type : 'text',
+			id   : 'message-1444651200-1',
+			t    : '1444651200'
+		}, [
+			new Node('x', { xmlns: 'jabber:x:event' }, [new Node('server')]),
+			new Node('body', null, null, new Buffer('Grüße, with a body over the initial buffer size: ' + new Array(2000).join('.')))
+		]);
+
+		assert.strictEqual(roundTrip(node, writer, reader).toXml(), node.toXml());
+	});
+
+	it('detect nodes that do not read back the same with the self-check', function() {
+		var writeString = writer.writeString;
+
+		// A serialization bug
+		writer.writeString = function(string) {
+			return writeString.call(this, string === 'Tester' ? 'Texter' : string);
+		};
+
+		var node = new Node('presence', { name: 'Tester' });
+
+		// Unnoticed without the self-check
+		writer.setSelfCheck(false);
+		writer.node(node);
+
+		writer.setSelfCheck(true);
+
+		assert.throws(function() {
+			writer.node(node);
+		}, function(err) {
+			return err instanceof errors.ProtocolError && err.code === 'self-check-failed';
+		});
+	});
+
+	it('read nodes split across chunks, and wait for the end of a frame', function() {
+		var frames = Buffer.concat([
+			writer.node(new Node('presence', { type: 'available', name: 'Tester' })),
+			writer.node(new Node('iq', { id: '1', type: 'get', xmlns: 'urn:xmpp:ping' }))
+		]);
+
+		// The header of the first frame, then its payload, byte by byte
+		for (var i = 0; i < 10; i++) {
+			reader.appendInput(frames.slice(i, i + 1));
+		}
+
+		assert.strictEqual(reader.nextNode(), false);
+
+		reader.appendInput(frames.slice(10));
+
+		assert.strictEqual(reader.nextNode().attribute('name'), 'Tester');
+		assert.strictEqual(reader.nextNode().attribute('xmlns'), 'urn:xmpp:ping');
+		assert.strictEqual(reader.nextNode(), false);
+	});
+
+	it('read a frame followed by the start of the next one', function() {
+		var first  = writer.node(new Node('presence', { type: 'available' }));
+		var second = writer.node(new Node('presence', { type: 'unavailable' }));
+
+		reader.appendInput(Buffer.concat([first, second.slice(0, 2)]));
+
+		assert.strictEqual(reader.nextNode().attribute('type'), 'available');
+		assert.strictEqual(reader.nextNode(), false);
+
+		reader.appendInput(second.slice(2));
+
+		assert.strictEqual(reader.nextNode().attribute('type'), 'unavailable');
+	});
+
+	describe('packed strings', function() {
+		// <iq id="..."> starts with the list size and the tokens of 'iq' and 'id'
+		var start = [0xF8, 3, 0x4A, 0x44];
+
+		it('nibble-pack digits, dashes and dots', function() {
+			var frame = writer.node(new Node('iq', { id: '1444651200' }));
+
+			assert.deepEqual(payload(frame), start.concat([0xFF, 5, 0x14, 0x44, 0x65, 0x12, 0x00]));
+			assert.strictEqual(roundTrip(new Node('iq', { id: '12.5-3' }), writer, reader).attribute('id'), '12.5-3');
+		});
+
+		it('flag an odd length and pad the last nibble', function() {
+			var frame = writer.node(new Node('iq', { id: '123' }));
+
+			assert.deepEqual(payload(frame), start.concat([0xFF, 0x82, 0x12, 0x3F]));
+			assert.strictEqual(roundTrip(new Node('iq', { id: '123' }), writer, reader).attribute('id'), '123');
+		});
+
+		it('hex-pack upper case hexadecimal strings', function() {
+			assert.deepEqual(payload(writer.node(new Node('iq', { id: 'A1B2C3' }))), start.concat([0xFB, 3, 0xA1, 0xB2, 0xC3]));
+			assert.deepEqual(payload(writer.node(new Node('iq', { id: 'ABC' }))), start.concat([0xFB, 0x82, 0xAB, 0xCF]));
+			assert.strictEqual(roundTrip(new Node('iq', { id: 'DEADBEEF' }), writer, reader).attribute('id'), 'DEADBEEF');
+		});
+
+		it('write other strings as bytes', function() {
+			assert.deepEqual(payload(writer.node(new Node('iq', { id: 'beef' }))), start.concat([0xFC, 4, 0x62, 0x65, 0x65, 0x66]));
+			assert.strictEqual(roundTrip(new Node('iq', { id: '1-2 3' }), writer, reader).attribute('id'), '1-2 3');
+		});
+	});
+
+	describe('dictionary', function() {
+		beforeEach(function() {
+			writer.setDictionary(testDictionary);
+			reader.setDictionary(testDictionary);
+		});
+
+		it('write secondary tokens as a page byte and an index', function() {
+			assert.deepEqual(testDictionary.encode('word5'), [0xEC, 5]);
+			assert.deepEqual(testDictionary.encode('word300'), [0xED, 44]);
+			assert.deepEqual(testDictionary.encode('word599'), [0xEE, 87]);
+
+			var node = new Node('word599', { word300: 'word5', a: 'word256' });
+
+			assert.deepEqual(payload(writer.node(node)), [0xF8, 5, 0xEE, 87, 0xED, 44, 0xEC, 5, 4, 0xED, 0]);
+			assert.strictEqual(roundTrip(node, writer, reader).toXml(), node.toXml());
+		});
+
+		it('prefer the primary token of a string found in both tables', function() {
+			assert.deepEqual(testDictionary.encode('word7'), [5]);
+		});
+
+		it('reject tokens outside the tables', function() {
+			reader.appendInput(new Buffer([0, 0, 4, 0xF8, 1, 0xEE, 200]));
+
+			assert.throws(function() {
+				reader.nextNode();
+			}, function(err) {
+				return err instanceof errors.ProtocolError && err.code === 'invalid-token';
+			});
+		});
+
+		it('still export the default token array', function() {
+			assert.strictEqual(dictionary[74], 'iq');
+			assert.deepEqual(dictionary.get(dictionary.defaultVersion).encode(dictionary[300]), [0xEC, 64]);
+
+			var node = new Node('iq', { id: dictionary[300] });
+
+			assert.deepEqual(new protocol.Writer(dictionary).node(node), new protocol.Writer(dictionary.defaultVersion).node(node));
+		});
+	});
+
+	describe('compression', function() {
+		beforeEach(function() {
+			writer.setCompressionThreshold(64);
+		});
+
+		it('deflate frames over the threshold', function() {
+			var node  = new Node('message', { id: '1' }, [new Node('body', null, null, new Buffer(new Array(100).join('hello ')))]);
+			var frame = writer.node(node);
+
+			assert.strictEqual(frame[0] >> 4, 4);
+			assert.ok(frame.length < 600);
+			assert.strictEqual(roundTrip(node, writer, reader).toXml(), node.toXml());
+		});
+
+		it('keep small frames and payloads that do not shrink as they are', function() {
+			assert.strictEqual(writer.node(new Node('presence', { type: 'available' }))[0] >> 4, 0);
+
+			var frame = writer.node(new Node('media', null, null, crypto.randomBytes(200)));
+
+			assert.strictEqual(frame[0] >> 4, 0);
+			assert.ok(frame.length > 200);
+		});
+
+		it('use 20-bit frame lengths', function() {
+			writer.setCompressionThreshold(0);
+
+			var node  = new Node('media', null, null, crypto.randomBytes(50000).toString('hex'));
+			var frame = writer.node(node);
+
+			assert.ok(frame.length > 0xFFFF);
+			assert.strictEqual(frame.length - 3, ((frame[0] & 0x0F) << 16) | frame.readUInt16BE(1));
+			assert.strictEqual(roundTrip(node, writer, reader).data().toString('utf8'), node.data());
+		});
+
+		it('refuse frames over 20 bits', function() {
+			writer.setCompressionThreshold(0);
+
+			assert.throws(function() {
+				writer.node(new Node('media', null, null, crypto.randomBytes(600000).toString('hex')));
+			}, function(err) {
+				return err instanceof errors.ProtocolError && err.code === 'frame-too-large';
+			});
+		});
+	});
+
+	describe('encryption', function() {
+		var key    = crypto.randomBytes(20);
+		var macKey = crypto.randomBytes(20);
+
+		beforeEach(function() {
+			writer.setCompressionThreshold(64);
+			writer.setKey(new encryption.KeyStream(key, macKey));
+			reader.setKey(new encryption.KeyStream(key, macKey));
+		});
+
+		it('read encrypted and compressed frames in sequence', function() {
+			var small = new Node('presence', { type: 'available' });
+			var large = new Node('message', { id: '2' }, [new Node('body', null, null, new Buffer(new Array(100).join('hello ')))]);
+
+			assert.strictEqual(writer.node(large)[0] >> 4, 8 | 4);
+
+			// The frame above was never read: start again with fresh keys on both sides
+			writer.setKey(new encryption.KeyStream(key, macKey));
+
+			assert.strictEqual(roundTrip(small, writer, reader).toXml(), small.toXml());
+			assert.strictEqual(roundTrip(large, writer, reader).toXml(), large.toXml());
+		});
+	});
+});
@@ -0,0 +1,177 @@
+var assert   = require('assert');
+var helpers  = require('./helpers');
+
+describe('Reconnection', function() {
+	var server, wa, clock, delays, random;
+
+	beforeEach(function() {
+		server = helpers.createServer();
+		wa     = helpers.createClient(server, { reconnect: true, reconnectJitter: 0 });
+		delays = [];
+		random = Math.random;
+
+		wa.on('reconnecting', function(info) {
+			delays.push(info.attempt + ':' + info.delay);
+		});
+
+		return helpers.login(wa).then(function() {
+			clock = helpers.useFakeClock();
+		});
+	});
+
+	afterEach(function() {
+		wa.disconnect();
+		clock.restore();
+		Math.random = random;
+	});
+
+	/**
+	 * Drop the client and keep the server unreachable
+	 * @return {Promise}    Resolved once the client noticed
+	 */
+	function goOffline() {
+		server.config.online = false;
+		server.disconnect();
+
+		return helpers.nextTurn();
+	}
+
+	/**
+	 * Let the connection attempt due after the given delay fail
+	 * @param  {Number}  delay
+	 * @return {Promise}
+	 */
+	function failAfter(delay) {
+		clock.tick(delay - 1);
+		assert.strictEqual(wa.state, 'disconnected', 'Attempted to connect before ' + delay + 'ms');
+
+		clock.tick(1);
+		assert.strictEqual(wa.state, 'connecting');
+
+		return helpers.nextTurn();
+	}
+
+	/**
+	 * @param  {String}  event
+	 * @return {Promise} Resolved when the client emits the event
+	 */
+	function once(event) {
+		return new Promise(function(resolve) {
+			wa.once(event, resolve);
+		});
+	}
+
+	it('backs off exponentially up to the maximal delay', function() {
+		wa.config.reconnectMaxDelay = 5000;
+
+		return goOffline().then(function() {
+			return failAfter(1000);
+		}).then(function() {
+			return failAfter(2000);
+		}).then(function() {
+			return failAfter(4000);
+		}).then(function() {
+			return failAfter(5000);
+		}).then(function() {
+			assert.deepEqual(delays, ['1:1000', '2:2000', '3:4000', '4:5000', '5:5000']);
+		});
+	});
+
+	it('gives up after the maximal number of attempts', function() {
+		var ended = 0;
+
+		wa.config.reconnectMaxAttempts = 2;
+		wa.on('end', function() {
+			ended++;
+		});
+
+		return goOffline().then(function() {
+			return failAfter(1000);
+		}).then(function() {
+			return failAfter(2000);
+		}).then(function() {
+			assert.deepEqual(delays, ['1:1000', '2:2000']);
+			assert.strictEqual(ended, 1);
+			assert.strictEqual(wa.reconnectAttempt, 0);
+			assert.deepEqual(clock.timers, []);
+		});
+	});
+
+	it('logs in again and restores the presence', function() {
+		var presences = [];
+
+		wa.sendIsOnline();
+
+		return goOffline().then(function() {
+			server.config.online = true;
+			server.on('node', function(node) {
+				if (node.tag() === 'presence') {
+					presences.push(node.attribute('name') + ':' + server.isClientLoggedIn());
+				}
+			});
+
+			var reconnected = once('reconnected');
+
+			clock.tick(1000);
+
+			return reconnected;
+		}).then(function(info) {
+			assert.deepEqual(info, { attempt: 1 });
+			assert.strictEqual(wa.state, 'logged-in');
+
+			return helpers.nextTurn();
+		}).then(function() {
+			assert.deepEqual(presences, ['Tester:true']);
+		});
+	});
+
+	it('starts over from the first delay once the connection held', function() {
+		return goOffline().then(function() {
+			server.config.online = true;
+
+			var reconnected = once('reconnected');
+
+			clock.tick(1000);
+
+			return reconnected;
+		}).then(function() {
+			clock.tick(wa.config.reconnectMaxDelay);
+
+			return goOffline();
+		}).then(function() {
+			assert.deepEqual(delays, ['1:1000', '1:1000']);
+		});
+	});
+
+	it('varies the delays by the jitter', function() {
+		wa.config.reconnectJitter = 0.2;
+
+		Math.random = function() { return 0; };
+		assert.strictEqual(wa.getReconnectDelay(1), 800);
+		assert.strictEqual(wa.getReconnectDelay(3), 3200);
+
+		Math.random = function() { return 0.999999; };
+		assert.strictEqual(wa.getReconnectDelay(1), 1200);
+	});
+
+	it('stops when the login is refused, without an error listener', function() {
+		return goOffline().then(function() {
+			server.config.online   = true;
+			server.config.password = new Buffer('changed password').toString('base64');
+
+			var refused = new Promise(function(resolve) {
+				wa.on('stateChange', function(state, previous) {
+					previous === 'authenticating' && resolve(state);
+				});
+			});
+
+			clock.tick(1000);
+
+			return refused;
+		}).then(function(state) {
+			assert.strictEqual(state, 'connected');
+			assert.strictEqual(wa.reconnectAttempt, 0);
+			assert.deepEqual(clock.timers, []);
+		});
+	});
+});
@@ -0,0 +1,149 @@
+var assert   = require('assert');
+var protocol = require('../protocol');
+var errors   = require('../errors');
+var helpers  = require('./helpers');
+
+describe('Pending requests', function() {
+	var server, wa;
+
+	beforeEach(function() {
+		server = helpers.createServer();
+		wa     = helpers.createClient(server, { requestTimeout: 20 });
+	});
+
+	afterEach(function() {
+		wa.disconnect();
+	});
+
+	/**
+	 * Answer the next iq the server doesn't answer itself after the given delay
+	 * @param {Number} delay
+	 */
+	function answerLate(delay) {
+		server.once('iq', function(node) {
+			setTimeout(function() {
+				server.session && server.send(server.result(node, [new protocol.Node('query', { seconds: '60' })]));
+			}, delay);
+		});
+	}
+
+	it('fails an unanswered iq once the request timeout has elapsed', function(done) {
+		var unanswered = [];
+
+		server.on('iq', function(node) {
+			unanswered.push(node.attribute('xmlns'));
+		});
+
+		helpers.login(wa).then(function() {
+			var started = Date.now();
+
+			wa.requestLastSeen('4911111111', function(err) {
+				assert.ok(err instanceof errors.TimeoutError);
+				assert.strictEqual(err.code, 'timeout');
+				assert.ok(Date.now() - started >= 15);
+				assert.deepEqual(unanswered, ['jabber:iq:last']);
+				assert.deepEqual(wa.callbacksCollection, []);
+				done();
+			});
+		}).catch(done);
+	});
+
+	it('uses the timeout given for the request, or none', function(done) {
+		var calls = [];
+
+		wa.addCallback('forever', function(err) {
+			calls.push('forever:' + err.code);
+		}, 0);
+
+		wa.addCallback('short', function(err) {
+			calls.push('short:' + err.code);
+		}, 5);
+
+		setTimeout(function() {
+			assert.deepEqual(calls, ['short:timeout']);
+			assert.strictEqual(wa.callbacksCollection.length, 1);
+
+			wa.cancelRequest('forever');
+			assert.deepEqual(calls, ['short:timeout', 'forever:cancelled']);
+			done();
+		}, 50);
+	});
+
+	it('ignores the response to a request that timed out', function(done) {
+		var calls = 0;
+
+		answerLate(40);
+
+		helpers.login(wa).then(function() {
+			wa.requestLastSeen('4911111111', function(err) {
+				calls++;
+				assert.strictEqual(err.code, 'timeout');
+			});
+
+			setTimeout(function() {
+				assert.strictEqual(calls, 1);
+				done();
+			}, 80);
+		}).catch(done);
+	});
+
+	it('cancels a pending request and ignores its response', function() {
+		answerLate(10);
+
+		return helpers.login(wa).then(function() {
+			var request = wa.requestLastSeen('4911111111');
+			var id      = wa.callbacksCollection[0].id;
+
+			assert.strictEqual(wa.cancelRequest(id), true);
+			assert.strictEqual(wa.cancelRequest(id), false);
+
+			return request;
+		}).then(function() {
+			assert.fail('Resolved a cancelled request');
+		}, function(err) {
+			assert.strictEqual(err.code, 'cancelled');
+			assert.deepEqual(wa.callbacksCollection, []);
+		});
+	});
+
+	it('fails every pending request when the connection drops', function() {
+		var failures = [];
+
+		function failed(err) {
+			failures.push(err.code);
+		}
+
+		return helpers.login(wa).then(function() {
+			var requests = [
+				wa.requestLastSeen('4911111111').catch(failed),
+				wa.requestLastSeen('4922222222').catch(failed)
+			];
+
+			server.once('iq', function() {
+				server.once('iq', function() {
+					server.disconnect();
+				});
+			});
+
+			return Promise.all(requests);
+		}).then(function() {
+			assert.deepEqual(failures, ['connection-lost', 'connection-lost']);
+			assert.deepEqual(wa.callbacksCollection, []);
+		});
+	});
+
+	it('fails a login in progress when the connection drops', function() {
+		server.on('node', function(node) {
+			if (node.tag() === 'stream:features') {
+				server.disconnect();
+			}
+		});
+
+		return helpers.login(wa).then(function() {
+			assert.fail('Logged in without a connection');
+		}, function(err) {
+			assert.strictEqual(err.code, 'connection-lost');
+			assert.strictEqual(wa.state, 'disconnected');
+		});
+	});
+});
@@ -0,0 +1,156 @@
+var assert   = require('assert');
+var whatsapi = require('../whatsapi');
+var helpers  = require('./helpers');
+
+describe('Connection state', function() {
+	var server, wa, changes;
+
+	/**
+	 * Client recording its state changes
+	 * @param {WhatsApiConfig} config    (optional) Overrides
+	 */
+	function createClient(config) {
+		wa      = helpers.createClient(server, config);
+		changes = [];
+
+		wa.on('stateChange', function(state, previous) {
+			changes.push(previous + '>' + state);
+		});
+	}
+
+	/**
+	 * Assert that the call rejects with an 'invalid-state' error
+	 * @param  {Promise} promise
+	 * @return {Promise}
+	 */
+	function assertInvalidState(promise) {
+		return promise.then(function() {
+			assert.fail('Accepted in the ' + wa.state + ' state');
+		}, function(err) {
+			assert.strictEqual(err.code, 'invalid-state');
+		});
+	}
+
+	beforeEach(function() {
+		server = helpers.createServer();
+		createClient();
+	});
+
+	afterEach(function() {
+		wa.disconnect();
+	});
+
+	it('starts disconnected', function() {
+		assert.strictEqual(wa.state, whatsapi.states.DISCONNECTED);
+		assert.strictEqual(wa.connected, false);
+		assert.strictEqual(wa.loggedIn, false);
+	});
+
+	it('goes through every state from connecting to closing, in order', function() {
+		var connecting = wa.connect();
+
+		assert.strictEqual(wa.state, 'connecting');
+		assert.strictEqual(wa.connected, false);
+
+		return connecting.then(function() {
+			assert.strictEqual(wa.state, 'connected');
+			assert.strictEqual(wa.connected, true);
+
+			var login = wa.login();
+
+			assert.strictEqual(wa.state, 'authenticating');
+			assert.strictEqual(wa.loggedIn, false);
+
+			return login;
+		}).then(function() {
+			assert.strictEqual(wa.state, 'logged-in');
+			assert.strictEqual(wa.connected, true);
+			assert.strictEqual(wa.loggedIn, true);
+			assert.strictEqual(wa.isLoggedIn(), true);
+
+			wa.disconnect();
+
+			assert.strictEqual(wa.connected, false);
+			assert.deepEqual(changes, [
+				'disconnected>connecting',
+				'connecting>connected',
+				'connected>authenticating',
+				'authenticating>logged-in',
+				'logged-in>closing',
+				'closing>disconnected'
+			]);
+		});
+	});
+
+	it('goes back to connected when the login is refused', function() {
+		createClient({ password: new Buffer('wrong password').toString('base64') });
+
+		return helpers.login(wa).then(function() {
+			assert.fail('Logged in with a wrong password');
+		}, function() {
+			assert.strictEqual(wa.state, 'connected');
+			assert.deepEqual(changes.slice(-2), ['connected>authenticating', 'authenticating>connected']);
+		});
+	});
+
+	it('becomes disconnected when the server drops the connection', function(done) {
+		wa.on('end', function() {
+			assert.strictEqual(wa.state, 'disconnected');
+			assert.deepEqual(changes.slice(-2), ['authenticating>logged-in', 'logged-in>disconnected']);
+			done();
+		});
+
+		helpers.login(wa).then(function() {
+			server.disconnect();
+		}).catch(done);
+	});
+
+	it('refuses to log in before connecting', function() {
+		return assertInvalidState(wa.login()).then(function() {
+			assert.deepEqual(changes, []);
+		});
+	});
+
+	it('refuses to connect again while connecting or connected', function() {
+		var connections = 0;
+
+		server.on('connection', function() {
+			connections++;
+		});
+
+		var connecting = wa.connect();
+
+		return assertInvalidState(wa.connect()).then(function() {
+			return connecting;
+		}).then(function() {
+			return assertInvalidState(wa.connect());
+		}).then(function() {
+			assert.strictEqual(connections, 1);
+		});
+	});
+
+	it('refuses to log in twice at the same time', function() {
+		return wa.connect().then(function() {
+			var login = wa.login();
+
+			return assertInvalidState(wa.login()).then(function() {
+				return login;
+			});
+		}).then(function() {
+			assert.strictEqual(wa.state, 'logged-in');
+		});
+	});
+
+	it('fails the connection attempt when disconnecting', function() {
+		var connecting = wa.connect();
+
+		wa.disconnect();
+
+		return connecting.then(function() {
+			assert.fail('Connected after disconnecting');
+		}, function(err) {
+			assert.strictEqual(err.code, 'disconnected');
+			assert.strictEqual(wa.state, 'disconnected');
+		});
+	});
+});
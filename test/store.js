@@ -0,0 +1,571 @@
+var assert   = require('assert');
+var protocol = require('../protocol');
+var store    = require('../store');
+var helpers  = require('./helpers');
+
+// Optional dependency: the SqliteStore tests are skipped without it
+var sqlite3 = null;
+
+try {
+	sqlite3 = require('sqlite3');
+} catch (e) {}
+
+var describeSqlite = sqlite3 ? describe : describe.skip;
+
+var CHAT  = '4911111111@s.whatsapp.net';
+var OTHER = '4922222222@s.whatsapp.net';
+
+/**
+ * @return {StoredMessage}
+ */
+function createMessage(id, chat, time, body, media) {
+	return {
+		id      : id,
+		chat    : chat,
+		author  : chat,
+		fromMe  : false,
+		type    : media ? 'image' : 'text',
+		body    : body || null,
+		media   : media || null,
+		notify  : 'Contact',
+		date    : new Date(time),
+		status  : 'received',
+		updated : null
+	};
+}
+
+var MESSAGES = [
+	createMessage('1', CHAT, 1000, 'one'),
+	createMessage('2', CHAT, 2000, 'two'),
+	createMessage('3', CHAT, 3000, null, { url: 'http://example.com/3.jpg', caption: 'three' }),
+	createMessage('4', OTHER, 4000, 'four'),
+	createMessage('5', CHAT, 5000, 'five'),
+	createMessage('6', CHAT, 6000, 'six')
+];
+
+var SEARCH_A = '4933333333@s.whatsapp.net';
+var SEARCH_B = '4944444444@s.whatsapp.net';
+
+var SEARCHED = [
+	createMessage('s1', SEARCH_A, 10000, 'Hello world, the invoice is late'),
+	createMessage('s2', SEARCH_A, 11000, 'Which invoice?'),
+	createMessage('s3', SEARCH_A, 12000, null, { url: 'http://example.com/s3.jpg', caption: 'Invoices of March' }),
+	createMessage('s4', SEARCH_B, 13000, null, { name: 'Invoice Office', vcard: 'BEGIN:VCARD' }),
+	createMessage('s5', SEARCH_B, 14000, 'Café au lait'),
+	createMessage('s6', SEARCH_A, 15000, 'bye')
+];
+
+SEARCHED[3].type = 'vcard';
+
+/**
+ * Save messages one after the other
+ * @param {Store}                store
+ * @param {Array<StoredMessage>} messages
+ * @param {Function}             callback
+ */
+function saveAll(store, messages, callback) {
+	var index = 0;
+
+	(function next(err) {
+		if (err || index === messages.length) {
+			callback(err || null);
+			return;
+		}
+
+		store.saveMessage(messages[index++], next);
+	})();
+}
+
+function ids(messages) {
+	return messages.map(function(message) {
+		return message.id;
+	});
+}
+
+/**
+ * Search results as [id, score, IDs before, IDs after]
+ * @param  {Array<SearchResult>} results
+ * @return {Array<Array>}
+ */
+function summarize(results) {
+	return results.map(function(result) {
+		return [result.message.id, result.score, ids(result.before), ids(result.after)];
+	});
+}
+
+/**
+ * Tests every store must pass
+ * @param {String}   name
+ * @param {Function} create        function(path) returning a new store, or reopening the one at path
+ * @param {Boolean}  persistent    Whether the store keeps the messages at path
+ */
+function describeStore(name, create, persistent) {
+	describe(name, function() {
+		var path, db;
+
+		beforeEach(function(done) {
+			path = helpers.tempFile('history');
+			db   = create(path);
+			saveAll(db, MESSAGES, done);
+		});
+
+		afterEach(function(done) {
+			db.close ? db.close(done) : done();
+		});
+
+		it('pages from the newest messages, oldest first', function(done) {
+			db.getMessages(CHAT, { limit: 2 }, function(err, messages) {
+				assert.ifError(err);
+				assert.deepEqual(ids(messages), ['5', '6']);
+				assert.ok(messages[0].date instanceof Date);
+				assert.deepEqual(messages[0], MESSAGES[4]);
+
+				db.getMessages(CHAT, { limit: 2, before: '5' }, function(err, messages) {
+					assert.deepEqual(ids(messages), ['2', '3']);
+					assert.deepEqual(messages[1].media, MESSAGES[2].media);
+
+					db.getMessages(CHAT, { limit: 2, before: '2' }, function(err, messages) {
+						assert.deepEqual(ids(messages), ['1']);
+						done();
+					});
+				});
+			});
+		});
+
+		it('pages forward after a message', function(done) {
+			db.getMessages(CHAT, { limit: 2, after: '1' }, function(err, messages) {
+				assert.ifError(err);
+				assert.deepEqual(ids(messages), ['2', '3']);
+
+				db.getMessages(CHAT, { limit: 2, after: '3' }, function(err, messages) {
+					assert.deepEqual(ids(messages), ['5', '6']);
+					done();
+				});
+			});
+		});
+
+		it('returns no page for an unknown cursor or a message of another chat', function(done) {
+			db.getMessages(CHAT, { before: 'unknown' }, function(err, messages) {
+				assert.ifError(err);
+				assert.deepEqual(messages, []);
+
+				db.getMessages(CHAT, { after: '4' }, function(err, messages) {
+					assert.deepEqual(messages, []);
+					done();
+				});
+			});
+		});
+
+		it('replaces a message saved again and updates its status', function(done) {
+			var edited = createMessage('2', CHAT, 2000, 'two, again');
+			var date   = new Date(7000);
+
+			db.saveMessage(edited, function(err) {
+				assert.ifError(err);
+
+				db.updateStatus('2', 'read', date, function(err) {
+					assert.ifError(err);
+
+					db.getMessages(CHAT, {}, function(err, messages) {
+						assert.deepEqual(ids(messages), ['1', '2', '3', '5', '6']);
+						assert.strictEqual(messages[1].body, 'two, again');
+						assert.strictEqual(messages[1].status, 'read');
+						assert.strictEqual(messages[1].updated.getTime(), date.getTime());
+						done();
+					});
+				});
+			});
+		});
+
+		it('lists the chats, most recently active first', function(done) {
+			db.getChats(function(err, chats) {
+				assert.ifError(err);
+				assert.deepEqual(chats.map(function(chat) {
+					return [chat.chat, chat.count, chat.last.id];
+				}), [[CHAT, 5, '6'], [OTHER, 1, '4']]);
+				done();
+			});
+		});
+
+		it('remembers where media files are', function(done) {
+			db.saveMediaPath('http://example.com/3.jpg', '/tmp/3.jpg', function(err) {
+				assert.ifError(err);
+
+				db.getMediaPath('http://example.com/3.jpg', function(err, path) {
+					assert.strictEqual(path, '/tmp/3.jpg');
+
+					db.getMediaPath('http://example.com/unknown.jpg', function(err, path) {
+						assert.strictEqual(path, null);
+						done();
+					});
+				});
+			});
+		});
+
+		describe('search', function() {
+			beforeEach(function(done) {
+				saveAll(db, SEARCHED, done);
+			});
+
+			/**
+			 * Check the results of a query
+			 * @param {SearchQuery}  query
+			 * @param {Array<Array>} expected    See summarize
+			 * @param {Function}     done
+			 */
+			function expectResults(query, expected, done) {
+				db.search(query, function(err, results) {
+					assert.ifError(err);
+					assert.deepEqual(summarize(results), expected);
+					done();
+				});
+			}
+
+			it('ranks whole words above word starts, and names above texts', function(done) {
+				expectResults({ text: 'Invoice', context: 0 }, [
+					['s4', 4, [], []],
+					['s2', 2, [], []],
+					['s1', 2, [], []],
+					['s3', 1, [], []]
+				], done);
+			});
+
+			it('requires every word', function(done) {
+				expectResults({ text: 'hello, invoice!', context: 0 }, [['s1', 4, [], []]], done);
+			});
+
+			it('matches words with accents', function(done) {
+				expectResults({ text: 'CAFÉ', context: 0 }, [['s5', 2, [], []]], done);
+			});
+
+			it('filters by chat, sender, date and type', function(done) {
+				expectResults({ text: 'inv', type: ['image', 'vcard'], context: 0 }, [
+					['s4', 2, [], []],
+					['s3', 1, [], []]
+				], function() {
+					expectResults({ author: SEARCH_B, context: 0 }, [
+						['s5', 0, [], []],
+						['s4', 0, [], []]
+					], function() {
+						expectResults({ chat: SEARCH_A, since: new Date(11000), until: new Date(14000), context: 0 }, [
+							['s3', 0, [], []],
+							['s2', 0, [], []]
+						], done);
+					});
+				});
+			});
+
+			it('adds the surrounding messages of the chat', function(done) {
+				expectResults({ text: 'invoices', context: 1 }, [['s3', 2, ['s2'], ['s6']]], function() {
+					expectResults({ text: 'hello' }, [['s1', 2, [], ['s2', 's3']]], done);
+				});
+			});
+
+			it('returns the newest results first when no words are given, up to the limit', function(done) {
+				expectResults({ chat: SEARCH_A, limit: 2, context: 0 }, [
+					['s6', 0, [], []],
+					['s3', 0, [], []]
+				], function() {
+					expectResults({ text: 'nothing' }, [], done);
+				});
+			});
+
+			it('ranks every matching message, however old', function(done) {
+				var newer = [];
+
+				for (var i = 0; i < 30; i++) {
+					newer.push(createMessage('n' + i, SEARCH_B, 20000 + i * 1000, 'Invoices again'));
+				}
+
+				saveAll(db, newer.concat(createMessage('old', SEARCH_B, 1000, 'Invoice: invoice number invoice')), function(err) {
+					assert.ifError(err);
+					expectResults({ text: 'invoice', limit: 2, context: 0 }, [
+						['old', 6, [], []],
+						['s4', 4, [], []]
+					], done);
+				});
+			});
+
+			it('searches the new text of a replaced message', function(done) {
+				db.saveMessage(createMessage('s2', SEARCH_A, 11000, 'Which bill?'), function(err) {
+					assert.ifError(err);
+					expectResults({ text: 'invoice', chat: SEARCH_A, context: 0 }, [
+						['s1', 2, [], []],
+						['s3', 1, [], []]
+					], function() {
+						expectResults({ text: 'bill', context: 0 }, [['s2', 2, [], []]], done);
+					});
+				});
+			});
+		});
+
+		if (!persistent) {
+			return;
+		}
+
+		it('keeps the history when opened again', function(done) {
+			var reopen = function() {
+				db = create(path);
+
+				db.getMessages(CHAT, { limit: 3 }, function(err, messages) {
+					assert.ifError(err);
+					assert.deepEqual(ids(messages), ['3', '5', '6']);
+					assert.deepEqual(messages[1], MESSAGES[4]);
+					assert.strictEqual(messages[2].status, 'played');
+					done();
+				});
+			};
+
+			db.updateStatus('6', 'played', new Date(8000), function(err) {
+				assert.ifError(err);
+				db.close ? db.close(reopen) : reopen();
+			});
+		});
+	});
+}
+
+describe('Stores', function() {
+	describeStore('MemoryStore', function() {
+		return new store.MemoryStore();
+	});
+
+	describeStore('FileStore', function(path) {
+		return new store.FileStore(path);
+	}, true);
+
+	if (sqlite3) {
+		describeStore('SqliteStore', function(path) {
+			return new store.SqliteStore(path);
+		}, true);
+	} else {
+		it.skip('SqliteStore (the optional sqlite3 module is not installed)');
+	}
+});
+
+describeSqlite('SqliteStore', function() {
+	var db;
+
+	beforeEach(function() {
+		db = new store.SqliteStore(helpers.tempFile('store.db'));
+	});
+
+	afterEach(function(done) {
+		db.close(done);
+	});
+
+	it('combines the contacts sync, the statuses and the profile pictures', function(done) {
+		var jid = '4911111111@s.whatsapp.net';
+
+		db.saveContacts([{ jid: jid, number: '+49 111 111111', registered: true }]);
+		db.saveStatuses([{ jid: jid, status: 'Busy', date: new Date(1000) }]);
+		db.saveProfilePicture({ jid: jid, pictureId: 1444651200 });
+		db.saveStatuses([{ jid: OTHER, status: 'Available', date: null }]);
+
+		db.getContact(jid, function(err, contact) {
+			assert.ifError(err);
+			assert.deepEqual(contact, {
+				jid        : jid,
+				number     : '+49 111 111111',
+				registered : true,
+				status     : 'Busy',
+				statusDate : new Date(1000),
+				pictureId  : '1444651200'
+			});
+
+			db.getContacts(function(err, contacts) {
+				assert.deepEqual(contacts.map(function(contact) {
+					return [contact.jid, contact.registered, contact.status];
+				}), [[jid, true, 'Busy'], [OTHER, null, 'Available']]);
+
+				db.getContact('4933333333@s.whatsapp.net', function(err, contact) {
+					assert.strictEqual(contact, null);
+					done();
+				});
+			});
+		});
+	});
+
+	it('replaces the participants of a group saved again', function(done) {
+		var group = {
+			jid          : '4911111111-1444651200@g.us',
+			subject      : 'Group',
+			creator      : '4911111111@s.whatsapp.net',
+			creationDate : new Date(1444651200000),
+			participants : [
+				{ admin: true, jid: '4911111111@s.whatsapp.net' },
+				{ admin: false, jid: '4922222222@s.whatsapp.net' }
+			]
+		};
+
+		db.saveGroups([group]);
+
+		group.subject      = 'Renamed';
+		group.participants = group.participants.slice(0, 1);
+
+		db.saveGroups([group, { jid: '4922222222-1444651200@g.us', subject: 'Other', creator: OTHER, creationDate: null, participants: [] }]);
+
+		db.getGroup(group.jid, function(err, stored) {
+			assert.ifError(err);
+			assert.deepEqual(stored, group);
+
+			db.getGroups(function(err, groups) {
+				assert.deepEqual(groups.map(function(group) {
+					return [group.subject, group.participants.length];
+				}), [['Renamed', 1], ['Other', 0]]);
+				done();
+			});
+		});
+	});
+
+	it('goes on with the queued calls after a callback throws', function(done) {
+		var listeners = process.listeners('uncaughtException');
+		var thrown    = null;
+
+		// Taken over from the test runner for the expected exception
+		process.removeAllListeners('uncaughtException');
+		process.once('uncaughtException', function(err) {
+			thrown = err;
+		});
+
+		db.getMessages(CHAT, {}, function() {
+			throw new Error('Callback failure');
+		});
+
+		db.saveMessage(MESSAGES[0], function(err) {
+			assert.ifError(err);
+
+			db.getMessages(CHAT, {}, function(err, messages) {
+				listeners.forEach(function(listener) {
+					process.on('uncaughtException', listener);
+				});
+
+				assert.strictEqual(thrown && thrown.message, 'Callback failure');
+				assert.deepEqual(ids(messages), ['1']);
+				done();
+			});
+		});
+	});
+
+	it('fails every call when the database cannot be opened', function(done) {
+		var broken = new store.SqliteStore(helpers.tempFile('missing/store.db'));
+
+		broken.getMessages(CHAT, {}, function(err) {
+			assert.ok(err);
+
+			broken.getChats(function(err) {
+				assert.ok(err);
+				done();
+			});
+		});
+	});
+});
+
+
+describe('Conversation history', function() {
+	var server, wa;
+
+	beforeEach(function() {
+		server = helpers.createServer();
+		wa     = helpers.createClient(server, { store: new store.MemoryStore() });
+	});
+
+	afterEach(function() {
+		wa.disconnect();
+	});
+
+	it('records the sent and received messages', function(done) {
+		wa.on('receivedMessage', function(message) {
+			if (message.body !== 'received') {
+				return;
+			}
+
+			wa.getChatHistory('4911111111', function(err, messages) {
+				assert.ifError(err);
+				assert.deepEqual(messages.map(function(message) {
+					return [message.body, message.fromMe, message.author];
+				}), [
+					['sent', true, wa.selfAddress],
+					['received', false, CHAT]
+				]);
+				assert.strictEqual(messages[0].status, 'server');
+				done();
+			});
+		});
+
+		helpers.login(wa).then(function() {
+			return wa.sendMessage('4911111111', 'sent');
+		}).then(function() {
+			server.pushMessage({ from: CHAT, body: 'received' });
+		}).catch(done);
+	});
+
+	it('emits the received messages once a slow store saved them', function(done) {
+		var memory = new store.MemoryStore();
+
+		wa = helpers.createClient(server, { store: {
+			saveMessage : function(message, callback) {
+				setTimeout(memory.saveMessage.bind(memory, message, callback), 20);
+			},
+			updateStatus : memory.updateStatus.bind(memory),
+			getMessages  : memory.getMessages.bind(memory),
+			getChats     : memory.getChats.bind(memory)
+		} });
+
+		wa.on('receivedMessage', function(message) {
+			wa.getChatHistory('4911111111', function(err, messages) {
+				assert.ifError(err);
+				assert.deepEqual(ids(messages), [message.id]);
+				done();
+			});
+		});
+
+		helpers.login(wa).then(function() {
+			server.pushMessage({ from: CHAT, body: 'received' });
+		}).catch(done);
+	});
+
+	it('skips the messages with neither text nor media', function(done) {
+		// E.g. an encrypted message matched by a processor added by a plugin
+		wa.recordMessage(new protocol.Node('message', {
+			from   : CHAT,
+			type   : 'text',
+			id     : 'encrypted-1',
+			t      : '1444651200',
+			notify : 'Contact'
+		}, [new protocol.Node('enc', { v: '1', type: 'msg' }, null, new Buffer([1, 2, 3]))]), false, function() {
+			wa.getChatHistory('4911111111', function(err, messages) {
+				assert.ifError(err);
+				assert.deepEqual(messages, []);
+				done();
+			});
+		});
+	});
+
+	it('searches the history of the store', function() {
+		wa.store.saveMessage(SEARCHED[0]);
+
+		return wa.searchMessages({ text: 'invoice', chat: '4933333333' }).then(function(results) {
+			assert.deepEqual(summarize(results), [['s1', 2, [], []]]);
+		});
+	});
+
+	it('cannot search a store without search', function() {
+		wa = helpers.createClient(server, { store: {} });
+
+		return wa.searchMessages({ text: 'invoice' }).then(function() {
+			assert.fail('Search without support from the store');
+		}, function(err) {
+			assert.strictEqual(err.code, 'not-supported');
+		});
+	});
+
+	it('fails without a store', function() {
+		wa = helpers.createClient(server);
+
+		return wa.getChatHistory('4911111111').then(function() {
+			assert.fail('History without a store');
+		}, function(err) {
+			assert.strictEqual(err.code, 'no-store');
+		});
+	});
+});
@@ -1,4 +1,5 @@
 var net = require('net');
+var TransportError = require('./errors').TransportError;
 
 function Socket() {
 	this.callbacks = {
@@ -18,7 +19,8 @@ Socket.prototype.connect = function(host, port, callback, thisarg) {
 		this.callbacks.error && this.callbacks.error.apply(this, arguments);
 	}.bind(this));
 
-	this.socket.on('end', function() {
+	// 'close' follows both a regular end and an error, so failed connections end too
+	this.socket.on('close', function() {
 		this.callbacks.end && this.callbacks.end.apply(this, arguments);
 	}.bind(this));
 
@@ -29,7 +31,7 @@ Socket.prototype.connect = function(host, port, callback, thisarg) {
 
 Socket.prototype.send = function(data) {
 	if(!this.socket) {
-		throw 'Trying to send data whilst no connection established';
+		throw new TransportError('not-connected', 'Trying to send data whilst no connection established');
 	}
 
 	this.socket.write(data);
@@ -58,4 +60,93 @@ Socket.prototype.onEnd = function(callback, thisarg) {
 	this.callbacks.end = callback.bind(thisarg);
 };
 
-exports.Socket = Socket;
+/**
+ * In-memory transport. Instead of opening a socket, connect hands the other
+ * end of the pipe to the acceptor (e.g. a FakeServer), which talks back
+ * through the same send/disconnect/onReceive/onEnd interface.
+ * @class Loopback
+ * @param {Function} acceptor   Called with the peer Loopback, host and port on every connect; omit it, or return false, to refuse connections
+ */
+function Loopback(acceptor) {
+	this.acceptor   = acceptor || null;
+	this.peer       = null;
+	this.connecting = null;
+
+	this.callbacks = {
+		receive : null,
+		error   : null,
+		end     : null
+	};
+}
+
+Loopback.prototype.connect = function(host, port, callback, thisarg) {
+	this.connecting = setImmediate(function() {
+		this.connecting = null;
+
+		var peer = new Loopback();
+
+		peer.peer = this;
+		this.peer = peer;
+
+		if(!this.acceptor || this.acceptor(peer, host, port) === false) {
+			this.peer = null;
+
+			var err = new Error('connect ECONNREFUSED ' + host + ':' + port);
+			err.code = 'ECONNREFUSED';
+
+			this.callbacks.error && this.callbacks.error(err);
+			this.callbacks.end && this.callbacks.end();
+			return;
+		}
+
+		callback && callback.call(thisarg);
+	}.bind(this));
+};
+
+Loopback.prototype.send = function(data) {
+	if(!this.peer) {
+		throw new TransportError('not-connected', 'Trying to send data whilst no connection established');
+	}
+
+	var peer = this.peer;
+	var copy = new Buffer(data.length);
+	data.copy(copy);
+
+	// Deliver asynchronously, like a socket would
+	setImmediate(function() {
+		peer.callbacks.receive && peer.callbacks.receive(copy);
+	});
+};
+
+/**
+ * Close the pipe. As with Socket, only the other end is notified.
+ */
+Loopback.prototype.disconnect = function() {
+	// Like destroying a socket, abort a connection attempt in progress
+	clearImmediate(this.connecting);
+	this.connecting = null;
+
+	if(!this.peer) {
+		return;
+	}
+
+	var peer = this.peer;
+
+	this.peer = null;
+	peer.peer = null;
+
+	setImmediate(function() {
+		peer.callbacks.end && peer.callbacks.end();
+	});
+};
+
+Loopback.prototype.isConnected = function() {
+	return this.peer !== null;
+};
+
+Loopback.prototype.onReceive = Socket.prototype.onReceive;
+Loopback.prototype.onError   = Socket.prototype.onError;
+Loopback.prototype.onEnd     = Socket.prototype.onEnd;
+
+exports.Socket   = Socket;
+exports.Loopback = Loopback;
@@ -8,6 +8,11 @@ var dictionary  = require('./dictionary');
 var protocol    = require('./protocol');
 var transports  = require('./transport');
 var encryption  = require('./encryption');
+var errors      = require('./errors');
+var logging     = require('./logger');
+var outbox      = require('./outbox');
+var store       = require('./store');
+var exporter    = require('./exporter');
 var processors  = require('./processors');
 var MediaType   = require('./MediaType.js');
 var ImageTools  = require('./ImageTools.js');
@@ -35,23 +40,113 @@ function WhatsApi(config, reader, writer, processor, transport) {
 
 util.inherits(WhatsApi, events.EventEmitter);
 
-/* Magic here
- * Prototype extensions
- * Load modules from the extensions directory to extend the prototype
- */
-var files = fs.readdirSync(path.join(__dirname, 'extensions'));
-for (var i = 0; i < files.length; i++) {
-	var file = files[i];
-	if (file.match(/.*\.js/i)) {
-		var mod = require('./extensions/' + file);
-		var proto = mod.prototype;
-		// Merge prototypes
-		for (var functionName in proto) {
-			// Conflate the function
-			WhatsApi.prototype[functionName] = proto[functionName];
+/**
+ * @typedef Plugin
+ * @type {Object}
+ * @property {String}        name            Unique plugin name
+ * @property {Object}        methods         (optional) Methods to add to WhatsApi.prototype
+ * @property {Array<String>} dependencies    (optional) Names of the plugins that must be registered first
+ * @property {Function}      init            (optional) function(wa) called for every new WhatsApi instance
+ * @property {Function}      teardown        (optional) function(wa) called when the instance is destroyed
+ */
+
+/**
+ * Registered plugins, in registration order
+ * @type {Array<Plugin>}
+ */
+WhatsApi.plugins = [];
+
+/**
+ * Name of the plugin that added each prototype method
+ * @type {Object}
+ * @private
+ */
+var methodOwners = {};
+
+/**
+ * @param  {String}  name
+ * @return {Boolean} Whether a plugin with that name is registered
+ */
+WhatsApi.hasPlugin = function(name) {
+	return WhatsApi.plugins.some(function(plugin) {
+		return plugin.name === name;
+	});
+};
+
+/**
+ * Register a plugin, adding its methods to the prototype.
+ * Throws a WhatsApiError ('invalid-plugin') if a plugin with the same name is already registered, if one of its dependencies
+ * isn't, or if one of the methods is already defined by WhatsApi or by another plugin;
+ * nothing is added in that case.
+ * Plugins initialize in registration order, so a plugin's init runs after the ones of its dependencies.
+ * The init functions only run for instances created after the registration.
+ * @param  {Plugin}   plugin
+ * @return {Function} WhatsApi, for chaining
+ * @example
+ * WhatsApi.use({
+ *   name    : 'echo',
+ *   methods : {
+ *     echo : function(to, message) { this.sendMessage(to, message); }
+ *   },
+ *   init : function(wa) {
+ *     wa.on('receivedMessage', function(message) { wa.echo(message.from, message.body); });
+ *   }
+ * });
+ */
+WhatsApi.use = function(plugin) {
+	if (!plugin || typeof plugin.name !== 'string' || !plugin.name) {
+		throw new errors.WhatsApiError('invalid-plugin', 'A plugin needs a name');
+	}
+
+	if (WhatsApi.hasPlugin(plugin.name)) {
+		throw new errors.WhatsApiError('invalid-plugin', 'Plugin ' + plugin.name + ' is already registered');
+	}
+
+	var missing = (plugin.dependencies || []).filter(function(dependency) {
+		return !WhatsApi.hasPlugin(dependency);
+	});
+
+	if (missing.length) {
+		throw new errors.WhatsApiError(
+			'invalid-plugin', 'Plugin ' + plugin.name + ' depends on ' + missing.join(', ') + ', register it first'
+		);
+	}
+
+	var methods = plugin.methods || {};
+	var name;
+
+	for (name in methods) {
+		if (name in WhatsApi.prototype) {
+			throw new errors.WhatsApiError(
+				'invalid-plugin',
+				'Plugin ' + plugin.name + ' cannot define ' + name + ', already defined by ' + (methodOwners[name] || 'WhatsApi')
+			);
 		}
 	}
-}
+
+	for (name in methods) {
+		WhatsApi.prototype[name] = methods[name];
+		methodOwners[name] = plugin.name;
+	}
+
+	WhatsApi.plugins.push(plugin);
+
+	return WhatsApi;
+};
+
+/**
+ * Connection states, in the order they are normally gone through
+ * @readonly
+ * @enum {String}
+ */
+var State = {
+	DISCONNECTED   : 'disconnected',
+	CONNECTING     : 'connecting',
+	CONNECTED      : 'connected',
+	AUTHENTICATING : 'authenticating',
+	LOGGED_IN      : 'logged-in',
+	CLOSING        : 'closing'
+};
 
 /**
 * @typedef WhatsApiConfig
@@ -62,6 +157,11 @@ for (var i = 0; i < files.length; i++) {
 * @property {String} password - Password provided by WhatsApp upon registration
 * @property {String} ccode -  MCC (Mobile Country Code) See documentation at http://en.wikipedia.org/wiki/Mobile_country_code
 * @property {Boolean} reconnect - specify true for automatic reconnect upon disconnect
+* @property {Number} reconnectDelay - milliseconds to wait before the first reconnect attempt
+* @property {Number} reconnectMultiplier - factor the delay is multiplied by after every failed attempt
+* @property {Number} reconnectMaxDelay - upper bound for the delay between attempts, in milliseconds
+* @property {Number} reconnectJitter - random variation applied to every delay, as a fraction of it (0.2 = ±20%)
+* @property {Number} reconnectMaxAttempts - give up after this many consecutive failed attempts; 0 to never give up
 * @property {String} host - host URI of the WhatsApp server
 * @property {String} server - server URI (not used for connecting)
 * @property {String} gserver - group server URI (not used for connecting)
@@ -72,6 +172,14 @@ for (var i = 0; i < files.length; i++) {
 * @property {String} challenge_file - path to challenge file
 * @property {ImageTools} imageTool - image tool to be used when generating thumbnails
 * @property {Number} sendReceipt - 0 for none, 1 for standard receipts, 2 for read receipts
+* @property {Number} requestTimeout - milliseconds to wait for the response to a request before failing it; 0 to wait forever
+* @property {Number} compressionThreshold - deflate outgoing frames of at least this many bytes; 0 to never compress
+* @property {Dictionary|String} dictionary - token dictionary, or version of a registered one; defaults to the one of the protocol version in use
+* @property {LoggerInterface} logger - where to log, e.g. a Logger from createLogger; nothing is logged by default
+* @property {Boolean} redactLogs - mask phone numbers and drop message bodies and key material from the log entries
+* @property {Outbox} outbox - where messages wait for the server acknowledgment, e.g. a FileOutbox to keep them across restarts; in memory by default
+* @property {Number} messageStatusLimit - how many sent messages getMessageStatus remembers; 0 for no limit
+* @property {Store} store - where to keep the sent and received messages, e.g. a FileStore, or a SqliteStore to also keep contacts and groups; nothing is kept by default. Received messages are emitted once saved
 */
 
 /** @type {WhatsApiConfig} */
@@ -82,6 +190,11 @@ WhatsApi.prototype.defaultConfig = {
 	password       : '',
 	ccode          : '',
 	reconnect      : true,
+	reconnectDelay       : 1000,
+	reconnectMultiplier  : 2,
+	reconnectMaxDelay    : 60000,
+	reconnectJitter      : 0.2,
+	reconnectMaxAttempts : 0,
 	host           : 'e{0}.whatsapp.net',
 	server         : 's.whatsapp.net',
 	gserver        : 'g.us',
@@ -91,7 +204,15 @@ WhatsApi.prototype.defaultConfig = {
 	ua             : 'WhatsApp/2.11.16 iPhone_OS/8.3 Device/iPhone_6',
 	challenge_file : path.join(__dirname, 'challenge'),
 	imageTool      : ImageTools.JIMP,
-	sendReceipt    : 2
+	sendReceipt    : 2,
+	requestTimeout : 60000,
+	compressionThreshold : 0,
+	dictionary     : null,
+	logger         : null,
+	redactLogs     : true,
+	outbox         : null,
+	messageStatusLimit : 1000,
+	store          : null
 };
 
 /**
@@ -103,35 +224,166 @@ WhatsApi.prototype.init = function() {
 	this.transport.onError(this.onTransportError, this);
 	this.transport.onEnd(this.onTransportEnd, this);
 
-	this.connected   = false;
+	this.connectionState = State.DISCONNECTED;
 	this.challenge   = null;
 	this.messageId   = 0;
-	this.queue       = [];
-	this.loggedIn    = false;
 	this.mediaQueue  = {};
 	this.selfAddress = this.createJID(this.config.msisdn);
+	this.presence    = null;
+	this.logger      = this.config.logger || logging.silent;
+	
+	// Reconnection
+	this.reconnectAttempt = 0;
+	this.reconnectTimer   = null;
+	this.stableTimer      = null;
+	this.relogin          = false;
 	
 	// Callbacks
 	this.connectCallback = null;
 	this.loginCallback = null;
 	this.callbacksCollection = [];
+	
+	// Outgoing messages
+	this.outbox          = this.config.outbox || new outbox.MemoryOutbox();
+	this.outboxCallbacks = {};
+	this.flushing        = false;
+	this.flushAgain      = false;
+	this.store           = this.config.store || null;
+	
+	// Outgoing node hooks
+	this.outgoingHooks   = [];
+	this.connectionCount = 0;
+	
+	// Incoming node handlers
+	this.handlers  = [];
+	this.handlerId = 0;
+	this.registerBuiltinHandlers();
+
+	this.writer.setCompressionThreshold(this.config.compressionThreshold);
+
+	if(this.config.dictionary) {
+		this.setDictionary(this.config.dictionary);
+	}
 
 	this.processor.setAdapter(this);
+
+	WhatsApi.plugins.forEach(function(plugin) {
+		plugin.init && plugin.init(this);
+	}, this);
+};
+
+/**
+ * Current connection state
+ * @name WhatsApi#state
+ * @type {String}
+ * @readonly
+ */
+Object.defineProperty(WhatsApi.prototype, 'state', {
+	get: function() {
+		return this.connectionState;
+	}
+});
+
+/**
+ * Whether the transport is connected (regardless of the login)
+ * @name WhatsApi#connected
+ * @type {Boolean}
+ * @readonly
+ */
+Object.defineProperty(WhatsApi.prototype, 'connected', {
+	get: function() {
+		return [State.CONNECTED, State.AUTHENTICATING, State.LOGGED_IN].indexOf(this.connectionState) !== -1;
+	}
+});
+
+/**
+ * @name WhatsApi#loggedIn
+ * @type {Boolean}
+ * @readonly
+ */
+Object.defineProperty(WhatsApi.prototype, 'loggedIn', {
+	get: function() {
+		return this.connectionState === State.LOGGED_IN;
+	}
+});
+
+/**
+ * Move to a new connection state
+ * @param  {String} state
+ * @fires stateChange
+ * @private
+ */
+WhatsApi.prototype.setState = function(state) {
+	var previous = this.connectionState;
+	
+	if (previous === state) {
+		return;
+	}
+	
+	this.connectionState = state;
+	
+	/**
+	 * Emitted every time the connection state changes
+	 * @event stateChange
+	 * @param {String} state      New state
+	 * @param {String} previous   Previous state
+	 */
+	this.emit('stateChange', state, previous);
+};
+
+/**
+ * Build the error passed to callbacks of methods called in the wrong state
+ * @param  {String} action    What was attempted, e.g. 'log in'
+ * @return {WhatsApiError}
+ * @private
+ */
+WhatsApi.prototype.createStateError = function(action) {
+	return new errors.WhatsApiError('invalid-state', 'Cannot ' + action + ' while ' + this.connectionState);
 };
 
 /**
  * Add a new callback to the queue
- * @param  {String}   id   The id of the message that's being sent
- * @param  {Function} cb   The callback to be called when a response for the message is received
+ * @param  {String}   id        The id of the message that's being sent
+ * @param  {Function} cb        The callback to be called when a response for the message is received
+ * @param  {Number}   timeout   (optional) Milliseconds to wait for the response, overrides config.requestTimeout
+ * @param  {Boolean}  raw       (optional) Pass the result node to the callback as it is, skipping the built-in parsing
  */
-WhatsApi.prototype.addCallback = function(id, cb) {
+WhatsApi.prototype.addCallback = function(id, cb, timeout, raw) {
 	if (!id || !cb) {
 		return;
 	}
 	if (typeof cb !== "function")
-		throw new Error("cb is not a callback");
+		throw new errors.WhatsApiError('invalid-argument', 'cb is not a callback');
+	
+	if (timeout === undefined) {
+		timeout = this.config.requestTimeout;
+	}
+	
+	var item = { id: id, callback: cb, timer: null, raw: !!raw };
+	
+	if (timeout > 0) {
+		item.timer = setTimeout(function() {
+			this.failCallback(id, new errors.TimeoutError(timeout));
+		}.bind(this), timeout);
+	}
 		
-	this.callbacksCollection.push({ id: id, callback: cb });
+	this.callbacksCollection.push(item);
+};
+
+/**
+ * Pending callback for the provided message id
+ * @param  {String} id
+ * @return {Object|null}    The queued item, with the 'callback' and 'raw' properties
+ * @private
+ */
+WhatsApi.prototype.getCallback = function(id) {
+	for (var i = 0; i < this.callbacksCollection.length; i++) {
+		if (this.callbacksCollection[i].id == id) {
+			return this.callbacksCollection[i];
+		}
+	}
+	
+	return null;
 };
 
 /**
@@ -156,68 +408,380 @@ WhatsApi.prototype.executeCallback = function(id, args, isError) {
 	for (var i = 0; i < this.callbacksCollection.length; i++) {
 		var item = this.callbacksCollection[i];
 		if (item.id == id) {
-			// Call the callback
-			item.callback && item.callback.apply(this, args);
 			// Remove it
 			this.callbacksCollection.splice(i--, 1);
+			clearTimeout(item.timer);
+			// Call the callback
+			item.callback && item.callback.apply(this, args);
 		}
 	};
 };
 
+/**
+ * Fail the callback for the provided message id with the given error
+ * @param  {String}        id
+ * @param  {ResponseError} error
+ * @private
+ */
+WhatsApi.prototype.failCallback = function(id, error) {
+	this.executeCallback(id, error, true);
+};
+
+/**
+ * Remove the callback for the provided message id without calling it
+ * @param  {String} id
+ * @private
+ */
+WhatsApi.prototype.removeCallback = function(id) {
+	this.callbacksCollection = this.callbacksCollection.filter(function(item) {
+		if (item.id != id) {
+			return true;
+		}
+		clearTimeout(item.timer);
+		return false;
+	});
+};
+
+/**
+ * Cancel a pending request: its callback is called with a 'cancelled' error
+ * and a late response from the server is ignored
+ * @param  {String} id    The id of the request/message to cancel
+ * @return {Boolean}      Whether a pending request with that id existed
+ */
+WhatsApi.prototype.cancelRequest = function(id) {
+	var pending = this.callbacksCollection.some(function(item) {
+		return item.id == id;
+	});
+	
+	this.failCallback(id, new errors.WhatsApiError('cancelled', 'Request cancelled'));
+	
+	return pending;
+};
+
+/**
+ * Fail every pending callback, e.g. because the connection has been lost
+ * @param  {WhatsApiError} error
+ * @private
+ */
+WhatsApi.prototype.failAllCallbacks = function(error) {
+	var ids = this.callbacksCollection.map(function(item) {
+		return item.id;
+	});
+	
+	ids.forEach(function(id) {
+		this.failCallback(id, error.clone());
+	}, this);
+	
+	var loginCallback = this.loginCallback;
+	this.loginCallback = null;
+	loginCallback && loginCallback(error.clone());
+};
+
 /**
  * Connect to the WhatsApp server using the connection parameters specified in the configuration
  * @param {Function} callback    Called when the connection has completed
+ * @return {Promise}             When no callback is given
  */
-WhatsApi.prototype.connect = function(callback) {
-	this.loggedIn = false;
+WhatsApi.prototype.connect = common.callbackOrPromise(function(callback) {
+	if (this.connectionState !== State.DISCONNECTED) {
+		callback(this.createStateError('connect'));
+		return;
+	}
+	
+	clearTimeout(this.reconnectTimer);
+	this.reconnectTimer = null;
+	
+	this.setState(State.CONNECTING);
 	this.connectCallback = callback ? callback : null;
+	this.connectionCount++;
+	this.reader.reset();
 	this.config.host = this.config.host.replace('{0}', common.getRandomInt(1, 16));
+	this.log('info', 'transport', 'Connecting', { host: this.config.host, port: this.config.port });
 	this.transport.connect(this.config.host, this.config.port, this.onTransportConnect, this);
-};
+});
 
 /**
- * Disconnect from the WhatsApp server
+ * Disconnect from the WhatsApp server.
+ * Pending requests, and a login in progress, fail with a 'disconnected' error.
  */
 WhatsApi.prototype.disconnect = function() {
+	clearTimeout(this.reconnectTimer);
+	clearTimeout(this.stableTimer);
+	this.reconnectTimer   = null;
+	this.reconnectAttempt = 0;
+	this.relogin          = false;
+	
+	if (this.connectionState === State.DISCONNECTED) {
+		return;
+	}
+	
+	this.setState(State.CLOSING);
+	this.log('info', 'transport', 'Disconnecting');
+	
 	this.transport.disconnect();
+	
+	var connectCallback = this.connectCallback;
+	this.connectCallback = null;
+	
+	var error = new errors.TransportError('disconnected', 'Disconnected by the client');
+	
+	connectCallback && connectCallback(error.clone());
+	this.failAllCallbacks(error);
+	
+	this.setState(State.DISCONNECTED);
 };
 
 /**
  * Login to WhatsApp
  * @param  {Function} callback   Called when the login has completed
+ * @return {Promise}            When no callback is given
  */
-WhatsApi.prototype.login = function(callback) {
-	if (this.loggedIn) {
-		callback('Already logged in');
+WhatsApi.prototype.login = common.callbackOrPromise(function(callback) {
+	if (this.connectionState === State.LOGGED_IN) {
+		callback(new errors.WhatsApiError('invalid-state', 'Already logged in'));
 		return;
 	}
+	if (this.connectionState !== State.CONNECTED) {
+		callback(this.createStateError('log in'));
+		return;
+	}
+	
+	this.setState(State.AUTHENTICATING);
 	this.loginCallback = callback ? callback : null;
+	this.log('info', 'auth', 'Logging in', { msisdn: this.config.msisdn });
 	
 	this.reader.setKey(null);
 	this.writer.setKey(null);
 
 	var resource = [this.config.device_type, this.config.app_version, this.config.port].join('-');
 
+	// Handshake nodes skip the outgoing hooks: the keys depend on their order
 	this.send(this.writer.stream(this.config.server, resource));
-	this.sendNode(this.createFeaturesNode());
-	this.sendNode(this.createAuthNode());
+	this.writeNode(this.createFeaturesNode());
+	this.writeNode(this.createAuthNode());
+});
+
+/**
+ * Switch the token dictionary used to encode and decode nodes, e.g. after the server protocol changed
+ * @param {Dictionary|String} dictionary    Dictionary, or version of a registered one
+ * @example
+ * wa.setDictionary(require('whatsapi/dictionary').load('./dictionary-1.6.json'));
+ */
+WhatsApi.prototype.setDictionary = function(dictionary) {
+	this.reader.setDictionary(dictionary);
+	this.writer.setDictionary(dictionary);
+};
+
+/**
+ * Hand an entry to the configured logger, redacted unless disabled
+ * @param  {String} level       'error', 'warn', 'info', 'debug' or 'trace'
+ * @param  {String} category    'transport', 'auth', 'rx', 'tx' or 'media'
+ * @param  {String} message
+ * @param  {Object} fields      (optional) Structured data
+ */
+WhatsApi.prototype.log = function(level, category, message, fields) {
+	if (this.logger.isEnabled && !this.logger.isEnabled(level, category)) {
+		return;
+	}
+	
+	fields = fields || {};
+	
+	this.logger.log({
+		time     : new Date(),
+		level    : level,
+		category : category,
+		message  : message,
+		fields   : this.config.redactLogs ? logging.redact(fields) : fields
+	});
 };
 
 WhatsApi.prototype.isLoggedIn = function() {
-	return this.loggedIn;
+	return this.connectionState === State.LOGGED_IN;
 };
 
+/**
+ * Send, in order, the outbox messages not sent on this connection yet
+ * @private
+ */
 WhatsApi.prototype.flushQueue = function() {
-	var queue  = this.queue;
-	this.queue = [];
+	if (this.flushing) {
+		this.flushAgain = true;
+		return;
+	}
+	
+	var connection = this.connectionCount;
+	this.flushing = true;
+	
+	this.outbox.list(function(err, entries) {
+		this.flushing = false;
+		
+		if (err) {
+			this.log('error', 'tx', 'Cannot read the outbox', { error: err });
+		} else if (connection === this.connectionCount && this.isLoggedIn()) {
+			entries.forEach(function(entry) {
+				// Otherwise already sent on this connection, waiting for the ack
+				if (!this.getCallback(entry.id)) {
+					this.sendOutboxEntry(entry);
+				}
+			}, this);
+		}
+		
+		if (this.flushAgain) {
+			this.flushAgain = false;
+			this.flushQueue();
+		}
+	}.bind(this));
+};
 
-	queue.forEach(function(elem) {
-		this.sendMessageNode(elem.to, elem.node);
-	}, this);
+/**
+ * Send a message of the outbox. It is removed once the server acknowledges or refuses it;
+ * when the connection is lost or no ack arrives in time, it stays (still pending) to be sent
+ * again on the next flush. The node is resent as it is, with the time it was first queued.
+ * @param  {OutboxEntry} entry
+ * @private
+ */
+WhatsApi.prototype.sendOutboxEntry = function(entry) {
+	entry.attempts++;
+	
+	this.outbox.update(entry, function(err) {
+		err && this.log('warn', 'tx', 'Cannot update the outbox', { id: entry.id, error: err });
+	}.bind(this));
+	
+	this.addCallback(entry.id, function(err) {
+		// Not acknowledged: keep the message for the next attempt
+		if (err instanceof errors.TransportError || err instanceof errors.TimeoutError) {
+			return;
+		}
+		
+		this.setMessageStatus(entry.id, err ? 'failed' : 'server', { to: entry.to, error: err });
+		
+		var callback = this.outboxCallbacks[entry.id];
+		delete this.outboxCallbacks[entry.id];
+		
+		this.outbox.remove(entry.id, function(err) {
+			err && this.log('warn', 'tx', 'Cannot remove a message from the outbox', { id: entry.id, error: err });
+		}.bind(this));
+		
+		callback && callback.apply(this, arguments);
+	});
+	
+	this.sendNode(entry.node);
 };
 
+/**
+ * Send a node, once the outgoing hooks let it through
+ * @param  {Node} node
+ */
 WhatsApi.prototype.sendNode = function(node) {
-	node && this.send(this.writer.node(node));
+	if (!node) {
+		return;
+	}
+	
+	var hooks      = this.outgoingHooks.slice();
+	var connection = this.connectionCount;
+	var index      = 0;
+	
+	var next = function(err, replacement) {
+		if (err) {
+			this.vetoNode(node, err);
+			return;
+		}
+		
+		node = replacement || node;
+		
+		if (index < hooks.length) {
+			hooks[index++].call(this, node, common.once(next));
+			return;
+		}
+		
+		// Not connected, or a hook held the node until the connection it was meant for was gone
+		if (connection !== this.connectionCount || !this.connected) {
+			this.log('debug', 'tx', 'Not connected, dropped ' + node.tag(), { id: node.attribute('id') });
+			
+			if (node.attribute('id')) {
+				this.failCallback(node.attribute('id'), new errors.TransportError(
+					'not-connected', 'Not connected when sending ' + node.tag()
+				));
+			}
+			return;
+		}
+		
+		this.writeNode(node);
+	}.bind(this);
+	
+	next();
+};
+
+/**
+ * Serialize and send a node right away
+ * @param  {Node} node
+ * @private
+ */
+WhatsApi.prototype.writeNode = function(node) {
+	this.log('trace', 'tx', 'Sending ' + node.tag(), { node: node });
+	this.send(this.writer.node(node));
+};
+
+/**
+ * Add a hook called for every node sent with sendNode, in the order hooks were added.
+ * The hook gets the node and a next(err, node) function it must call, even later, to go on:
+ * next() sends the node as is, next(null, otherNode) sends otherNode instead,
+ * next(reason) drops the node and fails the request waiting for it with a 'vetoed' error.
+ * @param  {Function} hook    function(node, next)
+ * @return {Function} The hook, to remove it with removeOutgoingHook
+ * @example
+ * // Never write to a given contact
+ * wa.addOutgoingHook(function(node, next) {
+ *   if (node.attribute('to') === '491234567890@s.whatsapp.net') {
+ *     next('Blocked recipient');
+ *     return;
+ *   }
+ *   next();
+ * });
+ */
+WhatsApi.prototype.addOutgoingHook = function(hook) {
+	this.outgoingHooks.push(hook);
+	
+	return hook;
+};
+
+/**
+ * @param  {Function} hook
+ * @return {Boolean}  Whether the hook was registered
+ */
+WhatsApi.prototype.removeOutgoingHook = function(hook) {
+	var index = this.outgoingHooks.indexOf(hook);
+	
+	if (index === -1) {
+		return false;
+	}
+	
+	this.outgoingHooks.splice(index, 1);
+	
+	return true;
+};
+
+/**
+ * Drop a node an outgoing hook refused to send
+ * @param  {Node}   node
+ * @param  {String|Object} reason    Text, Error or ResponseError
+ * @private
+ */
+WhatsApi.prototype.vetoNode = function(node, reason) {
+	var error = new errors.WhatsApiError(reason.code || 'vetoed', reason.message || String(reason));
+	
+	/**
+	 * Emitted when an outgoing hook refused to send a node
+	 * @event vetoed
+	 * @param {Node}          node
+	 * @param {WhatsApiError} error
+	 */
+	this.emit('vetoed', node, error);
+	this.log('debug', 'tx', 'Outgoing hook vetoed ' + node.tag(), { id: node.attribute('id'), reason: error.message });
+	
+	if (node.attribute('id')) {
+		this.failCallback(node.attribute('id'), error);
+	}
 };
 
 WhatsApi.prototype.send = function(buffer) {
@@ -246,7 +810,7 @@ WhatsApi.prototype.createAuthNode = function() {
 };
 
 WhatsApi.prototype.createAuthData = function() {
-	var challenge = fs.readFileSync(this.config.challenge_file);
+	var challenge = this.challenge || fs.readFileSync(this.config.challenge_file);
 
 	if(!challenge.length) {
 		return '';
@@ -287,12 +851,7 @@ WhatsApi.prototype.createAuthResposeNode = function(challenge) {
 };
 
 WhatsApi.prototype.generateKeys = function(password, nonce) {
-	var keys = [];
-	for(var j=1;j<5;j++){
-		var currNonce = Buffer.concat( [nonce, new Buffer([j])] );
-		keys.push( encryption.pbkdf2(new Buffer(password, 'base64'), currNonce, 2, 20) );		
-	}
-	return keys;
+	return encryption.generateKeys(password, nonce);
 };
 
 WhatsApi.prototype.initKeys = function(nonce) {
@@ -328,43 +887,264 @@ WhatsApi.prototype.createJID = function(msisdn) {
 };
 
 WhatsApi.prototype.onTransportConnect = function() {
+	var callback = this.connectCallback;
+	this.connectCallback = null;
+	
+	this.setState(State.CONNECTED);
+	this.log('info', 'transport', 'Connected');
 	this.emit('connect');
-	this.connectCallback && this.connectCallback();
-	this.connected = true;
+	callback && callback();
 };
 
 WhatsApi.prototype.onTransportError = function(e) {
-	this.connectCallback && this.connectCallback(e);
-	this.emit(this.connected ? 'error' : 'connectError', e);
+	var callback   = this.connectCallback;
+	var connecting = this.connectionState === State.CONNECTING;
+	this.connectCallback = null;
+	
+	var error = e instanceof errors.TransportError ? e : new errors.TransportError(
+		connecting ? 'connect-failed' : 'socket-error',
+		e && e.message || String(e),
+		{ cause: e }
+	);
+	
+	this.log('error', 'transport', 'Transport error', { error: error });
+	callback && callback(error);
+	this.emit(connecting ? 'connectError' : 'error', error);
 };
 
 WhatsApi.prototype.onTransportEnd = function() {
-	this.connected = false;
-	if(this.config.reconnect) {
-		this.emit('reconnect');
-		this.connect();
+	var wasConnected = this.connected;
+	
+	clearTimeout(this.stableTimer);
+	
+	// Log in again after reconnecting only if we were logged in (or logging in again) before
+	this.relogin = this.loggedIn || (this.relogin && this.reconnectAttempt > 0);
+	this.setState(State.DISCONNECTED);
+	this.log(wasConnected ? 'warn' : 'info', 'transport', 'Connection closed');
+	
+	this.failAllCallbacks(new errors.TransportError('connection-lost', 'Connection to the server lost'));
+	
+	if(this.config.reconnect && (wasConnected || this.reconnectAttempt > 0)) {
+		this.scheduleReconnect();
 	} else {
 		this.emit('end');
 	}
 };
 
+/**
+ * Compute the delay before the given reconnect attempt
+ * @param  {Number} attempt    Attempt number, starting from 1
+ * @return {Number}            Delay in milliseconds
+ * @private
+ */
+WhatsApi.prototype.getReconnectDelay = function(attempt) {
+	var delay = this.config.reconnectDelay * Math.pow(this.config.reconnectMultiplier, attempt - 1);
+	delay = Math.min(delay, this.config.reconnectMaxDelay);
+	
+	var jitter = delay * this.config.reconnectJitter;
+	delay += jitter * (Math.random() * 2 - 1);
+	
+	return Math.max(0, Math.round(delay));
+};
+
+/**
+ * Schedule the next reconnect attempt, or give up when the attempts are exhausted
+ * @private
+ */
+WhatsApi.prototype.scheduleReconnect = function() {
+	var attempt = ++this.reconnectAttempt;
+	var maxAttempts = this.config.reconnectMaxAttempts;
+	
+	if (maxAttempts > 0 && attempt > maxAttempts) {
+		this.reconnectAttempt = 0;
+		this.relogin = false;
+		this.log('warn', 'transport', 'Giving up reconnecting', { attempts: maxAttempts });
+		this.emit('end');
+		return;
+	}
+	
+	var delay = this.getReconnectDelay(attempt);
+	this.log('info', 'transport', 'Reconnecting in ' + delay + ' ms', { attempt: attempt, delay: delay });
+	
+	/**
+	 * Emitted when a reconnect attempt has been scheduled
+	 * @event reconnecting
+	 * @param {ReconnectInfo} info
+	 */
+	this.emit('reconnecting', { attempt: attempt, delay: delay });
+	// Legacy event, kept for existing listeners
+	this.emit('reconnect');
+	
+	this.reconnectTimer = setTimeout(this.reconnect.bind(this, attempt), delay);
+};
+
+/**
+ * @typedef ReconnectInfo
+ * @type {Object}
+ * @property {Number} attempt    Attempt number, starting from 1 after every disconnection
+ * @property {Number} delay      Milliseconds waited before the attempt ('reconnecting' only)
+ */
+
+/**
+ * Perform a reconnect attempt: connect, log in again if needed and restore presence
+ * @param  {Number} attempt
+ * @private
+ */
+WhatsApi.prototype.reconnect = function(attempt) {
+	this.reconnectTimer = null;
+	
+	var onReconnected = function() {
+		this.relogin = false;
+		
+		// Keep backing off while the server is flapping; start over once the connection holds
+		this.stableTimer = setTimeout(function() {
+			this.reconnectAttempt = 0;
+		}.bind(this), this.config.reconnectMaxDelay);
+		
+		if (this.presence === 'available') {
+			this.sendIsOnline();
+		}
+		
+		/**
+		 * Emitted when the connection has been restored (and the login, if we were logged in)
+		 * @event reconnected
+		 * @param {ReconnectInfo} info
+		 */
+		this.emit('reconnected', { attempt: attempt });
+	}.bind(this);
+	
+	// The connection errors end the transport, which schedules the next attempt
+	this.connect(function(err) {
+		if (err) {
+			return;
+		}
+		
+		if (!this.relogin) {
+			onReconnected();
+			return;
+		}
+		
+		this.login(function(err) {
+			if (err) {
+				// Dropped connections schedule the next attempt on their own; a refused login stops here
+				if (err.code !== 'connection-lost') {
+					this.reconnectAttempt = 0;
+					this.relogin = false;
+				}
+				return;
+			}
+			onReconnected();
+		}.bind(this));
+	}.bind(this));
+};
+
 WhatsApi.prototype.onTransportData = function(data) {
 	this.reader.appendInput(data);
 
 	while(true) {
-		var node = this.reader.nextNode();
+		try {
+			var node = this.reader.nextNode();
+		} catch (e) {
+			if (e instanceof errors.IntegrityError) {
+				this.onIntegrityError(e);
+			} else {
+				this.onProtocolError(e);
+			}
+			return;
+		}
 
 		if(node === false) {
 			break;
 		}
 
 		if(node) {
+			this.log('trace', 'rx', 'Received ' + node.tag(), { node: node });
 			this.processNode(node);
 		}
 	}
 };
 
 /**
+ * A frame failed the MAC check: the stream can't be trusted any more, so it is torn down
+ * (and reconnected, if configured) instead of parsing garbage
+ * @param  {IntegrityError} e
+ * @private
+ */
+WhatsApi.prototype.onIntegrityError = function(e) {
+	/**
+	 * Emitted when an incoming frame has been corrupted or tampered with.
+	 * The connection is closed right after.
+	 * @event integrityError
+	 * @param {IntegrityError} error
+	 */
+	this.log('error', 'transport', 'Integrity check failed, closing the connection', { error: e });
+	this.emit('integrityError', e);
+
+	this.reader.reset();
+	this.transport.disconnect();
+	this.onTransportEnd();
+};
+
+/**
+ * Drop the connection after an incoming frame that can't be parsed: the rest of the
+ * stream can't be trusted. It is restored like after a connection loss.
+ * @param  {Error} e
+ * @private
+ */
+WhatsApi.prototype.onProtocolError = function(e) {
+	var error = e instanceof errors.WhatsApiError ? e : new errors.ProtocolError(
+		'invalid-frame', 'Cannot parse an incoming frame: ' + (e && e.message || e), { cause: e }
+	);
+
+	this.log('error', 'transport', 'Cannot parse an incoming frame, closing the connection', { error: error });
+
+	this.reader.reset();
+	this.transport.disconnect();
+	this.onTransportEnd();
+
+	/**
+	 * Emitted when an incoming frame can't be parsed, after closing the connection.
+	 * Only emitted when listened to, so that a bad frame doesn't end the process.
+	 * @event error
+	 * @param {ProtocolError} error
+	 */
+	if (this.listeners('error').length) {
+		this.emit('error', error);
+	}
+};
+
+/**
+ * Disconnect and run the teardown of every plugin, in reverse registration order.
+ * The instance should not be used afterwards.
+ */
+WhatsApi.prototype.destroy = function() {
+	this.disconnect();
+
+	WhatsApi.plugins.slice().reverse().forEach(function(plugin) {
+		plugin.teardown && plugin.teardown(this);
+	}, this);
+};
+
+// Built-in extensions. They are listed explicitly, instead of scanning the
+// extensions directory, so that bundlers can follow the requires
+WhatsApi
+	.use({ name: 'account',        methods: require('./extensions/account.js').prototype })
+	.use({ name: 'chatState',      methods: require('./extensions/chatState.js').prototype })
+	.use({ name: 'conversations',  methods: require('./extensions/conversations.js').prototype })
+	.use({ name: 'groups',         methods: require('./extensions/groups.js').prototype })
+	.use({ name: 'media',          methods: require('./extensions/media.js').prototype })
+	.use({ name: 'mediaMimeTypes', methods: require('./extensions/mediaMimeTypes.js').prototype })
+	.use({ name: 'messages',       methods: require('./extensions/messages.js').prototype })
+	.use({
+		name    : 'messageStatus',
+		methods : require('./extensions/messageStatus.js').prototype,
+		init    : function(wa) { wa.initMessageStatus(); }
+	})
+	.use({ name: 'processNode',    methods: require('./extensions/processNode.js').prototype })
+	.use({ name: 'service',        methods: require('./extensions/service.js').prototype });
+
+/**
+* WhatsApi logging everything, nodes included, to the console unless another logger is configured
 * @class WhatsApiDebug
 * @augments WhatsApi
 * @param {WhatsApiConfig} config
@@ -379,16 +1159,10 @@ function WhatsApiDebug() {
 
 util.inherits(WhatsApiDebug, WhatsApi);
 
-
-WhatsApiDebug.prototype.processNode = function(node) {
-	node && console.log(node.toXml('rx '));
-	return WhatsApiDebug.super_.prototype.processNode.apply(this, arguments);
-};
-
-WhatsApiDebug.prototype.sendNode = function(node) {
-	node && console.log(node.toXml('tx '));
-	return WhatsApiDebug.super_.prototype.sendNode.apply(this, arguments);
-};
+/** @type {WhatsApiConfig} */
+WhatsApiDebug.prototype.defaultConfig = common.extend({}, WhatsApi.prototype.defaultConfig, {
+	logger : logging.createLogger({ level: 'trace' })
+});
 
 /**
  * Create a new instance of the WhatsApi class
@@ -401,8 +1175,8 @@ WhatsApiDebug.prototype.sendNode = function(node) {
  * @return {WhatsApi}       Created WhatsApi instance
  */
 function createAdapter(config, debug, reader, writer, processor, transport) {
-	reader    = reader    || new protocol.Reader(dictionary);
-	writer    = writer    || new protocol.Writer(dictionary);
+	reader    = reader    || new protocol.Reader(dictionary.defaultVersion);
+	writer    = writer    || new protocol.Writer(dictionary.defaultVersion);
 	processor = processor || processors.createProcessor();
 	transport = transport || new transports.Socket;
 
@@ -420,6 +1194,44 @@ function createRegistration(config) {
 	return new WhatsApiRegistration(config);
 }
 
+/**
+ * Create a logger writing text or JSON lines, to be passed as the logger option
+ * @param  {LoggerOptions} options
+ * @return {Logger}
+ */
+function createLogger(options) {
+	return logging.createLogger(options);
+}
+
+/**
+ * Create a scriptable fake WhatsApp server, to be used through its Loopback transport
+ * @param  {FakeServerConfig} config
+ * @return {FakeServer}
+ */
+function createFakeServer(config) {
+	var FakeServer = require('./fakeserver').FakeServer;
+	return new FakeServer(config);
+}
+
+/**
+ * Register a plugin for all WhatsApi instances created afterwards
+ * @param  {Plugin} plugin
+ * @return {Object} The module, for chaining
+ */
+function use(plugin) {
+	WhatsApi.use(plugin);
+	return exports;
+}
+
 exports.createAdapter      = createAdapter;
+exports.use                = use;
+exports.states             = State;
 exports.createRegistration = createRegistration;
+exports.createFakeServer   = createFakeServer;
+exports.createLogger       = createLogger;
+exports.errors             = errors;
+exports.transports         = transports;
+exports.outbox             = outbox;
+exports.store              = store;
+exports.exportFormats      = exporter.Format;
 exports.imageTools         = ImageTools;